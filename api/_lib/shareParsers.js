@@ -0,0 +1,205 @@
+/**
+ * 공유 링크 페이지 파서 (네트워크 없이 저장된 HTML/JSON만으로 동작)
+ * ChatGPT·Claude 공유 데이터는 내보내기 파일과 같은 구조라 클라이언트 임포터를 재사용합니다.
+ */
+import { parseChatGPTExport } from '../../src/services/importers/chatgpt.js';
+import { parseClaudeExport } from '../../src/services/importers/claude.js';
+
+const SHARE_PLATFORMS = [
+    { platform: 'chatgpt', hosts: ['chatgpt.com', 'chat.openai.com'], pathPattern: /^\/share\/([\w-]+)/ },
+    { platform: 'claude', hosts: ['claude.ai'], pathPattern: /^\/share\/([\w-]+)/ },
+    { platform: 'gemini', hosts: ['g.co'], pathPattern: /^\/gemini\/share\/([\w-]+)/ },
+    { platform: 'gemini', hosts: ['gemini.google.com'], pathPattern: /^\/share\/([\w-]+)/ }
+];
+
+export const ALLOWED_HOSTS = SHARE_PLATFORMS.flatMap(p => p.hosts);
+
+/**
+ * 공유 URL에서 플랫폼과 공유 ID 추출 (허용된 호스트가 아니면 null)
+ */
+export function detectSharePlatform(rawUrl) {
+    let url;
+    try {
+        url = new URL(rawUrl);
+    } catch {
+        return null;
+    }
+    if (url.protocol !== 'https:') return null;
+
+    for (const { platform, hosts, pathPattern } of SHARE_PLATFORMS) {
+        const match = url.pathname.match(pathPattern);
+        if (hosts.includes(url.hostname) && match) {
+            return { platform, shareId: match[1], url: url.toString() };
+        }
+    }
+    return null;
+}
+
+/**
+ * ChatGPT 공유 페이지 HTML 파싱
+ * __NEXT_DATA__(구버전) 또는 React Router turbo-stream 데이터에서 mapping/linear_conversation을 찾습니다.
+ */
+export function parseChatGPTShareHtml(html) {
+    const candidates = [];
+
+    const nextData = html.match(/<script id="__NEXT_DATA__" type="application\/json"[^>]*>([\s\S]*?)<\/script>/);
+    if (nextData) {
+        try {
+            candidates.push(JSON.parse(nextData[1]));
+        } catch {
+            // 다음 형식 시도
+        }
+    }
+
+    const enqueueCalls = html.matchAll(/streamController\.enqueue\(("(?:[^"\\]|\\.)*")\)/g);
+    for (const [, literal] of enqueueCalls) {
+        try {
+            const payload = JSON.parse(literal);
+            payload.split('\n').filter(Boolean).forEach(line => {
+                const flat = JSON.parse(line);
+                if (Array.isArray(flat)) candidates.push(hydrateTurboStream(flat));
+            });
+        } catch {
+            // 스트림 조각 일부는 JSON이 아님
+        }
+    }
+
+    for (const candidate of candidates) {
+        const data = findObject(candidate, obj => obj.mapping || Array.isArray(obj.linear_conversation));
+        if (!data) continue;
+
+        const conversation = parseChatGPTExport(data.mapping
+            ? data
+            : { ...data, mapping: linearToMapping(data.linear_conversation), current_node: null })[0];
+
+        if (conversation) {
+            return { title: data.title || conversation.title, turns: conversation.turns };
+        }
+    }
+
+    return { title: '', turns: [] };
+}
+
+/**
+ * Claude 공유 스냅샷(JSON) 파싱
+ */
+export function parseClaudeSnapshot(snapshot) {
+    const conversation = parseClaudeExport({
+        ...snapshot,
+        name: snapshot.snapshot_name || snapshot.name
+    })[0];
+    return conversation
+        ? { title: conversation.title, turns: conversation.turns }
+        : { title: '', turns: [] };
+}
+
+/**
+ * Gemini 공유 페이지 HTML 파싱
+ * 서버 렌더링된 <user-query>/<message-content> 요소를 문서 순서대로 읽습니다.
+ */
+export function parseGeminiShareHtml(html) {
+    const turns = [];
+    const pattern = /<(user-query|message-content)\b[^>]*>([\s\S]*?)<\/\1>/g;
+
+    for (const [, tag, inner] of html.matchAll(pattern)) {
+        const content = htmlFragmentToText(inner);
+        if (content) {
+            turns.push({ role: tag === 'user-query' ? 'user' : 'assistant', content });
+        }
+    }
+
+    // 페이지 제목은 "Gemini - 대화 제목" 형식 (앞의 방향 표시 문자와 접두어는 뺌)
+    const title = html.match(/<title>([\s\S]*?)<\/title>/)?.[1];
+    return { title: title ? decodeEntities(title).replace(/^[\s\u200e]*(Gemini\s*-\s*)?/, '').trim() : '', turns };
+}
+
+/**
+ * turbo-stream 평탄화 배열 복원
+ * 객체는 {"_키인덱스": 값인덱스} 형태로, 배열은 값 인덱스 목록으로 인코딩되어 있습니다.
+ */
+function hydrateTurboStream(flat) {
+    const cache = new Map();
+
+    const hydrate = (index) => {
+        if (typeof index !== 'number' || index < 0) return null;
+        if (cache.has(index)) return cache.get(index);
+
+        const value = flat[index];
+        if (Array.isArray(value)) {
+            const result = [];
+            cache.set(index, result);
+            value.forEach(i => result.push(hydrate(i)));
+            return result;
+        }
+        if (value && typeof value === 'object') {
+            const result = {};
+            cache.set(index, result);
+            Object.entries(value).forEach(([key, valueIndex]) => {
+                const keyName = key.startsWith('_') ? flat[Number(key.slice(1))] : key;
+                result[keyName] = hydrate(valueIndex);
+            });
+            return result;
+        }
+        return value;
+    };
+
+    return hydrate(0);
+}
+
+function findObject(root, predicate) {
+    const stack = [root];
+    const seen = new Set();
+    while (stack.length) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object' || seen.has(node)) continue;
+        seen.add(node);
+        if (!Array.isArray(node) && predicate(node)) return node;
+        Object.values(node).forEach(child => stack.push(child));
+    }
+    return null;
+}
+
+// linear_conversation 배열을 mapping 트리 형식으로 변환
+function linearToMapping(linear) {
+    const ids = linear.map((node, i) => node.id || `node_${i}`);
+    const mapping = {};
+    linear.forEach((node, i) => {
+        mapping[ids[i]] = {
+            ...node,
+            id: ids[i],
+            parent: i > 0 ? ids[i - 1] : null,
+            children: i < linear.length - 1 ? [ids[i + 1]] : []
+        };
+    });
+    return mapping;
+}
+
+function htmlFragmentToText(html) {
+    return decodeEntities(html
+        .replace(/<(script|style|button|mat-icon)\b[\s\S]*?<\/\1>/gi, '')
+        .replace(/<span[^>]*cdk-visually-hidden[^>]*>[\s\S]*?<\/span>/gi, '')
+        .replace(/<pre\b[^>]*>([\s\S]*?)<\/pre>/gi, (_, code) => `\n\`\`\`\n${code.replace(/<[^>]+>/g, '')}\n\`\`\`\n`)
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr)>/gi, '\n\n')
+        .replace(/<[^>]+>/g, ''))
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&#x([0-9a-f]+);/gi, (entity, code) => decodeCodePoint(entity, parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (entity, code) => decodeCodePoint(entity, Number(code)))
+        .replace(/&amp;/g, '&');
+}
+
+// 유효하지 않은 코드 포인트는 엔티티 그대로 둠
+function decodeCodePoint(entity, code) {
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+}
@@ -1,5 +1,8 @@
 
 // GoogleGenerativeAI import removed to support Edge Runtime
+import { toGeminiSchema, toOpenAISchema, toClaudeTool, supportsOpenAISchema } from '../src/services/schema.js';
+import { readProviderStream, extractBlockReason, createBlockedError } from '../src/services/streaming.js';
+import { buildFallbackChain, shouldFailover, classifyError, createProviderError, parseRetryAfter, DEFAULT_FAILOVER_TRIGGERS } from '../src/services/failover.js';
 
 const SERVER_KEYS = {
     gemini: process.env.GEMINI_API_KEY || '',
@@ -7,6 +10,16 @@ const SERVER_KEYS = {
     openai: process.env.OPENAI_API_KEY || ''
 };
 
+// 클라이언트가 키를 보내지 않은 대체 모델에 서버 키를 쓸 수 있는 모델 (그 밖의 모델은 대체 순서에서 뺌)
+const SERVER_FALLBACK_MODELS = {
+    gemini: ['gemini-2.5-flash', 'gemini-2.0-flash'],
+    openai: ['gpt-4o-mini'],
+    claude: ['claude-haiku-4-5-20251001']
+};
+
+// 요청 하나에서 시도하는 대체 모델 수 상한 (기본 모델 제외)
+const MAX_FALLBACKS = 2;
+
 export const config = {
     runtime: 'edge',
 };
@@ -40,13 +53,35 @@ const LEARNING_SYSTEM_PROMPT = `
 }
 `;
 
+// 피드백 언어별 응답 언어 지시 (src/services/language.js의 FEEDBACK_LANGUAGES와 같은 id 사용)
+const OUTPUT_LANGUAGE_NAMES = {
+    en: '영어(English)',
+    ja: '일본어(日本語)',
+    zh: '중국어 간체(简体中文)'
+};
+
+/**
+ * 요청한 피드백 언어에 맞춘 시스템 프롬프트
+ * 한국어(기본)는 그대로 두고, 다른 언어는 응답 언어 지시를 덧붙임
+ */
+function getSystemPrompt(language) {
+    const languageName = OUTPUT_LANGUAGE_NAMES[language];
+    if (!languageName) return LEARNING_SYSTEM_PROMPT;
+
+    return `${LEARNING_SYSTEM_PROMPT}
+# 3. 응답 언어
+모든 설명과 피드백은 ${languageName}로 작성하십시오.
+채팅 원문 인용은 번역하지 말고 원문 언어 그대로 두십시오. JSON 키와 interactionMode 값은 영어 그대로 두십시오.
+`;
+}
+
 export default async function handler(req) {
     if (req.method !== 'POST') {
         return new Response(JSON.stringify({ error: 'Method not allowed' }), { status: 405 });
     }
 
     try {
-        const { prompt, provider = 'gemini', model, apiKey: singleApiKey, apiKeys: clientApiKeys = {} } = await req.json();
+        const { prompt, provider = 'gemini', model, language = 'ko', responseSchema, stream = false, apiKey: singleApiKey, apiKeys: clientApiKeys = {}, fallbackChain, failoverOn } = await req.json();
 
         // Helper for handling timeouts - return null instead of throwing to allow partial success
         const withTimeout = (promise, ms) => Promise.race([
@@ -59,9 +94,9 @@ export default async function handler(req) {
         // 1. Ensemble Mode
         if (provider === 'ensemble') {
             const results = await Promise.allSettled([
-                withTimeout(callProvider('gemini', prompt, clientApiKeys.gemini || SERVER_KEYS.gemini, 'gemini-2.5-flash'), TIMEOUT_MS),
-                withTimeout(callProvider('openai', prompt, clientApiKeys.openai || SERVER_KEYS.openai, 'gpt-4o-mini'), TIMEOUT_MS),
-                withTimeout(callProvider('claude', prompt, clientApiKeys.claude || SERVER_KEYS.claude, 'claude-haiku-4-5-20251001'), TIMEOUT_MS)
+                withTimeout(callProvider('gemini', prompt, clientApiKeys.gemini || SERVER_KEYS.gemini, 'gemini-2.5-flash', language, responseSchema, req.signal), TIMEOUT_MS),
+                withTimeout(callProvider('openai', prompt, clientApiKeys.openai || SERVER_KEYS.openai, 'gpt-4o-mini', language, responseSchema, req.signal), TIMEOUT_MS),
+                withTimeout(callProvider('claude', prompt, clientApiKeys.claude || SERVER_KEYS.claude, 'claude-haiku-4-5-20251001', language, responseSchema, req.signal), TIMEOUT_MS)
             ]);
 
             const successfulResults = results
@@ -81,45 +116,204 @@ export default async function handler(req) {
         }
 
         // 2. Single Provider Mode
+        // fallbackChain([{provider, model}])이 있으면 failoverOn에 든 종류의 오류가 날 때 다음 모델로 넘어감
         const effectiveApiKey = singleApiKey || clientApiKeys[provider] || SERVER_KEYS[provider];
 
         if (!effectiveApiKey) {
-            return new Response(JSON.stringify({ error: `API Key for ${provider} not configured.` }), { status: 500 });
+            return new Response(JSON.stringify({ error: `API Key for ${provider} not configured.`, kind: 'other' }), { status: 500 });
         }
 
-        const resultText = await withTimeout(
-            callProvider(provider, prompt, effectiveApiKey, model),
-            TIMEOUT_MS
-        );
-
-        return new Response(JSON.stringify({ text: resultText }), {
-            status: 200,
-            headers: { 'Content-Type': 'application/json' }
-        });
+        const triggers = Array.isArray(failoverOn) ? failoverOn : DEFAULT_FAILOVER_TRIGGERS;
+        const chain = buildFallbackChain({ provider, model }, fallbackChain)
+            .map((entry, i) => ({ ...entry, apiKey: i === 0 ? effectiveApiKey : getFallbackKey(entry, clientApiKeys) }))
+            .filter(entry => entry.apiKey)
+            .slice(0, MAX_FALLBACKS + 1);
+        const failover = [];
+
+        for (const [index, entry] of chain.entries()) {
+            const producedBy = { provider: entry.provider, model: entry.model };
+            try {
+                // 스트리밍 요청은 SSE로 응답 (첫 바이트 이후에는 25초 제한 없이 계속 전송, 스트림이 열린 뒤에는 전환하지 않음)
+                if (stream) {
+                    return await streamProvider(entry.provider, prompt, entry.apiKey, entry.model, language, responseSchema, { producedBy, failover }, req.signal);
+                }
+
+                const resultText = await withTimeout(
+                    callProvider(entry.provider, prompt, entry.apiKey, entry.model, language, responseSchema, req.signal),
+                    TIMEOUT_MS
+                );
+                if (resultText === null) {
+                    throw createProviderError(`${entry.provider} 응답 시간 초과 (${TIMEOUT_MS / 1000}초)`, { kind: 'timeout' });
+                }
+                if (triggers.includes('parse') && !containsJsonObject(resultText)) {
+                    throw createProviderError(`${entry.provider} 응답에서 JSON을 찾지 못했습니다.`, { kind: 'parse' });
+                }
+
+                return new Response(JSON.stringify({ text: resultText, producedBy, failover }), {
+                    status: 200,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            } catch (error) {
+                if (index === chain.length - 1 || !shouldFailover(error, triggers)) throw error;
+                console.warn(`Failover from ${entry.provider}:`, error.message);
+                failover.push({ ...producedBy, kind: classifyError(error), error: error.message });
+            }
+        }
 
     } catch (error) {
         console.error('API Error:', error);
-        return new Response(JSON.stringify({ error: error.message }), { status: 500 });
+        // 요청 한도 초과는 429와 Retry-After로 알려 클라이언트 스케줄러가 기다렸다가 다시 보내게 함
+        const kind = classifyError(error);
+        const headers = Number.isFinite(error.retryAfter) ? { 'Retry-After': String(Math.ceil(error.retryAfter / 1000)) } : {};
+        return new Response(JSON.stringify({ error: error.message, kind }), { status: kind === 'rateLimit' ? 429 : 500, headers });
+    }
+}
+
+// 응답 텍스트(마크다운 코드 블록 포함)에 파싱 가능한 JSON 객체가 있는지 확인
+function containsJsonObject(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return false;
+    try {
+        JSON.parse(text.slice(start, end + 1));
+        return true;
+    } catch {
+        return false;
     }
 }
 
+// 대체 모델에 쓸 키: 클라이언트가 보낸 키, 없으면 허용된 모델일 때만 서버 키
+function getFallbackKey({ provider, model }, clientApiKeys) {
+    if (clientApiKeys[provider]) return clientApiKeys[provider];
+    return SERVER_FALLBACK_MODELS[provider]?.includes(model) ? SERVER_KEYS[provider] : '';
+}
+
+// 스트리밍 중 토큰이 뜸할 때 연결이 끊기지 않도록 보내는 주석 이벤트 간격
+const KEEP_ALIVE_MS = 10000;
+
 /**
  * Call individual provider API
+ * signal(클라이언트 요청의 signal)이 끊기면 제공업체 요청도 중단합니다.
+ */
+async function callProvider(provider, prompt, apiKey, model, language, responseSchema, signal) {
+    const { url, options } = buildProviderRequest(provider, prompt, apiKey, model, language, responseSchema, false);
+    const response = await fetchProvider(provider, url, { ...options, signal });
+    const data = await response.json();
+    const blockReason = extractBlockReason(provider, data);
+    if (blockReason) throw createBlockedError(provider, blockReason);
+
+    // Extract text based on provider
+    if (provider === 'gemini') return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    if (provider === 'openai') return data.choices?.[0]?.message?.content || '';
+    if (provider === 'claude') {
+        // tool use 응답은 도구 입력(JSON 객체)이 곧 평가 결과
+        const toolUse = data.content?.find(block => block.type === 'tool_use');
+        if (toolUse) return JSON.stringify(toolUse.input);
+        return data.content?.find(block => block.type === 'text')?.text || '';
+    }
+
+    return '';
+}
+
+/**
+ * 제공업체 스트리밍 응답을 SSE로 전달
+ * 이벤트: delta({text}) 생성된 조각, done({text, producedBy, failover}) 전체 텍스트와 응답한 모델, error({error, kind}) 도중 오류
+ * 스트림을 열기 전 오류는 대체 모델로 넘어가거나 일반 JSON 오류 응답이 되도록 그대로 던집니다.
+ * 클라이언트가 연결을 끊으면(signal 또는 스트림 cancel) 제공업체 스트림도 멈춥니다.
+ */
+async function streamProvider(provider, prompt, apiKey, model, language, responseSchema, meta = {}, signal) {
+    const { url, options } = buildProviderRequest(provider, prompt, apiKey, model, language, responseSchema, true);
+    const upstream = await fetchProvider(provider, url, { ...options, signal });
+    const encoder = new TextEncoder();
+    const stop = new AbortController();
+    const onAbort = () => stop.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    let keepAlive = null;
+    let closed = false;
+
+    const body = new ReadableStream({
+        async start(controller) {
+            // 취소된 스트림에 쓰면 예외가 나므로 닫힌 뒤에는 보내지 않음
+            const enqueue = (chunk) => {
+                if (!closed) controller.enqueue(encoder.encode(chunk));
+            };
+            const send = (event, data) => enqueue(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            keepAlive = setInterval(() => enqueue(': keep-alive\n\n'), KEEP_ALIVE_MS);
+            try {
+                const text = await readProviderStream(upstream, provider, delta => send('delta', { text: delta }), stop.signal);
+                send('done', { text, ...meta });
+            } catch (error) {
+                send('error', { error: error.message, kind: classifyError(error) });
+            } finally {
+                clearInterval(keepAlive);
+                signal?.removeEventListener('abort', onAbort);
+                if (!closed) {
+                    closed = true;
+                    controller.close();
+                }
+            }
+        },
+        // 클라이언트가 응답을 그만 읽으면 keep-alive를 멈추고 제공업체 응답 본문을 취소
+        cancel(reason) {
+            closed = true;
+            clearInterval(keepAlive);
+            stop.abort(reason);
+        }
+    });
+
+    return new Response(body, {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform'
+        }
+    });
+}
+
+async function fetchProvider(provider, url, options) {
+    const response = await fetch(url, options);
+
+    if (!response.ok) {
+        const errData = await response.json().catch(() => ({}));
+        throw createProviderError(`${provider} Error: ${errData.error?.message || response.status}`, {
+            status: response.status,
+            retryAfter: parseRetryAfter(response.headers, errData)
+        });
+    }
+
+    return response;
+}
+
+/**
+ * 제공업체별 요청 URL과 fetch 옵션 생성
+ * responseSchema({name, schema})가 있으면 제공업체별 구조화 출력으로 응답 형식을 강제
+ * (Gemini responseSchema, OpenAI json_schema, Claude tool use)
+ * stream이면 제공업체의 SSE 스트리밍 API를 사용
  */
-async function callProvider(provider, prompt, apiKey, model) {
+function buildProviderRequest(provider, prompt, apiKey, model, language, responseSchema, stream) {
     if (!apiKey) throw new Error(`Missing API Key for ${provider}`);
 
+    const systemPrompt = getSystemPrompt(language);
+
     let url, options;
 
     if (provider === 'gemini') {
         const targetModel = model || 'gemini-2.5-pro';
-        url = `https://generativelanguage.googleapis.com/v1beta/models/${targetModel}:generateContent?key=${apiKey}`;
+        const method = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+        url = `https://generativelanguage.googleapis.com/v1beta/models/${targetModel}:${method}key=${apiKey}`;
         options = {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                contents: [{ parts: [{ text: LEARNING_SYSTEM_PROMPT + "\n\nUser Chat Log:\n" + prompt }] }],
-                generationConfig: { temperature: 0.3, maxOutputTokens: 8192 }
+                contents: [{ parts: [{ text: systemPrompt + "\n\nUser Chat Log:\n" + prompt }] }],
+                generationConfig: {
+                    temperature: 0.3,
+                    maxOutputTokens: 8192,
+                    ...(responseSchema ? {
+                        responseMimeType: 'application/json',
+                        responseSchema: toGeminiSchema(responseSchema.schema)
+                    } : {})
+                }
             })
         };
     } else if (provider === 'openai') {
@@ -134,11 +328,18 @@ async function callProvider(provider, prompt, apiKey, model) {
             body: JSON.stringify({
                 model: targetModel,
                 messages: [
-                    { role: 'system', content: LEARNING_SYSTEM_PROMPT },
+                    { role: 'system', content: systemPrompt },
                     { role: 'user', content: prompt }
                 ],
                 temperature: 0.3,
-                max_tokens: 8192
+                max_tokens: 8192,
+                ...(stream ? { stream: true } : {}),
+                ...(responseSchema && supportsOpenAISchema(targetModel) ? {
+                    response_format: {
+                        type: 'json_schema',
+                        json_schema: { name: responseSchema.name, strict: true, schema: toOpenAISchema(responseSchema.schema) }
+                    }
+                } : {})
             })
         };
     } else if (provider === 'claude') {
@@ -154,29 +355,20 @@ async function callProvider(provider, prompt, apiKey, model) {
             body: JSON.stringify({
                 model: targetModel,
                 max_tokens: 8192,
-                system: LEARNING_SYSTEM_PROMPT,
-                messages: [{ role: 'user', content: prompt }]
+                system: systemPrompt,
+                messages: [{ role: 'user', content: prompt }],
+                ...(stream ? { stream: true } : {}),
+                ...(responseSchema ? {
+                    tools: [toClaudeTool(responseSchema)],
+                    tool_choice: { type: 'tool', name: responseSchema.name }
+                } : {})
             })
         };
     } else {
         throw new Error(`Unknown provider: ${provider}`);
     }
 
-    const response = await fetch(url, options);
-
-    if (!response.ok) {
-        const errData = await response.json().catch(() => ({}));
-        throw new Error(`${provider} Error: ${errData.error?.message || response.status}`);
-    }
-
-    const data = await response.json();
-
-    // Extract text based on provider
-    if (provider === 'gemini') return data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-    if (provider === 'openai') return data.choices?.[0]?.message?.content || '';
-    if (provider === 'claude') return data.content?.[0]?.text || '';
-
-    return '';
+    return { url, options };
 }
 
 /**
@@ -0,0 +1,125 @@
+import {
+    ALLOWED_HOSTS,
+    detectSharePlatform,
+    parseChatGPTShareHtml,
+    parseClaudeSnapshot,
+    parseGeminiShareHtml
+} from './_lib/shareParsers.js';
+
+export const config = {
+    runtime: 'edge',
+};
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+
+const FETCH_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (compatible; AIChatEvaluator/1.0)',
+    'Accept-Language': 'ko-KR,ko;q=0.9,en;q=0.8'
+};
+
+const PASTE_HINT = '공유 링크를 불러올 수 없다면 대화 화면에서 직접 복사하여 "직접 붙여넣기" 탭을 이용해주세요.';
+
+/**
+ * 공개 공유 링크(chatgpt.com/share, claude.ai/share, g.co/gemini/share)에서 대화 추출
+ * POST { url } → { platform, title, turns: [{role, content}] }
+ */
+export default async function handler(req) {
+    if (req.method !== 'POST') {
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    let url;
+    try {
+        ({ url } = await req.json());
+    } catch {
+        return jsonResponse({ error: '요청 형식이 올바르지 않습니다. JSON 본문에 url을 넣어주세요.' }, 400);
+    }
+
+    try {
+        const share = detectSharePlatform(url);
+
+        if (!share) {
+            return jsonResponse({
+                error: '지원하지 않는 링크입니다. ChatGPT, Claude, Gemini의 공개 공유 링크를 입력해주세요.',
+                hint: '예: https://chatgpt.com/share/..., https://claude.ai/share/..., https://g.co/gemini/share/...'
+            }, 400);
+        }
+
+        const { title, turns } = await fetchSharedConversation(share);
+
+        if (turns.length === 0) {
+            return jsonResponse({
+                error: '공유 페이지에서 대화 내용을 찾지 못했습니다. 링크가 공개 상태인지 확인해주세요.',
+                hint: PASTE_HINT
+            }, 422);
+        }
+
+        return jsonResponse({ platform: share.platform, title, turns }, 200);
+    } catch (error) {
+        console.error('Parse Chat Error:', error);
+        return jsonResponse({ error: error.message, hint: PASTE_HINT }, 502);
+    }
+}
+
+async function fetchSharedConversation({ platform, shareId, url }) {
+    if (platform === 'claude') {
+        // Claude 공유 페이지는 클라이언트 렌더링이므로 페이지가 불러오는 스냅샷 데이터를 직접 요청
+        const snapshotUrl = `https://claude.ai/api/chat_snapshots/${shareId}?rendering_mode=messages&render_all_tools=true`;
+        const response = await fetchAllowed(snapshotUrl, 'application/json');
+        return parseClaudeSnapshot(await response.json());
+    }
+
+    const response = await fetchAllowed(url, 'text/html');
+    const html = await response.text();
+    return platform === 'chatgpt' ? parseChatGPTShareHtml(html) : parseGeminiShareHtml(html);
+}
+
+/**
+ * 허용된 호스트로만 요청
+ * 리디렉션(g.co 단축 링크 등)은 직접 따라가며, 다음 주소를 요청하기 전에 호스트를 확인합니다.
+ */
+async function fetchAllowed(url, accept) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+    try {
+        let target = new URL(url);
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            if (target.protocol !== 'https:' || !ALLOWED_HOSTS.includes(target.hostname)) {
+                throw new Error('허용되지 않은 주소로 리디렉션되었습니다.');
+            }
+
+            const response = await fetch(target.toString(), {
+                headers: { ...FETCH_HEADERS, Accept: accept },
+                redirect: 'manual',
+                signal: controller.signal
+            });
+
+            const location = response.headers.get('Location');
+            if (response.status >= 300 && response.status < 400 && location) {
+                target = new URL(location, target);
+                continue;
+            }
+            if (!response.ok) {
+                throw new Error(`공유 페이지를 불러오지 못했습니다. (HTTP ${response.status})`);
+            }
+            return response;
+        }
+        throw new Error(`리디렉션이 너무 많습니다. (${MAX_REDIRECTS}회 초과)`);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error(`공유 페이지 응답 시간 초과 (${FETCH_TIMEOUT_MS / 1000}초)`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+function jsonResponse(body, status) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
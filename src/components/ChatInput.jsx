@@ -1,65 +1,196 @@
 import { useState } from 'react'
+import { parseChatExport } from '../services/importers'
+import { parseClipboardHtml } from '../services/importers/clipboard'
+import { extractPdfText } from '../services/importers/pdf'
+import { detectSharePlatform, fetchSharedChat } from '../services/importers/shareLink'
+import { normalizeTranscript, serializeTranscript, buildSessionTranscript } from '../services/transcript'
+import SessionTimeline from './SessionTimeline'
 import './ChatInput.css'
 
-function ChatInput({ onSubmit, isLoading, disabled }) {
-    const [inputMethod, setInputMethod] = useState('paste') // 'paste', 'file'
-    const [chatContent, setChatContent] = useState('')
-    const [reflection, setReflection] = useState('')
+/**
+ * 파일을 텍스트로 읽기
+ */
+function readFileContent(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader()
+        reader.onload = (e) => resolve(e.target.result)
+        reader.onerror = () => reject(new Error('File reading failed'))
+        reader.readAsText(file)
+    })
+}
+
+/**
+ * 알려진 내보내기 형식이 아닌 파일은 원문 그대로 사용 (JSON은 보기 좋게 정렬)
+ */
+function formatRawContent(fileName, text) {
+    if (!fileName.toLowerCase().endsWith('.json')) return text
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2)
+    } catch {
+        return text
+    }
+}
+
+/**
+ * 파일 하나를 대화 목록으로 변환 (내보내기 파일이 아니면 파일 전체를 원문(raw)과 함께 하나의 대화로)
+ */
+async function readConversations(file) {
+    // PDF는 추출한 텍스트를 일반 텍스트 파일처럼 처리
+    const isPdf = file.name.toLowerCase().endsWith('.pdf')
+    const text = isPdf ? await extractPdfText(file) : await readFileContent(file)
+    const parsed = isPdf ? null : parseChatExport(file.name, text)
+
+    if (parsed) {
+        return parsed.map(conversation => ({
+            ...conversation,
+            id: `${file.name}:${conversation.id}`,
+            source: file.name
+        }))
+    }
+
+    const raw = formatRawContent(file.name, text)
+    return [{
+        id: file.name,
+        title: file.name.replace(/\.[^.]+$/, ''),
+        createdAt: file.lastModified || null,
+        turns: normalizeTranscript(raw),
+        source: file.name,
+        raw
+    }]
+}
+
+function formatConversationDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleDateString('ko-KR') : ''
+}
+
+function ChatInput({ onSubmit, isLoading, disabled, initialContent = '', initialTurns = null, initialReflection = '' }) {
+    const [inputMethod, setInputMethod] = useState('paste') // 'paste', 'file', 'link'
+    const [chatContent, setChatContent] = useState(initialContent)
+    // 가져온 대화의 턴 구조와 그때 표시한 텍스트 (텍스트를 고치면 쓰지 않고 붙여넣은 텍스트로 다시 정규화)
+    const [imported, setImported] = useState(initialTurns ? { text: initialContent, turns: initialTurns } : null)
+    const [reflection, setReflection] = useState(initialReflection)
+    const [conversations, setConversations] = useState([]) // 내보내기 파일 속 대화 목록
+    const [sessions, setSessions] = useState([]) // 프로젝트 타임라인에 담긴 세션
+    const [manualOrder, setManualOrder] = useState(false)
+    const [pasteNotice, setPasteNotice] = useState('')
+    const [shareUrl, setShareUrl] = useState('')
+    const [linkStatus, setLinkStatus] = useState({ loading: false, error: '', hint: '' })
+    const [isReadingFiles, setIsReadingFiles] = useState(false)
 
     const handleSubmit = async (e) => {
         e.preventDefault()
 
         if (inputMethod === 'paste') {
             if (!chatContent.trim()) return
-            onSubmit(chatContent, reflection)
+            onSubmit(chatContent, reflection, imported?.text === chatContent ? imported.turns : null)
         }
     }
 
-    const handleFileUpload = async (e) => {
-        const file = e.target.files?.[0]
-        if (!file) return
+    // 가져온 턴을 텍스트로 보여주되, 평가에는 턴 구조를 그대로 넘김
+    const loadTurns = (turns) => {
+        const text = serializeTranscript(turns)
+        setChatContent(text)
+        setImported({ text, turns })
+    }
 
+    // 채팅 화면에서 복사한 서식 있는 내용(text/html)은 턴 구조를 살려서 붙여넣기
+    const handlePaste = (e) => {
+        const turns = parseClipboardHtml(e.clipboardData?.getData('text/html'))
+        if (!turns) {
+            setPasteNotice('')
+            return
+        }
+
+        e.preventDefault()
+        const textarea = e.target
+        const before = chatContent.slice(0, textarea.selectionStart)
+        const after = chatContent.slice(textarea.selectionEnd)
+        // 기존 내용 중간에 붙여넣으면 합친 텍스트를 다시 정규화함
+        if (before.trim() || after.trim()) setChatContent(before + serializeTranscript(turns) + after)
+        else loadTurns(turns)
+        setPasteNotice(`채팅 화면 서식을 인식하여 ${turns.length}개의 턴으로 정리했습니다.`)
+    }
+
+    const handleLinkImport = async () => {
+        setLinkStatus({ loading: true, error: '', hint: '' })
         try {
-            const text = await readFileContent(file)
-            setChatContent(text)
+            const { title, turns } = await fetchSharedChat(shareUrl)
+            loadTurns(turns)
+            setPasteNotice(`공유 링크${title ? ` "${title}"` : ''}에서 ${turns.length}개의 턴을 불러왔습니다.`)
+            setLinkStatus({ loading: false, error: '', hint: '' })
             setInputMethod('paste')
+        } catch (err) {
+            console.error('Share link import error:', err)
+            setLinkStatus({ loading: false, error: err.message, hint: err.hint || '' })
+        }
+    }
+
+    // 세션 추가 (같은 대화는 한 번만, 직접 순서를 바꾸기 전까지는 시간순 유지)
+    const addSessions = (entries) => {
+        setSessions(prev => {
+            const existingIds = new Set(prev.map(session => session.id))
+            const added = entries
+                .filter(entry => !existingIds.has(entry.id) && entry.turns.length > 0)
+                .map(entry => ({
+                    id: entry.id,
+                    label: entry.title,
+                    timestamp: entry.createdAt,
+                    turns: entry.turns,
+                    source: entry.source
+                }))
+            const next = [...prev, ...added]
+            return manualOrder ? next : next.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+        })
+    }
+
+    const handleSessionsChange = (next, { manual } = {}) => {
+        setSessions(next)
+        if (manual !== undefined) setManualOrder(manual)
+    }
+
+    const handleFileUpload = async (e) => {
+        const files = Array.from(e.target.files || [])
+        e.target.value = '' // 같은 파일을 다시 선택할 수 있도록 초기화
+        if (files.length === 0) return
+
+        setIsReadingFiles(true)
+        try {
+            const results = await Promise.all(files.map(readConversations))
+
+            // 단일 파일·단일 대화는 바로 붙여넣기 탭으로
+            if (files.length === 1 && results[0].length === 1 && sessions.length === 0) {
+                const [entry] = results[0]
+                if (entry.raw === undefined) loadTurns(entry.turns)
+                else setChatContent(entry.raw)
+                setInputMethod('paste')
+                return
+            }
+
+            // 여러 대화가 담긴 내보내기 파일은 선택 목록으로, 나머지는 타임라인에 바로 추가
+            addSessions(results.filter(list => list.length === 1).flat())
+            setConversations(prev => [...prev, ...results.filter(list => list.length > 1).flat()])
         } catch (err) {
             console.error('File read error:', err)
             alert(`파일 읽기 실패: ${err.message}`)
+        } finally {
+            setIsReadingFiles(false)
         }
     }
 
-    const readFileContent = (file) => {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader()
-
-            reader.onload = (e) => {
-                const content = e.target.result
-
-                // Helper to parse JSON if applicable
-                if (file.name.endsWith('.json')) {
-                    try {
-                        const json = JSON.parse(content)
-                        // Try to extract messages from ChatGPT export format
-                        // Logic simplified for general JSON structure or specific exports
-                        if (Array.isArray(json)) {
-                            // Assuming standard export format where each item is a conversation or message
-                            // This is a naive implementation, real export structure depends on provider
-                            resolve(JSON.stringify(json, null, 2))
-                        } else {
-                            resolve(JSON.stringify(json, null, 2))
-                        }
-                    } catch (parseErr) {
-                        resolve(content) // Fallback to raw text
-                    }
-                } else {
-                    resolve(content)
-                }
-            }
+    const handleConversationSelect = (conversation) => {
+        addSessions([conversation])
+        setConversations(prev => prev.filter(c => c.id !== conversation.id))
+    }
 
-            reader.onerror = (e) => reject(new Error('File reading failed'))
-            reader.readAsText(file) // Read everything as text first
-        })
+    const handleCombineSessions = () => {
+        loadTurns(sessions.length > 1 ? buildSessionTranscript(sessions) : sessions[0].turns)
+        if (sessions.length > 1) {
+            setPasteNotice(`${sessions.length}개 세션을 하나의 프로젝트 기록으로 합쳤습니다.`)
+        }
+        setSessions([])
+        setConversations([])
+        setManualOrder(false)
+        setInputMethod('paste')
     }
 
     return (
@@ -80,6 +211,13 @@ function ChatInput({ onSubmit, isLoading, disabled }) {
                 >
                     📁 파일 업로드
                 </button>
+                <button
+                    type="button"
+                    className={`method-tab ${inputMethod === 'link' ? 'active' : ''}`}
+                    onClick={() => setInputMethod('link')}
+                >
+                    🔗 공유 링크
+                </button>
             </div>
 
             <form onSubmit={handleSubmit} className="chat-input-form">
@@ -94,11 +232,12 @@ function ChatInput({ onSubmit, isLoading, disabled }) {
                             className="input textarea chat-textarea"
                             value={chatContent}
                             onChange={(e) => setChatContent(e.target.value)}
+                            onPaste={handlePaste}
                             placeholder="ChatGPT, Claude, Gemini 등에서 대화 내용을 복사해서 여기에 붙여넣으세요.&#10;&#10;예시:&#10;사용자: 프롬프트 엔지니어링이란 무엇인가요?&#10;AI: 프롬프트 엔지니어링은..."
                             disabled={isLoading || disabled}
                         />
                         <p className="input-hint">
-                            💡 전체 대화를 복사하면 더 정확한 평가가 가능합니다
+                            {pasteNotice ? `✅ ${pasteNotice}` : '💡 전체 대화를 복사하면 더 정확한 평가가 가능합니다'}
                         </p>
                     </div>
                 )}
@@ -107,21 +246,111 @@ function ChatInput({ onSubmit, isLoading, disabled }) {
                 {inputMethod === 'file' && (
                     <div className="input-section">
                         <label className="input-label">
-                            채팅 파일 업로드 (.txt, .json, .md, .html)
+                            채팅 파일 업로드 (.txt, .json, .md, .html, .pdf)
                         </label>
                         <div className="file-upload-area">
                             <input
                                 type="file"
                                 id="chatFile"
-                                accept=".txt,.json,.md,.html,.csv"
+                                accept=".txt,.json,.md,.html,.csv,.pdf"
+                                multiple
                                 onChange={handleFileUpload}
                                 className="file-input"
-                                disabled={isLoading}
+                                disabled={isLoading || isReadingFiles}
                             />
                             <div className="file-upload-placeholder">
                                 <span className="upload-icon">📂</span>
-                                <p>클릭하여 파일을 선택하거나 이곳으로 드래그하세요</p>
-                                <p className="upload-hint">지원 형식: txt, json, html, md</p>
+                                <p>{isReadingFiles ? '파일을 읽는 중입니다...' : '클릭하여 파일을 선택하거나 이곳으로 드래그하세요'}</p>
+                                <p className="upload-hint">여러 파일을 한 번에 올리면 하나의 프로젝트 타임라인으로 합칠 수 있어요</p>
+                                <p className="upload-hint">지원 형식: txt, json, html, md, pdf (PDF로 인쇄한 채팅)</p>
+                            </div>
+                        </div>
+                        <p className="input-hint">
+                            💡 ChatGPT·Claude 데이터 내보내기(conversations.json)나 Gemini 구글 테이크아웃(내 활동.html)을 그대로 올리면 대화만 자동으로 추출됩니다.
+                        </p>
+
+                        {conversations.length > 0 && (
+                            <div className="conversation-picker">
+                                <div className="conversation-picker-header">
+                                    <p className="conversation-picker-title">
+                                        내보내기 파일에서 {conversations.length}개의 대화를 찾았습니다. 평가할 대화를 선택하세요. (여러 개 선택 가능)
+                                    </p>
+                                    <button type="button" className="btn btn-ghost btn-sm" onClick={() => setConversations([])}>
+                                        닫기
+                                    </button>
+                                </div>
+                                <ul className="conversation-list">
+                                    {[...conversations]
+                                        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+                                        .map(conversation => (
+                                            <li key={conversation.id}>
+                                                <button
+                                                    type="button"
+                                                    className="conversation-item"
+                                                    onClick={() => handleConversationSelect(conversation)}
+                                                >
+                                                    <span className="conversation-title">{conversation.title}</span>
+                                                    <span className="conversation-meta">
+                                                        {formatConversationDate(conversation.createdAt)} · {conversation.turns.length}개 메시지
+                                                    </span>
+                                                </button>
+                                            </li>
+                                        ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {sessions.length > 0 && (
+                            <SessionTimeline
+                                sessions={sessions}
+                                onChange={handleSessionsChange}
+                                onCombine={handleCombineSessions}
+                            />
+                        )}
+                    </div>
+                )}
+
+                {/* Share Link Method */}
+                {inputMethod === 'link' && (
+                    <div className="input-section">
+                        <label htmlFor="shareUrl" className="input-label">
+                            대화 공유 링크를 입력하세요
+                        </label>
+                        <input
+                            type="url"
+                            id="shareUrl"
+                            className="input"
+                            value={shareUrl}
+                            onChange={(e) => setShareUrl(e.target.value)}
+                            placeholder="https://chatgpt.com/share/..."
+                            disabled={isLoading || linkStatus.loading}
+                        />
+                        {detectSharePlatform(shareUrl) && (
+                            <div className="link-preview">
+                                <span className="platform-badge">✓ {detectSharePlatform(shareUrl)} 공유 링크</span>
+                            </div>
+                        )}
+                        <button
+                            type="button"
+                            className="btn btn-secondary"
+                            style={{ marginTop: 'var(--spacing-3)' }}
+                            onClick={handleLinkImport}
+                            disabled={isLoading || linkStatus.loading || !detectSharePlatform(shareUrl)}
+                        >
+                            {linkStatus.loading ? '불러오는 중...' : '📥 대화 불러오기'}
+                        </button>
+                        {linkStatus.error && (
+                            <div className="link-error">
+                                {linkStatus.error}
+                                {linkStatus.hint && <><br />{linkStatus.hint}</>}
+                            </div>
+                        )}
+                        <div className="link-platforms">
+                            <p className="platforms-title">지원 플랫폼 (공개 공유 링크만 가능)</p>
+                            <div className="platforms-list">
+                                <span className="platform-item">ChatGPT · chatgpt.com/share</span>
+                                <span className="platform-item">Claude · claude.ai/share</span>
+                                <span className="platform-item">Gemini · g.co/gemini/share</span>
                             </div>
                         </div>
                     </div>
@@ -158,7 +387,7 @@ function ChatInput({ onSubmit, isLoading, disabled }) {
                         </>
                     ) : (
                         <>
-                            🚀 평가 시작
+                            🔍 대화 기록 확인
                         </>
                     )}
                 </button>
@@ -1,12 +1,14 @@
 import { useState } from 'react'
 import { useEvaluation } from '../context/EvaluationContext'
 import { RUBRIC_TEMPLATES } from '../data/rubricTemplates'
+import { FEEDBACK_LANGUAGES, resolveFeedbackLanguage } from '../services/language'
 import './RubricEditor.css'
 
 function RubricEditor({ rubric, onSave, onCancel }) {
     const { DEFAULT_RUBRIC } = useEvaluation()
 
     const [name, setName] = useState(rubric?.name || '')
+    const [language, setLanguage] = useState(resolveFeedbackLanguage(null, rubric))
     const [criteria, setCriteria] = useState(
         rubric?.criteria || []
     )
@@ -89,6 +91,7 @@ function RubricEditor({ rubric, onSave, onCancel }) {
             }
 
             if (newName) setName(newName)
+            if (parsed.language) setLanguage(resolveFeedbackLanguage(parsed.language))
             if (parsed.criteria && Array.isArray(parsed.criteria)) {
                 setCriteria(parsed.criteria.map((c, i) => ({
                     id: c.id || Date.now().toString() + i,
@@ -143,7 +146,7 @@ function RubricEditor({ rubric, onSave, onCancel }) {
             return
         }
 
-        onSave({ name, criteria })
+        onSave({ name, criteria, language })
     }
 
     return (
@@ -252,6 +255,24 @@ function RubricEditor({ rubric, onSave, onCancel }) {
                 />
             </div>
 
+            {/* Feedback Language */}
+            <div className="form-group">
+                <label htmlFor="rubricLanguage">피드백 언어</label>
+                <select
+                    id="rubricLanguage"
+                    className="input"
+                    value={language}
+                    onChange={(e) => setLanguage(e.target.value)}
+                >
+                    {FEEDBACK_LANGUAGES.map(l => (
+                        <option key={l.id} value={l.id}>{l.label}</option>
+                    ))}
+                </select>
+                <p className="form-hint">
+                    평가 설명과 피드백을 이 언어로 작성합니다. 채팅 원문 인용은 대화 언어 그대로 유지됩니다.
+                </p>
+            </div>
+
             {/* Criteria List */}
             <div className="criteria-section">
                 <div className="section-header">
@@ -0,0 +1,91 @@
+import { useState } from 'react'
+import './SessionTimeline.css'
+
+/**
+ * SessionTimeline - 여러 채팅 세션을 프로젝트 타임라인으로 정렬
+ * 세션은 기본적으로 기록 시각 순으로 정렬되며, 끌어서 놓기나 ↑↓ 버튼으로 순서를 바꿀 수 있습니다.
+ *
+ * Props:
+ *   sessions   - [{id, label, timestamp, turns, source}]
+ *   onChange   - 세션 목록 변경 콜백 (sessions, { manual }) => void
+ *   onCombine  - 타임라인 확정 콜백 () => void
+ */
+function SessionTimeline({ sessions, onChange, onCombine }) {
+    const [dragIndex, setDragIndex] = useState(null)
+
+    const move = (from, to) => {
+        if (to < 0 || to >= sessions.length || from === to) return
+        const next = [...sessions]
+        const [moved] = next.splice(from, 1)
+        next.splice(to, 0, moved)
+        onChange(next, { manual: true })
+    }
+
+    const updateLabel = (id, label) => {
+        onChange(sessions.map(s => s.id === id ? { ...s, label } : s))
+    }
+
+    const remove = (id) => {
+        onChange(sessions.filter(s => s.id !== id))
+    }
+
+    const sortByTime = () => {
+        onChange([...sessions].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0)), { manual: false })
+    }
+
+    return (
+        <div className="session-timeline">
+            <div className="session-timeline-header">
+                <p className="session-timeline-title">📅 프로젝트 타임라인 ({sessions.length}개 세션)</p>
+                <button type="button" className="btn btn-ghost btn-sm" onClick={sortByTime}>
+                    🕒 시간순 정렬
+                </button>
+            </div>
+
+            <ol className="session-list">
+                {sessions.map((session, index) => (
+                    <li
+                        key={session.id}
+                        className={`session-item ${dragIndex === index ? 'dragging' : ''}`}
+                        draggable
+                        onDragStart={() => setDragIndex(index)}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={(e) => {
+                            e.preventDefault()
+                            if (dragIndex !== null) move(dragIndex, index)
+                            setDragIndex(null)
+                        }}
+                        onDragEnd={() => setDragIndex(null)}
+                    >
+                        <span className="session-handle" aria-hidden="true">⋮⋮</span>
+                        <span className="session-number">{index + 1}</span>
+                        <div className="session-body">
+                            <input
+                                type="text"
+                                className="input session-label-input"
+                                value={session.label}
+                                onChange={(e) => updateLabel(session.id, e.target.value)}
+                                aria-label={`세션 ${index + 1} 이름`}
+                            />
+                            <span className="session-meta">
+                                {session.timestamp ? new Date(session.timestamp).toLocaleString('ko-KR') : '시각 정보 없음'}
+                                {' · '}{session.turns.length}개 턴 · {session.source}
+                            </span>
+                        </div>
+                        <div className="session-actions">
+                            <button type="button" className="btn btn-ghost btn-sm" onClick={() => move(index, index - 1)} disabled={index === 0} aria-label="위로">↑</button>
+                            <button type="button" className="btn btn-ghost btn-sm" onClick={() => move(index, index + 1)} disabled={index === sessions.length - 1} aria-label="아래로">↓</button>
+                            <button type="button" className="btn btn-ghost btn-sm" onClick={() => remove(session.id)} aria-label="삭제">🗑</button>
+                        </div>
+                    </li>
+                ))}
+            </ol>
+
+            <button type="button" className="btn btn-secondary session-combine-btn" onClick={onCombine} disabled={sessions.length === 0}>
+                {sessions.length > 1 ? `🧩 ${sessions.length}개 세션을 하나의 기록으로 합치기` : '➡️ 이 대화로 진행'}
+            </button>
+        </div>
+    )
+}
+
+export default SessionTimeline
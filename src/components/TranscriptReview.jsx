@@ -0,0 +1,169 @@
+import { Fragment, useState, useRef } from 'react'
+import { ROLE_LABELS } from '../services/transcript'
+import { FEEDBACK_LANGUAGES, detectLanguage, resolveFeedbackLanguage } from '../services/language'
+import './TranscriptReview.css'
+
+let nextTurnId = 0
+const withIds = (turns) => turns.map(turn => ({ ...turn, id: nextTurnId++, excluded: false }))
+
+/**
+ * TranscriptReview - 평가 전 대화 기록 확인/정리 단계
+ * 감지된 턴을 말풍선으로 보여주고, 화자 수정·삭제·병합·분할·제외 후 제출합니다.
+ *
+ * Props:
+ *   transcript      - normalizeTranscript 결과 [{role, content}]
+ *   defaultLanguage - 처음 선택된 피드백 언어 (보통 루브릭 언어)
+ *   onConfirm       - 확정된 대화 기록과 피드백 언어 제출 콜백 (turns, language) => void
+ *   onBack          - 입력 단계로 돌아가기 콜백 () => void
+ *   isLoading       - 평가 진행 중 여부
+ */
+function TranscriptReview({ transcript, defaultLanguage, onConfirm, onBack, isLoading }) {
+    const [turns, setTurns] = useState(() => withIds(transcript))
+    const [language, setLanguage] = useState(() => resolveFeedbackLanguage(defaultLanguage))
+    const cursorPositions = useRef({})
+
+    const includedTurns = turns.filter(turn => !turn.excluded && turn.content.trim())
+    const userTurnCount = includedTurns.filter(turn => turn.role === 'user').length
+    const transcriptLanguage = FEEDBACK_LANGUAGES.find(l => l.id === detectLanguage(includedTurns))
+
+    const updateTurn = (id, updates) => {
+        setTurns(prev => prev.map(turn => turn.id === id ? { ...turn, ...updates } : turn))
+    }
+
+    const removeTurn = (id) => {
+        setTurns(prev => prev.filter(turn => turn.id !== id))
+    }
+
+    const mergeWithPrevious = (index) => {
+        setTurns(prev => {
+            const previous = prev[index - 1]
+            const current = prev[index]
+            const merged = { ...previous, content: `${previous.content}\n\n${current.content}` }
+            return [...prev.slice(0, index - 1), merged, ...prev.slice(index + 1)]
+        })
+    }
+
+    // 마지막 커서 위치에서 턴을 둘로 나눔 (뒷부분은 반대 화자로 지정)
+    const splitTurn = (index) => {
+        setTurns(prev => {
+            const turn = prev[index]
+            const position = cursorPositions.current[turn.id]
+            if (!position || position >= turn.content.length) return prev
+
+            const head = turn.content.slice(0, position).trim()
+            const tail = turn.content.slice(position).trim()
+            if (!head || !tail) return prev
+
+            const [second] = withIds([{ ...turn, role: turn.role === 'user' ? 'assistant' : 'user', content: tail }])
+            return [...prev.slice(0, index), { ...turn, content: head }, second, ...prev.slice(index + 1)]
+        })
+    }
+
+    const handleConfirm = () => {
+        onConfirm(includedTurns.map(({ role, content, session }) => ({
+            role,
+            content: content.trim(),
+            ...(session ? { session } : {})
+        })), language)
+    }
+
+    return (
+        <div className="transcript-review card">
+            <div className="review-header">
+                <div>
+                    <h3>🔍 대화 기록 확인</h3>
+                    <p className="review-description">
+                        붙여넣은 내용을 이렇게 이해했어요. 화자가 잘못되었거나 관련 없는 내용이 있다면 고친 뒤 평가를 시작하세요.
+                        평가 근거는 여기서 확정한 내용에서만 인용됩니다.
+                    </p>
+                </div>
+                <div className="review-summary">
+                    <span className="badge badge-primary">{includedTurns.length}개 턴</span>
+                    <span className="badge">내 질문 {userTurnCount}개</span>
+                    {transcriptLanguage && <span className="badge">대화 언어: {transcriptLanguage.label}</span>}
+                </div>
+            </div>
+
+            <ol className="review-turns">
+                {turns.map((turn, index) => (
+                    <Fragment key={turn.id}>
+                        {turn.session && turn.session !== turns[index - 1]?.session && (
+                            <li className="review-session-divider">{turn.session}</li>
+                        )}
+                        <li className={`review-turn role-${turn.role} ${turn.excluded ? 'excluded' : ''}`}>
+                            <div className="review-turn-toolbar">
+                                <select
+                                    className="review-role-select"
+                                    value={turn.role}
+                                    onChange={(e) => updateTurn(turn.id, { role: e.target.value })}
+                                    aria-label="화자 선택"
+                                >
+                                    {Object.entries(ROLE_LABELS).map(([role, label]) => (
+                                        <option key={role} value={role}>{label}</option>
+                                    ))}
+                                </select>
+                                <div className="review-turn-actions">
+                                    {index > 0 && (
+                                        <button type="button" className="btn btn-ghost btn-sm" onClick={() => mergeWithPrevious(index)} title="위 턴과 합치기">
+                                            ⤴ 합치기
+                                        </button>
+                                    )}
+                                    <button type="button" className="btn btn-ghost btn-sm" onClick={() => splitTurn(index)} title="커서 위치에서 나누기">
+                                        ✂ 나누기
+                                    </button>
+                                    <button type="button" className="btn btn-ghost btn-sm" onClick={() => updateTurn(turn.id, { excluded: !turn.excluded })}>
+                                        {turn.excluded ? '↩ 포함' : '🚫 제외'}
+                                    </button>
+                                    <button type="button" className="btn btn-ghost btn-sm" onClick={() => removeTurn(turn.id)} title="삭제">
+                                        🗑
+                                    </button>
+                                </div>
+                            </div>
+                            <textarea
+                                className="review-turn-content"
+                                value={turn.content}
+                                rows={Math.min(12, turn.content.split('\n').length + 1)}
+                                onChange={(e) => updateTurn(turn.id, { content: e.target.value })}
+                                onSelect={(e) => { cursorPositions.current[turn.id] = e.target.selectionStart }}
+                                disabled={turn.excluded}
+                            />
+                        </li>
+                    </Fragment>
+                ))}
+            </ol>
+
+            {userTurnCount === 0 && (
+                <p className="review-warning">⚠️ 사용자 턴이 없습니다. 내 질문에 해당하는 턴의 화자를 '사용자'로 바꿔주세요.</p>
+            )}
+
+            <div className="review-actions">
+                <button type="button" className="btn btn-ghost" onClick={onBack} disabled={isLoading}>
+                    ← 다시 입력
+                </button>
+                <label className="review-language">
+                    피드백 언어
+                    <select
+                        className="review-role-select"
+                        value={language}
+                        onChange={(e) => setLanguage(e.target.value)}
+                        disabled={isLoading}
+                    >
+                        {FEEDBACK_LANGUAGES.map(l => (
+                            <option key={l.id} value={l.id}>{l.label}</option>
+                        ))}
+                    </select>
+                </label>
+                <button
+                    type="button"
+                    className="btn btn-primary btn-lg"
+                    onClick={handleConfirm}
+                    disabled={isLoading || includedTurns.length === 0}
+                >
+                    🚀 이대로 평가 시작
+                </button>
+            </div>
+        </div>
+    )
+}
+
+export default TranscriptReview
@@ -1,4 +1,7 @@
 import ModelSelector from './ModelSelector'
+import FallbackChainEditor from './FallbackChainEditor'
+import { DEFAULT_SCORE_DISCREPANCY_MARGIN, AGGREGATION_STRATEGIES, DEFAULT_AGGREGATION_STRATEGY, ADAPTIVE_RUNS, DEFAULT_MAX_EVALUATION_RUNS } from '../../constants'
+import { getEnsembleMembers } from '../../services/ensemble'
 
 const GEMINI_MODELS = [
     { value: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash' },
@@ -37,6 +40,8 @@ function ApiSettingsTab({
     unlockApiWithPin,
     showSaveMessage,
 }) {
+    const ensembleMembers = getEnsembleMembers(apiSettings)
+
     const handleApiSave = () => {
         saveGlobalSettings(apiSettings)
         showSaveMessage('API 설정이 전 세계(서버 및 로컬)에 저장되었습니다.')
@@ -69,9 +74,24 @@ function ApiSettingsTab({
                     <option value="claude">
                         Anthropic Claude {apiSettings.apiKeys?.claude ? '✅' : '⚠️'}
                     </option>
+                    <option value="ensemble">
+                        앙상블 (여러 모델 동시 평가) {ensembleMembers.length >= 2 ? '✅' : '⚠️'}
+                    </option>
                 </select>
+                {apiSettings.provider === 'ensemble' && (
+                    <p className="form-hint" style={{ marginTop: '8px' }}>
+                        {ensembleMembers.length >= 2
+                            ? `API 키가 있는 모델 ${ensembleMembers.length}개(${ensembleMembers.map(m => m.model).join(', ')})로 동시에 평가해 항목별 평균으로 합의합니다. API 비용이 모델 수만큼 늘어납니다.`
+                            : '⚠️ 앙상블 평가에는 아래에서 API 키를 2개 이상 입력해야 합니다.'}
+                    </p>
+                )}
             </div>
 
+            {/* 실패 시 대체 모델 */}
+            {apiSettings.provider !== 'ensemble' && (
+                <FallbackChainEditor apiSettings={apiSettings} setApiSettings={setApiSettings} />
+            )}
+
             {/* K-Run 평가 신뢰도 설정 */}
             <div className="form-group evaluation-runs-group">
                 <label className="section-label">🔄 평가 신뢰도 설정</label>
@@ -105,6 +125,129 @@ function ApiSettingsTab({
                         {apiSettings.evaluationRuns}배
                     </p>
                 )}
+                {(apiSettings.evaluationRuns || 1) > 1 && (
+                    <>
+                        <label className="service-option" style={{ marginTop: '12px' }}>
+                            <input
+                                type="checkbox"
+                                checked={!!apiSettings.adaptiveRuns}
+                                onChange={(e) => setApiSettings({ ...apiSettings, adaptiveRuns: e.target.checked })}
+                            />
+                            <span>적응형 실행 (점수가 일치하면 일찍 멈추고, 엇갈리면 실행 추가)</span>
+                        </label>
+                        {apiSettings.adaptiveRuns && (
+                            <div className="form-group" style={{ marginTop: '8px' }}>
+                                <label htmlFor="maxEvaluationRuns">최대 실행 횟수</label>
+                                <input
+                                    type="number"
+                                    id="maxEvaluationRuns"
+                                    className="input"
+                                    min={apiSettings.evaluationRuns}
+                                    max={10}
+                                    value={apiSettings.maxEvaluationRuns || DEFAULT_MAX_EVALUATION_RUNS}
+                                    onChange={(e) =>
+                                        setApiSettings({
+                                            ...apiSettings,
+                                            maxEvaluationRuns: Math.min(10, Math.max(apiSettings.evaluationRuns, parseInt(e.target.value, 10) || 0)),
+                                        })
+                                    }
+                                />
+                                <p className="form-hint">
+                                    먼저 {Math.min(apiSettings.evaluationRuns, ADAPTIVE_RUNS.firstBatch)}회 실행해 항목 점수가 같으면 남은 실행을 건너뛰고,
+                                    {' '}{apiSettings.evaluationRuns}회 뒤에도 점수가 크게 엇갈리는 항목이 있으면 이 횟수까지 실행을 추가합니다.
+                                </p>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+
+            {/* K-run·앙상블 결과 종합 방식 */}
+            <div className="form-group">
+                <label htmlFor="aggregationStrategy" className="section-label">📊 결과 종합 방식</label>
+                <p className="form-hint" style={{ marginBottom: '12px' }}>
+                    여러 번 평가(2회 이상)하거나 앙상블로 평가할 때 항목 점수를 하나로 모으는 방식입니다.
+                </p>
+                <select
+                    id="aggregationStrategy"
+                    className="input"
+                    value={apiSettings.aggregationStrategy || DEFAULT_AGGREGATION_STRATEGY}
+                    onChange={(e) => setApiSettings({ ...apiSettings, aggregationStrategy: e.target.value })}
+                >
+                    {AGGREGATION_STRATEGIES.map(strategy => (
+                        <option key={strategy.id} value={strategy.id}>
+                            {strategy.label} - {strategy.description}
+                        </option>
+                    ))}
+                </select>
+                <label className="service-option" style={{ marginTop: '12px' }}>
+                    <input
+                        type="checkbox"
+                        checked={apiSettings.narrativeSynthesis !== false}
+                        onChange={(e) => setApiSettings({ ...apiSettings, narrativeSynthesis: e.target.checked })}
+                    />
+                    <span>정성 평가·AI 활용 특징·생활기록부 초안을 AI로 한 번 더 종합 (API 호출 1회 추가)</span>
+                </label>
+            </div>
+
+            {/* 비용 확인 기준 */}
+            <div className="form-group">
+                <label htmlFor="costConfirmThreshold" className="section-label">💰 비용 확인 기준 (USD)</label>
+                <p className="form-hint" style={{ marginBottom: '12px' }}>
+                    평가 1건의 예상 비용이 이 금액을 넘으면 평가 전에 확인 창을 띄웁니다. 0이면 확인하지 않습니다.
+                </p>
+                <input
+                    type="number"
+                    id="costConfirmThreshold"
+                    className="input"
+                    min={0}
+                    step={0.01}
+                    value={apiSettings.costConfirmThreshold || 0}
+                    onChange={(e) =>
+                        setApiSettings({
+                            ...apiSettings,
+                            costConfirmThreshold: Math.max(0, parseFloat(e.target.value) || 0),
+                        })
+                    }
+                />
+            </div>
+
+            {/* 총점 차이 허용 범위 */}
+            <div className="form-group">
+                <label htmlFor="scoreDiscrepancyMargin" className="section-label">🧮 총점 차이 허용 범위 (점)</label>
+                <p className="form-hint" style={{ marginBottom: '12px' }}>
+                    총점은 항목 점수와 가중치로 직접 계산합니다. AI가 보고한 총점과 이 값보다 크게 다르면 결과 화면에 표시합니다.
+                </p>
+                <input
+                    type="number"
+                    id="scoreDiscrepancyMargin"
+                    className="input"
+                    min={0}
+                    step={1}
+                    value={apiSettings.scoreDiscrepancyMargin ?? DEFAULT_SCORE_DISCREPANCY_MARGIN}
+                    onChange={(e) =>
+                        setApiSettings({
+                            ...apiSettings,
+                            scoreDiscrepancyMargin: Math.max(0, parseInt(e.target.value, 10) || 0),
+                        })
+                    }
+                />
+            </div>
+
+            {/* 인용 근거 재요청 */}
+            <div className="form-group">
+                <label className="section-label">🔎 인용 근거 확인</label>
+                <p className="form-hint" style={{ marginBottom: '12px' }}>
+                    평가 근거의 「」 인용문은 항상 제출한 대화와 대조해 표시합니다. 켜면 학생 채팅에서 찾을 수 없는 인용이 있을 때 근거를 한 번 더 요청합니다 (API 호출이 늘어납니다).
+                </p>
+                <label className="service-option">
+                    <input
+                        type="checkbox"
+                        checked={!!apiSettings.reaskUnverifiedEvidence}
+                        onChange={(e) => setApiSettings({ ...apiSettings, reaskUnverifiedEvidence: e.target.checked })}
+                    />
+                    <span>찾을 수 없는 인용은 다시 요청</span>
+                </label>
             </div>
 
             <h3 className="api-keys-title">API 키 설정</h3>
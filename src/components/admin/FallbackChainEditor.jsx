@@ -0,0 +1,103 @@
+import { PROVIDER_MODELS } from '../../constants'
+import { FAILOVER_TRIGGERS, DEFAULT_FAILOVER_TRIGGERS } from '../../services/failover'
+
+/**
+ * FallbackChainEditor - 대체 모델 순서와 전환 조건 편집
+ * 기본 모델이 실패하면 위에서부터 차례로 시도할 모델 목록(fallbackChain)과
+ * 다음 모델로 넘어갈 오류 종류(failoverOn)를 설정합니다.
+ *
+ * Props:
+ *   apiSettings     - 전역 API 설정 객체
+ *   setApiSettings  - 설정 변경 함수
+ */
+function FallbackChainEditor({ apiSettings, setApiSettings }) {
+    const chain = apiSettings.fallbackChain || []
+    const triggers = apiSettings.failoverOn || DEFAULT_FAILOVER_TRIGGERS
+
+    const setChain = (next) => setApiSettings({ ...apiSettings, fallbackChain: next })
+    const updateEntry = (index, updates) => setChain(chain.map((entry, i) => i === index ? { ...entry, ...updates } : entry))
+    const moveEntry = (index, offset) => {
+        const next = [...chain]
+        const [entry] = next.splice(index, 1)
+        next.splice(index + offset, 0, entry)
+        setChain(next)
+    }
+    // 관리자 설정에서 직접 입력한 모델도 고를 수 있게 함
+    const modelOptions = (provider) => [...new Set([
+        ...PROVIDER_MODELS[provider].defaults,
+        ...(apiSettings.models?.[provider] && apiSettings.models[provider] !== 'custom' ? [apiSettings.models[provider]] : [])
+    ])]
+    const toggleTrigger = (id, checked) => setApiSettings({
+        ...apiSettings,
+        failoverOn: checked ? [...triggers, id] : triggers.filter(trigger => trigger !== id)
+    })
+
+    return (
+        <div className="form-group">
+            <label className="section-label">🔁 대체 모델 순서</label>
+            <p className="form-hint" style={{ marginBottom: '12px' }}>
+                기본 모델이 아래 조건의 오류로 실패하면 같은 모델로 재시도하지 않고 위에서부터 차례로 다른 모델로 평가합니다.
+                API 키가 없는 모델은 건너뜁니다. 앙상블 평가에는 쓰지 않습니다.
+            </p>
+
+            {chain.length > 0 && (
+                <ol className="fallback-chain">
+                    {chain.map((entry, index) => (
+                        <li key={index} className="fallback-chain-item">
+                            <select
+                                className="input"
+                                aria-label={`${index + 1}번째 대체 제공업체`}
+                                value={entry.provider}
+                                onChange={(e) => updateEntry(index, { provider: e.target.value, model: modelOptions(e.target.value)[0] })}
+                            >
+                                {Object.entries(PROVIDER_MODELS).map(([provider, info]) => (
+                                    <option key={provider} value={provider}>
+                                        {info.emoji} {info.label} {apiSettings.apiKeys?.[provider] ? '' : '⚠️'}
+                                    </option>
+                                ))}
+                            </select>
+                            <select
+                                className="input"
+                                aria-label={`${index + 1}번째 대체 모델`}
+                                value={entry.model}
+                                onChange={(e) => updateEntry(index, { model: e.target.value })}
+                            >
+                                {modelOptions(entry.provider).map(model => (
+                                    <option key={model} value={model}>
+                                        {PROVIDER_MODELS[entry.provider].labels[model] || model}
+                                    </option>
+                                ))}
+                            </select>
+                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => moveEntry(index, -1)} disabled={index === 0} title="위로">▲</button>
+                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => moveEntry(index, 1)} disabled={index === chain.length - 1} title="아래로">▼</button>
+                            <button type="button" className="btn btn-secondary btn-sm" onClick={() => setChain(chain.filter((_, i) => i !== index))} title="삭제">✕</button>
+                        </li>
+                    ))}
+                </ol>
+            )}
+            <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                onClick={() => setChain([...chain, { provider: 'openai', model: modelOptions('openai')[0] }])}
+            >
+                + 대체 모델 추가
+            </button>
+
+            <p className="form-hint" style={{ margin: '12px 0 8px' }}>다음 오류가 나면 다음 모델로 넘어갑니다.</p>
+            <div className="service-checkboxes">
+                {FAILOVER_TRIGGERS.map(trigger => (
+                    <label key={trigger.id} className="service-option">
+                        <input
+                            type="checkbox"
+                            checked={triggers.includes(trigger.id)}
+                            onChange={(e) => toggleTrigger(trigger.id, e.target.checked)}
+                        />
+                        <span>{trigger.label}</span>
+                    </label>
+                ))}
+            </div>
+        </div>
+    )
+}
+
+export default FallbackChainEditor
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react'
+import { REDACTION_CATEGORIES, DEFAULT_REDACTION_SETTINGS, redactText } from '../../services/redaction'
+import { getEvaluationCacheStats, clearEvaluationCache } from '../../services/evaluationCache'
+import { EVALUATION_CACHE } from '../../constants'
+
+const SAMPLE_TEXT = `안녕하세요, 저는 한빛고등학교 2학년 3반 15번 김민수입니다.
+학번은 20315이고 연락처는 010-1234-5678, 이메일은 minsu@example.com 이에요.
+수행평가 주제를 같이 정해줄 수 있을까요?`
+
+/**
+ * PrivacyTab - 개인정보 가리기·평가 결과 캐시 설정 탭
+ * 항목별로 켜고 끌 수 있고, 예시 문장으로 어떻게 가려지는지 미리 볼 수 있습니다.
+ * 이 브라우저에 저장된 평가 결과 캐시의 크기를 보고 비울 수 있습니다.
+ *
+ * Props:
+ *   apiSettings        - 전역 API 설정 객체 (redaction, evaluationCache 필드 사용)
+ *   setApiSettings     - 설정 변경 함수
+ *   saveGlobalSettings - 저장 함수
+ *   showSaveMessage    - 저장 메시지 표시 함수
+ */
+function PrivacyTab({ apiSettings, setApiSettings, saveGlobalSettings, showSaveMessage }) {
+    const [previewText, setPreviewText] = useState(SAMPLE_TEXT)
+    const [cacheStats, setCacheStats] = useState(null) // {entries, bytes}, 불러오기 전에는 null
+
+    useEffect(() => {
+        getEvaluationCacheStats().then(setCacheStats)
+    }, [])
+
+    const redaction = {
+        ...DEFAULT_REDACTION_SETTINGS,
+        ...apiSettings.redaction,
+        categories: { ...DEFAULT_REDACTION_SETTINGS.categories, ...apiSettings.redaction?.categories }
+    }
+    const preview = redactText(previewText, redaction)
+
+    const updateRedaction = (updates) => {
+        setApiSettings({ ...apiSettings, redaction: { ...redaction, ...updates } })
+    }
+
+    const toggleCategory = (id) => {
+        updateRedaction({ categories: { ...redaction.categories, [id]: !redaction.categories[id] } })
+    }
+
+    const handleClearCache = async () => {
+        if (!confirm('이 브라우저에 저장된 평가 결과를 모두 삭제하시겠습니까?')) return
+        await clearEvaluationCache()
+        setCacheStats(await getEvaluationCacheStats())
+        showSaveMessage('평가 결과 캐시를 비웠습니다.')
+    }
+
+    const handleSave = () => {
+        saveGlobalSettings(apiSettings)
+        showSaveMessage('개인정보 보호 설정이 저장되었습니다.')
+    }
+
+    return (
+        <div className="card animate-fadeIn">
+            <h2 className="card-title">개인정보 보호</h2>
+            <p className="card-description">
+                채팅 기록을 AI에 보내기 전에 이름·학번·연락처 등을 [학생1], [전화번호1] 같은 자리표시자로 바꿉니다.
+                원래 값은 학생의 브라우저에만 남고, 결과 화면에서 원래 값으로 되돌려 볼 수 있습니다.
+            </p>
+
+            <div className="form-group">
+                <label className="service-option redaction-master-toggle">
+                    <input
+                        type="checkbox"
+                        checked={redaction.enabled}
+                        onChange={() => updateRedaction({ enabled: !redaction.enabled })}
+                    />
+                    <span>개인정보 가리기 사용</span>
+                </label>
+            </div>
+
+            <div className="form-group">
+                <label className="section-label">가릴 항목</label>
+                <div className="service-checkboxes">
+                    {REDACTION_CATEGORIES.map(category => (
+                        <label key={category.id} className="service-option">
+                            <input
+                                type="checkbox"
+                                checked={!!redaction.categories[category.id]}
+                                onChange={() => toggleCategory(category.id)}
+                                disabled={!redaction.enabled}
+                            />
+                            <span>{category.label} → [{category.placeholder}1]</span>
+                        </label>
+                    ))}
+                </div>
+                <p className="form-hint" style={{ marginTop: '8px' }}>
+                    이름은 "이름은 ○○○", "○○○ 학생"처럼 문맥이 있을 때만 찾습니다. 놓치는 이름이 있다면 아래 명단에 추가하세요.
+                </p>
+            </div>
+
+            <div className="form-group">
+                <label htmlFor="redactionTerms">항상 가릴 이름 (학급 명단 등)</label>
+                <textarea
+                    id="redactionTerms"
+                    className="input"
+                    rows={3}
+                    value={redaction.customTerms}
+                    onChange={(e) => updateRedaction({ customTerms: e.target.value })}
+                    placeholder="쉼표나 줄바꿈으로 구분 (예: 홍길동, 김철수)"
+                    disabled={!redaction.enabled}
+                />
+            </div>
+
+            <div className="form-group">
+                <label htmlFor="redactionPreview">미리보기</label>
+                <textarea
+                    id="redactionPreview"
+                    className="input"
+                    rows={4}
+                    value={previewText}
+                    onChange={(e) => setPreviewText(e.target.value)}
+                />
+                <div className="redaction-preview">
+                    {preview.text || <span className="form-hint">미리볼 문장을 입력하세요.</span>}
+                </div>
+                {preview.mapping.length > 0 && (
+                    <ul className="redaction-preview-list">
+                        {preview.mapping.map(({ placeholder, original }) => (
+                            <li key={placeholder}><code>{placeholder}</code> ← {original}</li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            <div className="form-group">
+                <label className="section-label">⚡ 평가 결과 캐시</label>
+                <p className="form-hint" style={{ marginBottom: '12px' }}>
+                    같은 대화·루브릭·소감문을 같은 모델과 실행 설정으로 다시 평가하면 API를 호출하지 않고 저장된 결과를 바로 보여줍니다.
+                    결과는 평가한 사람의 브라우저에만 {EVALUATION_CACHE.maxAgeDays}일 동안 (최대 {EVALUATION_CACHE.maxEntries}건) 보관되며, 결과 화면에서 새로 평가할 수 있습니다.
+                </p>
+                <label className="service-option">
+                    <input
+                        type="checkbox"
+                        checked={apiSettings.evaluationCache !== false}
+                        onChange={(e) => setApiSettings({ ...apiSettings, evaluationCache: e.target.checked })}
+                    />
+                    <span>평가 결과 캐시 사용</span>
+                </label>
+                <div className="cache-stats">
+                    <span>
+                        이 브라우저: {cacheStats
+                            ? `${cacheStats.entries}건 (${(cacheStats.bytes / 1024).toFixed(1)} KB)`
+                            : '확인하는 중...'}
+                    </span>
+                    <button
+                        type="button"
+                        className="btn btn-secondary btn-sm"
+                        onClick={handleClearCache}
+                        disabled={!cacheStats || cacheStats.entries === 0}
+                    >
+                        캐시 비우기
+                    </button>
+                </div>
+            </div>
+
+            <button onClick={handleSave} className="btn btn-primary">
+                설정 저장
+            </button>
+        </div>
+    )
+}
+
+export default PrivacyTab
@@ -1,8 +1,15 @@
+import { EVIDENCE_STATUS } from '../../services/evidence'
+import { PROVIDER_MODELS } from '../../constants'
+
 /**
  * CriteriaDetail - 항목별 평가 (점수 바 + 상세 피드백),
  *                  정성적 평가, 개선 제안, 생활기록부 초안
+ *                  앙상블 합의 결과는 항목마다 모델별 점수(modelScores)를 함께 표시
  */
 
+// 모델 간 점수 차이가 이 이상이면 강조
+const DIVERGENT_SPREAD = 2
+
 function getScoreBarWidth(score, maxScore = 5) {
     return `${(score / maxScore) * 100}%`
 }
@@ -18,23 +25,58 @@ function getScoreLevel(score, maxScore) {
 
 /**
  * evidence 텍스트에서 「」 인용문을 하이라이팅하여 렌더링
+ * 검증 결과(checks)가 있으면 인용문마다 상태 표시를 붙이고, 유사 문장은 실제 대화 문장을 함께 보여줍니다.
+ * onQuoteClick이 있으면 인용문을 눌러 대화 기록 패널에서 위치를 볼 수 있습니다.
  */
-function renderEvidence(text) {
+function renderEvidence(text, checks = [], onQuoteClick, activeIndex) {
     if (!text) return null
     const parts = text.split(/(「[^」]*」)/)
-    return parts.map((part, i) =>
-        part.startsWith('「') && part.endsWith('」')
-            ? <mark key={i} className="evidence-quote">{part}</mark>
-            : <span key={i}>{part}</span>
-    )
+    let quoteIndex = 0
+    return parts.map((part, i) => {
+        if (!(part.startsWith('「') && part.endsWith('」'))) return <span key={i}>{part}</span>
+
+        // extractQuotes는 빈 인용을 건너뛰므로 같은 기준으로 순서를 맞춤
+        const index = part.slice(1, -1).trim() ? quoteIndex++ : null
+        const check = index === null ? null : checks[index]
+        const clickable = onQuoteClick && index !== null
+        const quoteProps = clickable
+            ? {
+                role: 'button',
+                tabIndex: 0,
+                onClick: () => onQuoteClick(index),
+                onKeyDown: (e) => { if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); onQuoteClick(index) } }
+            }
+            : {}
+        const className = `evidence-quote ${check ? `status-${check.status}` : ''} ${clickable ? 'clickable' : ''} ${index !== null && index === activeIndex ? 'active' : ''}`
+        if (!check) return <mark key={i} className={className} {...quoteProps}>{part}</mark>
+
+        const status = EVIDENCE_STATUS[check.status]
+        return (
+            <span key={i}>
+                <mark className={className} title={status.label} {...quoteProps}>{part}</mark>
+                <span className={`evidence-status status-${check.status}`}>{status.icon} {status.label}</span>
+                {check.match && <span className="evidence-match">(실제 대화: {check.match})</span>}
+            </span>
+        )
+    })
 }
 
-function CriteriaDetail({ criteriaScores, qualitativeEvaluation, suggestions, studentRecordDraft, copyToClipboard }) {
+function CriteriaDetail({ criteriaScores, qualitativeEvaluation, suggestions, studentRecordDraft, copyToClipboard, activeQuote, onQuoteClick }) {
+    const hasEvidenceChecks = criteriaScores.some(cs => cs.evidenceChecks?.length > 0)
+
     return (
         <>
             {/* 항목별 평가 */}
             <div className="criteria-scores card">
                 <h3>📋 항목별 평가</h3>
+                {hasEvidenceChecks && (
+                    <div className="evidence-legend">
+                        <span>인용 확인:</span>
+                        {Object.entries(EVIDENCE_STATUS).map(([id, status]) => (
+                            <span key={id} className={`evidence-status status-${id}`}>{status.icon} {status.label}</span>
+                        ))}
+                    </div>
+                )}
                 <div className="score-bars">
                     {criteriaScores.map((cs, index) => {
                         const level = getScoreLevel(cs.score, cs.maxScore)
@@ -58,12 +100,31 @@ function CriteriaDetail({ criteriaScores, qualitativeEvaluation, suggestions, st
                                 />
                             </div>
 
+                            {/* 앙상블 모델별 점수 */}
+                            {cs.modelScores?.length > 0 && (
+                                <div className={`model-scores ${cs.spread >= DIVERGENT_SPREAD ? 'divergent' : ''}`}>
+                                    {cs.modelScores.map(ms => (
+                                        <span key={ms.provider} className="model-score-chip" title={ms.model}>
+                                            {PROVIDER_MODELS[ms.provider]?.emoji} {ms.provider.toUpperCase()} {ms.score}점
+                                        </span>
+                                    ))}
+                                    {cs.spread >= DIVERGENT_SPREAD && <span className="model-score-spread">⚠️ 모델 간 차이 {cs.spread}점</span>}
+                                </div>
+                            )}
+
                             {/* 상세 피드백 */}
                             <div className="score-detail">
                                 {cs.evidence && (
                                     <div className="detail-item evidence">
                                         <span className="detail-label">📌 평가 근거</span>
-                                        <p>{renderEvidence(cs.evidence)}</p>
+                                        <p>
+                                            {renderEvidence(
+                                                cs.evidence,
+                                                cs.evidenceChecks,
+                                                onQuoteClick && (quoteIndex => onQuoteClick({ criterionIndex: index, quoteIndex })),
+                                                activeQuote?.criterionIndex === index ? activeQuote.quoteIndex : null
+                                            )}
+                                        </p>
                                     </div>
                                 )}
                                 {cs.strengths && (
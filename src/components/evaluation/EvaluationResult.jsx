@@ -4,24 +4,53 @@
  */
 import { useState, useRef } from 'react'
 import html2pdf from 'html2pdf.js'
-import { getGradeColor } from '../../constants'
+import { getGradeColor, PROVIDER_MODELS, AGGREGATION_STRATEGIES } from '../../constants'
+import { restoreRedacted, applyRedaction } from '../../services/redaction'
 import ScoreOverview from './ScoreOverview'
 import RadarChart from './RadarChart'
 import CriteriaDetail from './CriteriaDetail'
+import TranscriptPanel from './TranscriptPanel'
 import '../EvaluationResult.css'
 
-function EvaluationResult({ result, rubric, onReset, apiSettings }) {
+function EvaluationResult({ result, rubric, transcript, onReset, onRefresh, apiSettings }) {
     const [studentId, setStudentId] = useState('')
     const [studentName, setStudentName] = useState('')
+    const [showOriginal, setShowOriginal] = useState(false) // 가린 개인정보를 원래 값으로 표시
+    const [activeQuote, setActiveQuote] = useState(null) // 대화 기록 패널에서 보여줄 인용 {criterionIndex, quoteIndex}
+    const [viewIndex, setViewIndex] = useState(null) // 앙상블에서 보고 있는 모델 (null이면 합의 결과)
     const resultsRef = useRef(null)
 
     if (!result) return null
 
+    const ensembleResults = result.ensembleResults || []
+    const ensembleFailed = result.evaluationMeta?.ensemble?.failed || []
+    const aggregationLabel = AGGREGATION_STRATEGIES.find(s => s.id === result.evaluationMeta?.aggregation)?.label || '평균'
+    const viewedMember = viewIndex === null ? null : ensembleResults[viewIndex]
+    const redactionMapping = result.redaction?.mapping || []
+    const cached = result.evaluationMeta?.cached
+    const viewedResult = viewedMember ? viewedMember.result : result
+    const displayResult = showOriginal ? restoreRedacted(viewedResult, redactionMapping) : viewedResult
+    // 결과의 인용문과 같은 형태(자리표시자 또는 원래 값)로 대화 기록 표시
+    const displayTranscript = transcript?.length > 0 && (showOriginal
+        ? transcript
+        : transcript.map(turn => ({ ...turn, content: applyRedaction(turn.content, redactionMapping) })))
+
+    const changeView = (index) => {
+        setViewIndex(index)
+        setActiveQuote(null)
+    }
+
     // 모델 표시명 생성
     const getModelDisplay = () => {
+        if (viewedMember) return `${viewedMember.provider.toUpperCase()}: ${viewedMember.model}`
+        if (ensembleResults.length > 0) {
+            return `Ensemble (${ensembleResults.map(member => member.model).join(', ')})`
+        }
+        // 대체 모델로 평가했을 수 있으므로 실제로 결과를 만든 모델을 우선 표시
+        const producedBy = result.evaluationMeta?.producedBy
+        if (producedBy) return `${producedBy.provider.toUpperCase()}: ${producedBy.model}`
         if (!apiSettings) return 'N/A'
         const { provider, models = {} } = apiSettings
-        if (provider === 'ensemble') return 'Ensemble (Triple AI)'
         const modelName = models[provider] || 'Default'
         return `${provider.toUpperCase()}: ${modelName}`
     }
@@ -33,7 +62,7 @@ function EvaluationResult({ result, rubric, onReset, apiSettings }) {
         qualitativeEvaluation,
         suggestions,
         studentRecordDraft
-    } = result
+    } = displayResult
 
     const gradeColors = getGradeColor(grade)
 
@@ -127,6 +156,72 @@ function EvaluationResult({ result, rubric, onReset, apiSettings }) {
                     </div>
                 </div>
 
+                {/* 캐시에서 불러온 결과 안내 + 새로 평가 (웹 전용) */}
+                {cached && (
+                    <div className="cache-notice">
+                        <span className="cache-badge">⚡ 저장된 결과</span>
+                        <span className="cache-notice-text">
+                            {new Date(cached.createdAt).toLocaleString('ko-KR')}에 같은 내용으로 평가한 결과입니다.
+                        </span>
+                        {onRefresh && (
+                            <button type="button" className="btn btn-ghost btn-sm" onClick={onRefresh}>
+                                🔁 새로 평가
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {/* 개인정보 가림 안내 (웹 전용) */}
+                {redactionMapping.length > 0 && (
+                    <div className="redaction-notice">
+                        <span>🛡️ 개인정보 {redactionMapping.length}건을 가린 채 AI에 보내 평가했습니다.</span>
+                        <button
+                            type="button"
+                            className="btn btn-ghost btn-sm"
+                            onClick={() => setShowOriginal(prev => !prev)}
+                        >
+                            {showOriginal ? '자리표시자로 보기' : '원래 값으로 보기'}
+                        </button>
+                    </div>
+                )}
+
+                {/* 앙상블 결과 전환 (웹 전용) */}
+                {ensembleResults.length > 0 && (
+                    <div className="ensemble-switcher">
+                        <span className="ensemble-switcher-label">🤝 앙상블 평가 ({ensembleResults.length}개 모델, 항목 점수 {aggregationLabel})</span>
+                        <div className="ensemble-switcher-tabs" role="tablist">
+                            <button
+                                type="button"
+                                role="tab"
+                                aria-selected={viewIndex === null}
+                                className={`ensemble-tab ${viewIndex === null ? 'active' : ''}`}
+                                onClick={() => changeView(null)}
+                            >
+                                합의 결과 <strong>{result.totalScore}점</strong>
+                            </button>
+                            {ensembleResults.map((member, index) => (
+                                <button
+                                    key={member.provider}
+                                    type="button"
+                                    role="tab"
+                                    aria-selected={viewIndex === index}
+                                    className={`ensemble-tab ${viewIndex === index ? 'active' : ''}`}
+                                    onClick={() => changeView(index)}
+                                    title={member.model}
+                                >
+                                    {PROVIDER_MODELS[member.provider]?.emoji} {PROVIDER_MODELS[member.provider]?.labels[member.model] || member.model}{' '}
+                                    <strong>{member.result.totalScore}점</strong>
+                                </button>
+                            ))}
+                        </div>
+                        {ensembleFailed.length > 0 && (
+                            <p className="ensemble-failed">
+                                ⚠️ 평가에 실패해 합의에서 빠진 모델: {ensembleFailed.map(f => f.model).join(', ')}
+                            </p>
+                        )}
+                    </div>
+                )}
+
                 {/* 학생 정보 입력 (웹 전용) */}
                 <div className="student-info-input card">
                     <h3>👤 학생 정보 (선택)</h3>
@@ -160,7 +255,7 @@ function EvaluationResult({ result, rubric, onReset, apiSettings }) {
                 </div>
 
                 {/* 점수 요약 + 특징 + 하이라이트 */}
-                <ScoreOverview result={result} gradeColors={gradeColors} />
+                <ScoreOverview result={displayResult} gradeColors={gradeColors} />
 
                 {/* 레이더 차트 */}
                 <RadarChart criteriaScores={criteriaScores} />
@@ -170,14 +265,28 @@ function EvaluationResult({ result, rubric, onReset, apiSettings }) {
             <div className="html2pdf__page-break"></div>
 
             {/* 2페이지+: 상세 평가 */}
-            <div className="pdf-details-page">
-                <CriteriaDetail
-                    criteriaScores={criteriaScores}
-                    qualitativeEvaluation={qualitativeEvaluation}
-                    suggestions={suggestions}
-                    studentRecordDraft={studentRecordDraft}
-                    copyToClipboard={copyToClipboard}
-                />
+            <div className={`pdf-details-page ${displayTranscript ? 'with-transcript' : ''}`}>
+                <div className="details-main">
+                    <CriteriaDetail
+                        criteriaScores={criteriaScores}
+                        qualitativeEvaluation={qualitativeEvaluation}
+                        suggestions={suggestions}
+                        studentRecordDraft={studentRecordDraft}
+                        copyToClipboard={copyToClipboard}
+                        activeQuote={activeQuote}
+                        onQuoteClick={displayTranscript ? setActiveQuote : undefined}
+                    />
+                </div>
+
+                {/* 대화 기록 패널 (웹 전용, transcript를 줄 때만) */}
+                {displayTranscript && (
+                    <TranscriptPanel
+                        transcript={displayTranscript}
+                        criteriaScores={criteriaScores}
+                        activeQuote={activeQuote}
+                        onClose={() => setActiveQuote(null)}
+                    />
+                )}
             </div>
         </div>
     )
@@ -1,7 +1,41 @@
+import { AGGREGATION_STRATEGIES } from '../../constants'
+import { FAILOVER_TRIGGERS } from '../../services/failover'
+
 /**
- * ScoreOverview - 점수 요약, 학습 모드 배지, K-run 신뢰도, 특징, 하이라이트
+ * ScoreOverview - 점수 요약, 학습 모드 배지, K-run 신뢰도·취소·대체 모델 안내, 총점 차이 경고, 특징,
+ *                 항목별 점수 신뢰도(K-run 표준편차), 하이라이트
  */
 
+// 항목 점수 종합 방식 표시명 (예전 결과처럼 값이 없으면 평균)
+function getAggregationLabel(strategy) {
+    return AGGREGATION_STRATEGIES.find(s => s.id === strategy)?.label || '평균'
+}
+
+const CONFIDENCE_LABELS = {
+    high: { label: '일치', className: 'confidence-high' },
+    medium: { label: '약간 차이', className: 'confidence-medium' },
+    low: { label: '재확인 필요', className: 'confidence-low' }
+}
+
+// 적응형 K-run 판단 안내 문구
+function getAdaptiveNote(adaptive) {
+    if (!adaptive) return null
+    if (adaptive.stoppedEarly) return `점수가 일치해 ${adaptive.plannedRuns}회 중 ${adaptive.runs}회만 실행했습니다.`
+    if (adaptive.extraRuns > 0) {
+        return `점수가 엇갈려 ${adaptive.extraRuns}회 더 실행했습니다${adaptive.unresolved ? ' (최대 횟수에 도달해 여전히 엇갈리는 항목이 있습니다)' : ''}.`
+    }
+    return null
+}
+
+// 대체 모델로 넘어간 경우 실패한 모델과 이유 안내 문구
+function getFailoverNote(failover, producedBy) {
+    if (!failover?.length || !producedBy) return null
+    const failed = failover
+        .map(f => `${f.model}(${FAILOVER_TRIGGERS.find(t => t.id === f.kind)?.label || '오류'})`)
+        .join(', ')
+    return `${failed} 평가에 실패해 대체 모델 ${producedBy.model}(으)로 평가했습니다.`
+}
+
 function getGradeMessage(grade, totalScore) {
     if (totalScore >= 95) return { emoji: '🌟', message: '탁월한 AI 활용 역량을 보여주었습니다!', description: 'AI와의 소통에서 깊이 있는 사고력을 발휘했어요.' }
     if (totalScore >= 90) return { emoji: '✨', message: '우수한 역량입니다!', description: '비판적 사고와 창의적 활용이 돋보여요.' }
@@ -22,6 +56,18 @@ function ScoreOverview({ result, gradeColors }) {
         evaluationMeta
     } = result
 
+    // AI가 보고한 총점 (진단용, 표시 총점은 항목 점수·가중치로 계산한 값)
+    const scoring = evaluationMeta?.scoring
+    const statistics = evaluationMeta?.statistics
+    const totalCi = statistics?.total?.ci
+    const adaptiveNote = getAdaptiveNote(evaluationMeta?.adaptive)
+    const failoverNote = getFailoverNote(evaluationMeta?.failover, evaluationMeta?.producedBy)
+
+    // K-run 항목별 편차 (실행이 2회 이상일 때만)
+    const criterionConfidence = (criteriaScores || [])
+        .map(cs => ({ cs, stat: statistics?.criteria?.find(c => c.criterionId === cs.criterionId) }))
+        .filter(({ stat }) => stat && stat.stdDev !== null)
+
     // 가장 잘한 점 / 성장 포인트 계산
     const highlights = (() => {
         if (!criteriaScores || criteriaScores.length === 0) return null
@@ -49,8 +95,13 @@ function ScoreOverview({ result, gradeColors }) {
                         <span className="grade">{grade}</span>
                     </div>
                     <div className="score-info">
-                        <div className="score-value">{totalScore}<span className="score-max">/100</span></div>
-                        <div className="score-label">종합 점수</div>
+                        <div
+                            className="score-value"
+                            title={Number.isFinite(scoring?.reportedTotal) ? `AI 보고 총점: ${scoring.reportedTotal}점` : undefined}
+                        >
+                            {totalScore}<span className="score-max">/100</span>
+                        </div>
+                        <div className="score-label">종합 점수 (가중치 계산)</div>
                     </div>
                 </div>
 
@@ -80,7 +131,37 @@ function ScoreOverview({ result, gradeColors }) {
                     <div className="reliability-badge">
                         <span className="reliability-icon">🎯</span>
                         <span className="reliability-text">
-                            {evaluationMeta.runs}회 평가 평균 (점수 범위: {evaluationMeta.scoreRange.min}~{evaluationMeta.scoreRange.max})
+                            {evaluationMeta.runs}회 평가 {getAggregationLabel(evaluationMeta.aggregation)} (점수 범위: {evaluationMeta.scoreRange.min}~{evaluationMeta.scoreRange.max}
+                            {totalCi && `, 총점 95% 신뢰구간: ${totalCi.low}~${totalCi.high}`})
+                            {adaptiveNote && ` ${adaptiveNote}`}
+                        </span>
+                    </div>
+                )}
+
+                {/* 취소로 일부 실행만 반영 */}
+                {evaluationMeta?.cancelled && (
+                    <div className="reliability-badge score-discrepancy-badge">
+                        <span className="reliability-icon">⏹</span>
+                        <span className="reliability-text">
+                            평가를 중간에 취소해 {evaluationMeta.cancelled.requestedRuns}회 중 끝난 {evaluationMeta.cancelled.completedRuns}회 결과만 반영했습니다.
+                        </span>
+                    </div>
+                )}
+
+                {/* 대체 모델로 평가 */}
+                {failoverNote && (
+                    <div className="reliability-badge score-discrepancy-badge">
+                        <span className="reliability-icon">🔁</span>
+                        <span className="reliability-text">{failoverNote}</span>
+                    </div>
+                )}
+
+                {/* 총점 차이 경고 */}
+                {scoring?.flagged && (
+                    <div className="reliability-badge score-discrepancy-badge">
+                        <span className="reliability-icon">⚠️</span>
+                        <span className="reliability-text">
+                            AI가 보고한 총점({scoring.reportedTotal}점)이 항목 점수로 계산한 총점과 {Math.abs(scoring.difference)}점 차이 납니다. 항목별 점수를 확인해 주세요.
                         </span>
                     </div>
                 )}
@@ -110,6 +191,42 @@ function ScoreOverview({ result, gradeColors }) {
                 </ul>
             </div>
 
+            {/* 항목별 점수 신뢰도 (K-run) */}
+            {criterionConfidence.length > 0 && (
+                <div className="criteria-confidence card">
+                    <h3>🎯 항목별 점수 신뢰도</h3>
+                    <p className="confidence-hint">
+                        막대는 실행별 점수의 평균 ± 표준편차 범위, 점은 최종 점수입니다. 범위가 넓은 항목은 직접 다시 확인해 주세요.
+                    </p>
+                    <ul className="confidence-list">
+                        {criterionConfidence.map(({ cs, stat }) => {
+                            const toPercent = (value) => `${Math.min(100, Math.max(0, (value / cs.maxScore) * 100))}%`
+                            const level = CONFIDENCE_LABELS[stat.confidence]
+                            return (
+                                <li key={cs.criterionId} className="confidence-item">
+                                    <div className="confidence-header">
+                                        <span className="confidence-name">{cs.name}</span>
+                                        <span className={`confidence-badge ${level.className}`}>
+                                            {level.label} (±{stat.stdDev})
+                                        </span>
+                                    </div>
+                                    <div className="confidence-track" title={`실행별 점수: ${(cs.runScores || []).join(', ')}`}>
+                                        <div
+                                            className={`confidence-range ${level.className}`}
+                                            style={{
+                                                left: toPercent(stat.mean - stat.stdDev),
+                                                width: `calc(${toPercent(stat.mean + stat.stdDev)} - ${toPercent(stat.mean - stat.stdDev)})`
+                                            }}
+                                        />
+                                        <div className="confidence-marker" style={{ left: toPercent(cs.score) }} />
+                                    </div>
+                                </li>
+                            )
+                        })}
+                    </ul>
+                </div>
+            )}
+
             {/* 가장 잘한 점 & 성장 포인트 */}
             {highlights && (
                 <div className="highlight-sections">
@@ -0,0 +1,108 @@
+import { Fragment, useEffect, useMemo, useRef } from 'react'
+import { ROLE_LABELS } from '../../services/transcript'
+import { extractQuotes, locateQuote } from '../../services/evidence'
+
+/**
+ * 턴 하나의 content를 인용 위치로 나눠 렌더링
+ * 겹치는 위치는 경계마다 잘라서 선택한 인용이 포함된 조각을 진하게 표시합니다.
+ */
+function renderHighlighted(content, spans) {
+    if (spans.length === 0) return content
+
+    const boundaries = [...new Set([0, content.length, ...spans.flatMap(s => [s.start, s.end])])].sort((a, b) => a - b)
+    return boundaries.slice(0, -1).map((start, i) => {
+        const end = boundaries[i + 1]
+        const covering = spans.filter(s => s.start <= start && s.end >= end)
+        const text = content.slice(start, end)
+        if (covering.length === 0) return <Fragment key={start}>{text}</Fragment>
+
+        const isActive = covering.some(s => s.active)
+        return (
+            <mark key={start} className={`transcript-highlight ${isActive ? 'active' : ''}`}>
+                {text}
+            </mark>
+        )
+    })
+}
+
+/**
+ * TranscriptPanel - 결과 화면 옆에 표시하는 원본 대화 기록
+ * 근거 인용문을 누르면 해당 턴으로 스크롤해 인용 위치를 강조하고,
+ * 학생 턴마다 그 턴을 인용한 평가 항목을 표시합니다.
+ *
+ * Props:
+ *   transcript     - 평가한 대화 기록 [{role, content, session?}]
+ *   criteriaScores - 평가 항목 결과 (evidence의 「」 인용문 사용)
+ *   activeQuote    - 선택한 인용 {criterionIndex, quoteIndex} 또는 null
+ *   onClose        - 선택 해제 콜백 () => void
+ */
+function TranscriptPanel({ transcript, criteriaScores, activeQuote, onClose }) {
+    const turnRefs = useRef({})
+
+    // 항목별 인용문 → 대화 위치 [{criterionIndex, quoteIndex, turnIndex, start, end}]
+    const citations = useMemo(() => criteriaScores.flatMap((cs, criterionIndex) =>
+        extractQuotes(cs.evidence).flatMap((quote, quoteIndex) =>
+            locateQuote(quote, transcript).map(span => ({ criterionIndex, quoteIndex, ...span })))
+    ), [criteriaScores, transcript])
+
+    const isActive = (citation) => activeQuote
+        && citation.criterionIndex === activeQuote.criterionIndex
+        && citation.quoteIndex === activeQuote.quoteIndex
+    const activeCitation = citations.find(isActive)
+    const activeTurn = activeCitation?.turnIndex
+
+    // 같은 인용을 다시 눌러도 스크롤하도록 activeQuote 객체 자체를 의존성으로 둠
+    useEffect(() => {
+        if (activeTurn === undefined) return
+        turnRefs.current[activeTurn]?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+    }, [activeQuote, activeTurn])
+
+    return (
+        <aside className="transcript-panel card">
+            <div className="transcript-panel-header">
+                <h3>💬 대화 기록</h3>
+                {activeQuote && (
+                    <button type="button" className="btn btn-ghost btn-sm" onClick={onClose}>
+                        선택 해제
+                    </button>
+                )}
+            </div>
+            <p className="transcript-panel-hint">
+                {activeQuote && !activeCitation
+                    ? '⚠️ 선택한 인용문을 대화 기록에서 찾지 못했습니다.'
+                    : '평가 근거의 「」 인용문을 누르면 대화에서 해당 부분을 보여줍니다.'}
+            </p>
+
+            <ol className="transcript-panel-turns">
+                {transcript.map((turn, turnIndex) => {
+                    const turnCitations = citations.filter(c => c.turnIndex === turnIndex)
+                    const citedBy = [...new Set(turnCitations.map(c => c.criterionIndex))]
+                    const startsSession = turn.session && turn.session !== transcript[turnIndex - 1]?.session
+                    return (
+                        <Fragment key={turnIndex}>
+                            {startsSession && <li className="transcript-panel-session">{turn.session}</li>}
+                            <li
+                                ref={el => { turnRefs.current[turnIndex] = el }}
+                                className={`transcript-panel-turn role-${turn.role} ${activeCitation?.turnIndex === turnIndex ? 'active' : ''}`}
+                            >
+                                <div className="transcript-panel-turn-header">
+                                    <span className="transcript-panel-role">{ROLE_LABELS[turn.role] || turn.role}</span>
+                                    {turn.role !== 'assistant' && citedBy.map(criterionIndex => (
+                                        <span key={criterionIndex} className="transcript-panel-cited">
+                                            {criteriaScores[criterionIndex].name}
+                                        </span>
+                                    ))}
+                                </div>
+                                <p className="transcript-panel-content">
+                                    {renderHighlighted(turn.content, turnCitations.map(c => ({ ...c, active: isActive(c) })))}
+                                </p>
+                            </li>
+                        </Fragment>
+                    )
+                })}
+            </ol>
+        </aside>
+    )
+}
+
+export default TranscriptPanel
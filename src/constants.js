@@ -40,6 +40,27 @@ export function calculateGrade(score) {
     return entry ? entry.grade : 'F'
 }
 
+// AI가 보고한 총점과 코드로 계산한 총점의 차이가 이 점수를 넘으면 결과에 표시 (관리자 설정으로 변경 가능)
+export const DEFAULT_SCORE_DISCREPANCY_MARGIN = 5
+
+// K-run·앙상블에서 항목 점수를 하나로 모으는 방식 (관리자 설정으로 변경 가능)
+export const AGGREGATION_STRATEGIES = [
+    { id: 'mean', label: '평균', description: '모든 점수의 평균' },
+    { id: 'median', label: '중앙값', description: '점수를 정렬했을 때 가운데 값 (튀는 점수 하나에 덜 흔들림)' },
+    { id: 'trimmedMean', label: '절사 평균', description: '가장 높은·낮은 점수를 빼고 평균 (3회 이상일 때)' },
+    { id: 'majority', label: '다수결 수준', description: '가장 많이 나온 평가 수준 (동수면 중앙값에 가까운 낮은 수준)' }
+]
+export const DEFAULT_AGGREGATION_STRATEGY = 'mean'
+
+// K-run 적응형 실행: 항목 점수의 표준편차를 점수 범위(최고-최저 수준)로 나눈 값으로 판단
+export const ADAPTIVE_RUNS = {
+    agreementRatio: 0.05,     // 모든 항목이 이 이하이면 일치로 보고 남은 실행을 건너뜀
+    disagreementRatio: 0.15,  // 한 항목이라도 이를 넘으면 엇갈림으로 보고 실행을 추가
+    firstBatch: 2,            // 일치 여부를 처음 판단할 실행 수
+    extraBatch: 2             // 엇갈릴 때 한 번에 추가하는 실행 수
+}
+export const DEFAULT_MAX_EVALUATION_RUNS = 7
+
 // AI 제공업체별 모델 목록
 export const PROVIDER_MODELS = {
     gemini: {
@@ -88,13 +109,87 @@ export const PROVIDER_MODELS = {
     }
 }
 
-// 로딩 메시지 (타이밍 포함)
-export const LOADING_MESSAGES = [
-    { delay: 0, text: '채팅 기록을 읽어오는 중입니다... (Reading)' },
-    { delay: 2000, text: 'AI가 내용을 심층 분석 중입니다... (Analyzing)' },
-    { delay: 8000, text: '평가 보고서를 작성하고 있습니다... (Writing)' },
-    { delay: 20000, text: '마무리 정리 중입니다... (Finalizing)' }
-]
+// 모델별 가격 (USD / 100만 토큰, 이름 앞부분 일치)
+// 제공업체 가격표 기준 추정치이므로 가격이 바뀌면 함께 갱신
+export const MODEL_PRICING = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-pro': { input: 1.25, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10 },
+    'o1': { input: 15, output: 60 },
+    'o3-mini': { input: 1.10, output: 4.40 },
+    'claude-haiku-4': { input: 1, output: 5 },
+    'claude-sonnet': { input: 3, output: 15 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-opus-4-5': { input: 5, output: 25 },
+    'claude-opus-4-6': { input: 5, output: 25 },
+    'claude-opus-4-7': { input: 5, output: 25 },
+    'claude-opus': { input: 15, output: 75 }
+}
+
+// 앙상블 모드에서 제공업체별 모델을 정하지 않았을 때 쓰는 기본 모델 (서버 앙상블은 api/evaluate.js와 동일하게 유지)
+export const ENSEMBLE_MODELS = {
+    gemini: 'gemini-2.5-flash',
+    openai: 'gpt-4o-mini',
+    claude: 'claude-haiku-4-5-20251001'
+}
+
+export function getModelPricing(model = '') {
+    const key = Object.keys(MODEL_PRICING)
+        .filter(prefix => model.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0]
+    return key ? MODEL_PRICING[key] : null
+}
+
+// 긴 대화 분할 평가 (map-reduce)
+// 모델별로 한 번에 평가할 대화 기록의 최대 추정 토큰 수 (이름 앞부분 일치, 넘으면 분할 평가)
+// 컨텍스트 한도보다 훨씬 낮게 잡아 서버 프록시 응답 제한 시간(25초) 안에 끝나도록 함
+export const CHUNK_THRESHOLD_TOKENS = {
+    'gemini-2.5-flash': 60000,
+    'gemini-2.0-flash': 60000,
+    'gemini-2.5-pro': 40000,
+    'gemini': 30000,
+    'gpt-4o-mini': 30000,
+    'gpt-4o': 24000,
+    'o1': 16000,
+    'o3': 16000,
+    'claude-haiku': 40000,
+    'claude-sonnet': 30000,
+    'claude-opus': 20000
+}
+export const DEFAULT_CHUNK_THRESHOLD_TOKENS = 16000
+
+export const CHUNKED_EVALUATION = {
+    segmentRatio: 0.5,    // 구간 크기 = 모델 임계값 × 비율
+    overlapTurns: 2,      // 다음 구간에 맥락으로 함께 보내는 이전 턴 수
+    concurrency: 3        // 동시에 분석할 구간 수
+}
+
+export function getChunkThreshold(model = '') {
+    const key = Object.keys(CHUNK_THRESHOLD_TOKENS)
+        .filter(prefix => model.startsWith(prefix))
+        .sort((a, b) => b.length - a.length)[0]
+    return key ? CHUNK_THRESHOLD_TOKENS[key] : DEFAULT_CHUNK_THRESHOLD_TOKENS
+}
+
+// 평가 결과 캐시 (services/evaluationCache.js, 이 브라우저의 IndexedDB)
+export const EVALUATION_CACHE = {
+    dbName: 'ai-chat-eval-cache',
+    maxEntries: 200,          // 넘으면 오래된 결과부터 지움
+    maxAgeDays: 30            // 이보다 오래된 결과는 쓰지 않음
+}
+
+// 제공업체 요청 스케줄러 (services/utils.js scheduleRequest)
+export const REQUEST_SCHEDULER = {
+    concurrency: { gemini: 2, openai: 4, claude: 4 }, // 제공업체별 동시 요청 수 (무료 등급이 많은 Gemini는 낮게)
+    defaultConcurrency: 3,
+    maxAttempts: 4,           // 시간 초과·429·5xx·네트워크 오류 때 첫 요청 포함 최대 시도 횟수
+    baseDelayMs: 1000,        // 지수 백오프 첫 대기 시간 (시도마다 2배, 지터 적용)
+    maxDelayMs: 20000,        // 백오프 대기 상한
+    maxRetryAfterMs: 60000    // Retry-After가 이보다 길면(일일 할당량 소진 등) 기다리지 않고 실패 처리
+}
 
 // 평가 횟수 옵션
 export const EVALUATION_RUNS_OPTIONS = [
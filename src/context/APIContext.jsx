@@ -69,6 +69,17 @@ export function APIProvider({ children }) {
                                 model: globalConfig.model,
                                 allowEnsemble: globalConfig.allowEnsemble,
                                 ensembleModels: globalConfig.ensembleModels,
+                                costConfirmThreshold: globalConfig.costConfirmThreshold,
+                                scoreDiscrepancyMargin: globalConfig.scoreDiscrepancyMargin,
+                                reaskUnverifiedEvidence: globalConfig.reaskUnverifiedEvidence,
+                                adaptiveRuns: globalConfig.adaptiveRuns,
+                                maxEvaluationRuns: globalConfig.maxEvaluationRuns,
+                                aggregationStrategy: globalConfig.aggregationStrategy,
+                                narrativeSynthesis: globalConfig.narrativeSynthesis,
+                                fallbackChain: globalConfig.fallbackChain,
+                                failoverOn: globalConfig.failoverOn,
+                                redaction: globalConfig.redaction,
+                                evaluationCache: globalConfig.evaluationCache,
                                 apiKeys: prev.apiKeys
                             }))
                         }
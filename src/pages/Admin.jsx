@@ -6,6 +6,7 @@ import RubricEditor from '../components/RubricEditor'
 import ApiSettingsTab from '../components/admin/ApiSettingsTab'
 import RubricManageTab from '../components/admin/RubricManageTab'
 import SecurityTab from '../components/admin/SecurityTab'
+import PrivacyTab from '../components/admin/PrivacyTab'
 import './Admin.css'
 
 function Admin() {
@@ -89,7 +90,7 @@ function Admin() {
                 <div className="admin-header">
                     <div>
                         <h1>관리자 설정</h1>
-                        <p className="admin-subtitle">API 키, 루브릭, 비밀번호 관리</p>
+                        <p className="admin-subtitle">API 키, 루브릭, 개인정보 보호, 비밀번호 관리</p>
                     </div>
                     <button onClick={logoutAdmin} className="btn btn-ghost">로그아웃</button>
                 </div>
@@ -99,6 +100,7 @@ function Admin() {
                 <div className="tabs" role="tablist">
                     <button className={`tab ${activeTab === 'api' ? 'active' : ''}`} onClick={() => setActiveTab('api')} role="tab" aria-selected={activeTab === 'api'}>🔑 API 설정</button>
                     <button className={`tab ${activeTab === 'rubrics' ? 'active' : ''}`} onClick={() => setActiveTab('rubrics')} role="tab" aria-selected={activeTab === 'rubrics'}>📋 루브릭 관리</button>
+                    <button className={`tab ${activeTab === 'privacy' ? 'active' : ''}`} onClick={() => setActiveTab('privacy')} role="tab" aria-selected={activeTab === 'privacy'}>🛡️ 개인정보 보호</button>
                     <button className={`tab ${activeTab === 'security' ? 'active' : ''}`} onClick={() => setActiveTab('security')} role="tab" aria-selected={activeTab === 'security'}>🔒 보안</button>
                 </div>
 
@@ -114,6 +116,10 @@ function Admin() {
                             onDelete={handleRubricDelete}
                             onCreateNew={() => { setEditingRubric(null); setShowRubricEditor(true) }} />
                     )}
+                    {activeTab === 'privacy' && (
+                        <PrivacyTab apiSettings={apiSettings} setApiSettings={setApiSettings}
+                            saveGlobalSettings={saveGlobalSettings} showSaveMessage={showSaveMessage} />
+                    )}
                     {activeTab === 'security' && (
                         <SecurityTab hasAdminPassword={hasAdminPassword}
                             setNewAdminPassword={setNewAdminPassword} showSaveMessage={showSaveMessage} />
@@ -1,11 +1,14 @@
-import { useState, useEffect } from 'react'
+import { useState, useMemo, useRef } from 'react'
 import { useEvaluation } from '../context/EvaluationContext'
 import { useAPI } from '../context/APIContext'
 import ChatInput from '../components/ChatInput'
+import TranscriptReview from '../components/TranscriptReview'
 import EvaluationResult from '../components/EvaluationResult'
 import RubricSelector from '../components/RubricSelector'
 import StudentGuide from '../components/StudentGuide'
-import { evaluateChat } from '../services/evaluator'
+import { evaluateChatCached, findCachedEvaluation } from '../services/evaluationCache'
+import { normalizeTranscript } from '../services/transcript'
+import { estimateEvaluationCost, formatCost, formatTokens } from '../services/costEstimate'
 import './Home.css'
 
 function Home() {
@@ -20,35 +23,27 @@ function Home() {
     const { apiSettings } = useAPI()
 
     const [chatContent, setChatContent] = useState('')
+    const [importedTurns, setImportedTurns] = useState(null) // 파일·공유 링크·서식 붙여넣기로 가져온 턴 (직접 입력한 텍스트면 null)
+    const [reflection, setReflection] = useState('')
+    const [transcript, setTranscript] = useState([])
     const [error, setError] = useState('')
-    const [step, setStep] = useState(1) // 1: 입력, 2: 결과
-    const [loadingMessage, setLoadingMessage] = useState('')
+    const [step, setStep] = useState(1) // 1: 입력, 2: 기록 확인, 3: 결과
+    const [progressMessage, setProgressMessage] = useState('') // 평가 진행 상황 (evaluateChat의 onProgress)
+    const [partialCriteria, setPartialCriteria] = useState([]) // 응답 생성 중 먼저 완성된 평가 항목
+    const [feedbackLanguage, setFeedbackLanguage] = useState(null) // 기록 확인 단계에서 고른 피드백 언어 (새로 평가할 때 다시 씀)
+    const abortControllerRef = useRef(null) // 진행 중인 평가 취소용
 
-    // Cycle loading messages
-    useEffect(() => {
-        if (!isLoading) return
+    // 기록 확인 단계에서 평가 전 예상 토큰·비용 표시
+    const costEstimate = useMemo(() => {
+        if (step !== 2 || !currentRubric || transcript.length === 0) return null
+        return estimateEvaluationCost({ transcript, rubric: currentRubric, reflection, apiSettings })
+    }, [step, transcript, currentRubric, reflection, apiSettings])
 
-        setLoadingMessage('채팅 기록을 읽어오는 중입니다... (Reading)')
-
-        const timers = []
-
-        timers.push(setTimeout(() => {
-            setLoadingMessage('AI가 내용을 심층 분석 중입니다... (Analyzing)')
-        }, 2000))
-
-        timers.push(setTimeout(() => {
-            setLoadingMessage('평가 보고서를 작성하고 있습니다... (Writing)')
-        }, 8000))
-
-        timers.push(setTimeout(() => {
-            setLoadingMessage('마무리 정리 중입니다... (Finalizing)')
-        }, 20000))
-
-        return () => timers.forEach(clearTimeout)
-    }, [isLoading])
-
-    const handleChatSubmit = async (content, reflection) => {
+    // 가져온 턴은 그대로, 직접 붙여넣은 텍스트만 정규화(화자 표시·UI 문구·중복 줄 처리)
+    const handleChatSubmit = (content, reflectionText, turns) => {
         setChatContent(content)
+        setImportedTurns(turns)
+        setReflection(reflectionText)
         setError('')
 
         // Validate requirements
@@ -62,31 +57,96 @@ function Home() {
             return
         }
 
+        const normalized = turns || normalizeTranscript(content)
+        if (normalized.length === 0) {
+            setError('채팅 내용에서 대화를 찾지 못했습니다. 사용자 질문과 AI 답변이 포함되도록 다시 복사해주세요.')
+            return
+        }
+
+        setTranscript(normalized)
+        setStep(2)
+    }
+
+    // 기록 확인 단계에서 확정한 대화로 평가 실행 (같은 입력의 저장된 결과가 있으면 비용 확인 없이 그 결과를 씀)
+    const handleReviewConfirm = async (confirmedTranscript, language, { forceRefresh = false } = {}) => {
+        const params = {
+            transcript: confirmedTranscript,
+            reflection,
+            rubric: currentRubric,
+            apiSettings: {
+                ...apiSettings,
+                useServerSide: import.meta.env.PROD && !apiSettings.apiKey
+            },
+            language
+        }
+
+        // 저장된 결과를 읽지 못하면(설정 오류 등) 없는 것으로 보고 평가를 진행 (같은 오류는 평가 중에 화면에 표시됨)
+        const cached = forceRefresh ? null : await findCachedEvaluation(params).catch(error => {
+            console.warn('Evaluation cache lookup failed:', error)
+            return null
+        })
+        if (cached) {
+            setTranscript(confirmedTranscript)
+            setFeedbackLanguage(language)
+            setError('')
+            setEvaluationResult(cached)
+            setStep(3)
+            return
+        }
+
+        const threshold = apiSettings.costConfirmThreshold || 0
+        if (threshold > 0) {
+            const estimate = estimateEvaluationCost({ transcript: confirmedTranscript, rubric: currentRubric, reflection, apiSettings })
+            if (estimate.costUsd !== null && estimate.costUsd > threshold) {
+                const proceed = confirm(`이번 평가의 예상 비용은 약 ${formatCost(estimate.costUsd)}로, 관리자가 정한 기준(${formatCost(threshold)})을 넘습니다.\n(API 호출 ${estimate.calls}회, 입력 ${formatTokens(estimate.inputTokens)} · 출력 ${formatTokens(estimate.outputTokens)} 토큰)\n\n계속 진행하시겠습니까?`)
+                if (!proceed) return
+            }
+        }
+
+        setTranscript(confirmedTranscript)
+        setFeedbackLanguage(language)
+        setError('')
+        setProgressMessage('평가를 준비하고 있습니다...')
+        setPartialCriteria([])
         setIsLoading(true)
+        const controller = new AbortController()
+        abortControllerRef.current = controller
 
         try {
-            const result = await evaluateChat({
-                chatContent: content,
-                reflection,
-                rubric: currentRubric,
-                apiSettings: {
-                    ...apiSettings,
-                    useServerSide: import.meta.env.PROD && !apiSettings.apiKey
-                }
+            // 저장된 결과는 위에서 이미 찾았으므로 다시 찾지 않고 평가해 저장
+            const result = await evaluateChatCached({
+                ...params,
+                onProgress: setProgressMessage,
+                onPartialResult: (partial) => setPartialCriteria(partial.criteriaScores),
+                signal: controller.signal,
+                forceRefresh: true
             })
 
             setEvaluationResult(result)
-            setStep(2)
+            setStep(3)
         } catch (err) {
-            console.error('Evaluation error:', err)
+            if (err.name !== 'AbortError') console.error('Evaluation error:', err)
             setError(err.message || '평가 중 오류가 발생했습니다.')
         } finally {
+            abortControllerRef.current = null
             setIsLoading(false)
         }
     }
 
+    // 진행 중인 모든 요청 중단 (K-run은 끝난 실행이 있으면 그 결과로 표시)
+    const handleCancel = () => {
+        abortControllerRef.current?.abort()
+        setProgressMessage('평가를 취소하는 중입니다...')
+    }
+
+    // 저장된 결과 대신 같은 대화로 새로 평가
+    const handleRefresh = () => handleReviewConfirm(transcript, feedbackLanguage, { forceRefresh: true })
+
     const handleReset = () => {
         setChatContent('')
+        setImportedTurns(null)
+        setReflection('')
+        setTranscript([])
         setEvaluationResult(null)
         setError('')
         setStep(1)
@@ -124,6 +184,20 @@ function Home() {
                                 : `API: ${apiSettings.provider.toUpperCase()} (기본 내장)`}
                         </span>
                     </div>
+                    {costEstimate && (
+                        <div
+                            className="status-item"
+                            title={costEstimate.models
+                                .map(m => `${m.model || m.provider}: 입력 ${formatTokens(m.inputTokens)} · 출력 ${formatTokens(m.outputTokens)} 토큰 (${formatCost(m.costUsd)})`)
+                                .join('\n')}
+                        >
+                            <span className="status-icon">💰</span>
+                            <span className="status-text">
+                                예상 비용: {formatCost(costEstimate.costUsd)}
+                                {' '}(토큰 {formatTokens(costEstimate.inputTokens + costEstimate.outputTokens)}, 호출 {costEstimate.calls}회)
+                            </span>
+                        </div>
+                    )}
                 </div>
 
                 {/* Student Guide */}
@@ -147,6 +221,9 @@ function Home() {
                 {step === 1 && (
                     <div className="input-section animate-fadeIn">
                         <ChatInput
+                            initialContent={chatContent}
+                            initialTurns={importedTurns}
+                            initialReflection={reflection}
                             onSubmit={handleChatSubmit}
                             isLoading={isLoading}
                             disabled={!isReady}
@@ -163,12 +240,26 @@ function Home() {
                     </div>
                 )}
 
-                {step === 2 && evaluationResult && (
+                {step === 2 && (
+                    <div className="input-section animate-fadeIn">
+                        <TranscriptReview
+                            transcript={transcript}
+                            defaultLanguage={currentRubric?.language}
+                            onConfirm={handleReviewConfirm}
+                            onBack={() => setStep(1)}
+                            isLoading={isLoading}
+                        />
+                    </div>
+                )}
+
+                {step === 3 && evaluationResult && (
                     <div className="result-section animate-slideUp">
                         <EvaluationResult
                             result={evaluationResult}
                             rubric={currentRubric}
+                            transcript={transcript}
                             onReset={handleReset}
+                            onRefresh={handleRefresh}
                             apiSettings={{
                                 provider: apiSettings.provider === 'ensemble' ? 'ensemble' : apiSettings.provider,
                                 models: apiSettings.models
@@ -182,8 +273,27 @@ function Home() {
                     <div className="loading-overlay" role="alert" aria-live="polite">
                         <div className="loading-content">
                             <div className="spinner"></div>
-                            <p className="loading-text">{loadingMessage}</p>
-                            <p className="loading-hint">약 10-30초 정도 소요됩니다</p>
+                            <p className="loading-text">{progressMessage}</p>
+                            <p className="loading-hint">
+                                {partialCriteria.length > 0
+                                    ? '완성된 평가 항목부터 먼저 보여드립니다'
+                                    : '약 10-30초 정도 소요됩니다 (긴 대화는 더 걸릴 수 있습니다)'}
+                            </p>
+                            {partialCriteria.length > 0 && (
+                                <ul className="loading-criteria">
+                                    {partialCriteria.map((cs, index) => (
+                                        <li key={index} className="loading-criterion animate-fadeIn">
+                                            <span className="loading-criterion-name">{cs.name}</span>
+                                            <span className="loading-criterion-score">
+                                                {cs.score}{cs.maxScore ? ` / ${cs.maxScore}` : ''}
+                                            </span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            <button type="button" className="btn btn-secondary btn-sm loading-cancel" onClick={handleCancel}>
+                                ✕ 평가 취소
+                            </button>
                         </div>
                     </div>
                 )}
@@ -193,7 +303,11 @@ function Home() {
                     <div className="privacy-icon">🔒</div>
                     <div className="privacy-content">
                         <strong>개인정보 보호</strong>
-                        <p>입력하신 채팅 내용은 서버에 저장되지 않습니다. 평가는 실시간으로 처리되며, 페이지를 닫으면 모든 데이터가 삭제됩니다.</p>
+                        <p>
+                            입력하신 채팅 내용은 서버에 저장되지 않습니다. 평가는 실시간으로 처리되며, 페이지를 닫으면 모든 데이터가 삭제됩니다.
+                            {apiSettings.evaluationCache !== false && ' 같은 내용을 다시 평가할 때를 위해 평가 결과만 이 브라우저에 보관합니다.'}
+                            {apiSettings.redaction?.enabled !== false && ' 이름·학번·연락처 등 개인정보는 AI에 보내기 전에 자동으로 가려집니다.'}
+                        </p>
                     </div>
                 </section>
             </div>
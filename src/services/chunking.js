@@ -0,0 +1,113 @@
+/**
+ * 긴 대화 기록 분할 평가 (map-reduce) 모듈
+ * 대화를 구간으로 나눠 항목별 근거를 모은 뒤(map), 모은 근거만으로 최종 채점합니다(reduce).
+ */
+import { CHUNKED_EVALUATION, getChunkThreshold } from '../constants'
+import { serializeTranscript } from './transcript'
+import { estimateTokens } from './utils'
+import { extractJson } from './responseParser'
+
+/**
+ * 모델 임계값을 넘는 긴 대화인지 확인
+ */
+export function shouldUseChunkedEvaluation(transcript, model) {
+    return estimateTokens(serializeTranscript(transcript)) > getChunkThreshold(model)
+}
+
+/**
+ * 대화 기록을 구간으로 분할
+ * 각 구간에는 직전 구간의 마지막 턴 몇 개가 맥락(contextTurns)으로 함께 담깁니다.
+ * 한 턴이 구간보다 길면 문단 단위로 잘라 여러 턴으로 나눕니다.
+ * @returns {Array<{index: number, startTurn: number, endTurn: number, turns: Array, contextTurns: Array}>}
+ */
+export function splitTranscript(transcript, model) {
+    const segmentTokens = Math.floor(getChunkThreshold(model) * CHUNKED_EVALUATION.segmentRatio)
+    const pieces = transcript.flatMap((turn, turnIndex) => splitLongTurn(turn, segmentTokens)
+        .map(piece => ({ turn: piece, turnIndex, tokens: estimateTokens(piece.content) })))
+
+    const segments = []
+    let current = null
+    pieces.forEach((piece, i) => {
+        if (!current || (current.tokens + piece.tokens > segmentTokens && current.pieces.length > 0)) {
+            current = {
+                pieces: [],
+                tokens: 0,
+                contextTurns: pieces.slice(Math.max(0, i - CHUNKED_EVALUATION.overlapTurns), i).map(p => p.turn)
+            }
+            segments.push(current)
+        }
+        current.pieces.push(piece)
+        current.tokens += piece.tokens
+    })
+
+    return segments.map((segment, index) => ({
+        index,
+        startTurn: segment.pieces[0].turnIndex + 1,
+        endTurn: segment.pieces[segment.pieces.length - 1].turnIndex + 1,
+        turns: segment.pieces.map(p => p.turn),
+        contextTurns: segment.contextTurns
+    }))
+}
+
+function splitLongTurn(turn, maxTokens) {
+    if (estimateTokens(turn.content) <= maxTokens) return [turn]
+
+    const parts = []
+    let buffer = ''
+    turn.content.split(/\n{2,}/).forEach(paragraph => {
+        const candidate = buffer ? `${buffer}\n\n${paragraph}` : paragraph
+        if (buffer && estimateTokens(candidate) > maxTokens) {
+            parts.push(buffer)
+            buffer = paragraph
+        } else {
+            buffer = candidate
+        }
+    })
+    if (buffer) parts.push(buffer)
+
+    return parts.map((content, i) => ({ ...turn, content: i === 0 ? content : `(이어서) ${content}` }))
+}
+
+/**
+ * 구간 분석 응답 파싱 (형식이 틀리면 예외 → 재시도)
+ * @returns {{summary: string, criteria: Array<{criterionId: string, name: string, evidence: string[], observations: string}>}}
+ */
+export function parseSegmentEvidence(response, rubric) {
+    const result = extractJson(response)
+    if (!Array.isArray(result.criteria)) {
+        throw new Error('구간 분석 결과에 criteria 배열이 없습니다.')
+    }
+
+    return {
+        summary: result.summary || '',
+        criteria: rubric.criteria.map((criterion, i) => {
+            const found = result.criteria.find(c => c.criterionId === criterion.id)
+                || result.criteria.find(c => c.name === criterion.name)
+                || result.criteria[i]
+                || {}
+            return {
+                criterionId: criterion.id,
+                name: criterion.name,
+                evidence: (Array.isArray(found.evidence) ? found.evidence : [found.evidence]).filter(Boolean),
+                observations: found.observations || ''
+            }
+        })
+    }
+}
+
+/**
+ * 구간별 분석 결과를 평가 항목별로 모음
+ * @returns {{summaries: Array<{segment, summary}>, criteria: Array<{criterionId, name, findings: Array<{segment, evidence, observations}>}>}}
+ */
+export function aggregateSegmentEvidence(segments, segmentResults, rubric) {
+    return {
+        summaries: segmentResults.map((result, i) => ({ segment: segments[i], summary: result.summary })),
+        criteria: rubric.criteria.map((criterion, criterionIndex) => ({
+            criterionId: criterion.id,
+            name: criterion.name,
+            findings: segmentResults
+                .map((result, i) => ({ segment: segments[i], ...result.criteria[criterionIndex] }))
+                .filter(finding => finding.evidence.length > 0 || finding.observations)
+        }))
+    }
+}
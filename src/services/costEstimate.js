@@ -0,0 +1,130 @@
+/**
+ * 평가 전 토큰·비용 추정 모듈
+ * 실제로 보낼 프롬프트 크기로 입력 토큰을, 루브릭 항목 수로 출력 토큰을 추정합니다.
+ */
+import { getModelPricing, DEFAULT_MAX_EVALUATION_RUNS } from '../constants'
+import { buildEvaluationPrompt, buildSegmentEvidencePrompt, buildFinalScoringPrompt } from './prompts'
+import { shouldUseChunkedEvaluation, splitTranscript } from './chunking'
+import { estimateTokens } from './utils'
+import { getEnsembleMembers } from './ensemble'
+
+// 평가 결과 JSON의 예상 출력 토큰 (공통 필드 + 항목당 근거·피드백)
+const OUTPUT_TOKENS_BASE = 800
+const OUTPUT_TOKENS_PER_CRITERION = 400
+// 분할 평가 구간 분석 응답의 항목당 출력 토큰 (최종 채점 프롬프트에도 그대로 들어감)
+const SEGMENT_TOKENS_PER_CRITERION = 150
+// 서술 종합 호출: 지침·점수 목록 + 평가 하나당 서술, 종합한 서술 출력
+const NARRATIVE_PROMPT_TOKENS = 400
+const NARRATIVE_TOKENS_PER_SOURCE = 500
+const NARRATIVE_OUTPUT_TOKENS = 600
+
+/**
+ * 평가 1회에 드는 토큰과 비용 추정
+ * evaluationRuns 횟수와 앙상블 모델 수만큼 곱하고, 서술 종합 호출(K-run은 모델마다, 앙상블은 첫 모델이 한 번 더)을 더합니다.
+ * 적응형 K-run은 실행이 늘어날 수 있으므로 최대 실행 수(maxEvaluationRuns)로 계산합니다.
+ * @returns {{runs: number, calls: number, inputTokens: number, outputTokens: number, costUsd: number|null, models: Array}}
+ *   costUsd는 가격표에 없는 모델이 하나라도 있으면 null
+ */
+export function estimateEvaluationCost({ transcript, rubric, reflection, apiSettings }) {
+    const plannedRuns = apiSettings.evaluationRuns || 1
+    const runs = plannedRuns > 1 && apiSettings.adaptiveRuns
+        ? Math.max(plannedRuns, apiSettings.maxEvaluationRuns || DEFAULT_MAX_EVALUATION_RUNS)
+        : plannedRuns
+    const members = resolveModels(apiSettings)
+    const narrative = apiSettings.narrativeSynthesis !== false
+    const models = members.map(({ provider, model }, index) => {
+        const usage = estimateSingleRun(transcript, rubric, reflection, model)
+        const narrativeSources = [
+            ...(narrative && runs > 1 ? [runs] : []),
+            ...(narrative && apiSettings.provider === 'ensemble' && index === 0 ? [members.length] : [])
+        ]
+        const inputTokens = usage.inputTokens + usage.finalInputTokens * runs
+            + narrativeSources.reduce((total, sources) => total + NARRATIVE_PROMPT_TOKENS + NARRATIVE_TOKENS_PER_SOURCE * sources, 0)
+        const outputTokens = usage.outputTokens + usage.finalOutputTokens * runs + NARRATIVE_OUTPUT_TOKENS * narrativeSources.length
+        const pricing = getModelPricing(model)
+
+        return {
+            provider,
+            model,
+            calls: usage.segments + runs + narrativeSources.length,
+            segments: usage.segments,
+            inputTokens,
+            outputTokens,
+            costUsd: pricing ? (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6 : null
+        }
+    })
+
+    const sum = (key) => models.reduce((total, m) => total + m[key], 0)
+    return {
+        runs,
+        calls: sum('calls'),
+        inputTokens: sum('inputTokens'),
+        outputTokens: sum('outputTokens'),
+        costUsd: models.every(m => m.costUsd !== null) ? sum('costUsd') : null,
+        models
+    }
+}
+
+/**
+ * 비용 표시용 문자열 (예: "$0.04", "<$0.01")
+ */
+export function formatCost(costUsd) {
+    if (costUsd === null || costUsd === undefined) return '알 수 없음'
+    if (costUsd < 0.01) return '<$0.01'
+    return `$${costUsd.toFixed(2)}`
+}
+
+/**
+ * 토큰 수 표시용 문자열 (예: "12.3K")
+ */
+export function formatTokens(tokens) {
+    return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}K` : String(tokens)
+}
+
+/**
+ * 평가에 쓰는 제공업체·모델 목록 (앙상블이면 참여 모델 전부)
+ * @returns {Array<{provider: string, model: string}>}
+ */
+export function resolveModels(apiSettings) {
+    if (apiSettings.provider === 'ensemble') {
+        return getEnsembleMembers(apiSettings).map(({ provider, model }) => ({ provider, model }))
+    }
+    const provider = apiSettings.provider
+    return [{ provider, model: apiSettings.models?.[provider] || apiSettings.model || '' }]
+}
+
+/**
+ * 한 모델의 평가 1회 토큰 추정
+ * 분할 평가면 구간 분석(1번만 실행)과 최종 채점(K-run마다 실행)을 나눠 계산합니다.
+ */
+function estimateSingleRun(transcript, rubric, reflection, model) {
+    const criteriaCount = rubric.criteria.length
+    const finalOutputTokens = OUTPUT_TOKENS_BASE + OUTPUT_TOKENS_PER_CRITERION * criteriaCount
+
+    if (!shouldUseChunkedEvaluation(transcript, model)) {
+        return {
+            segments: 0,
+            inputTokens: 0,
+            outputTokens: 0,
+            finalInputTokens: estimateTokens(buildEvaluationPrompt(transcript, rubric, reflection)),
+            finalOutputTokens
+        }
+    }
+
+    const segments = splitTranscript(transcript, model)
+    const segmentOutputTokens = SEGMENT_TOKENS_PER_CRITERION * criteriaCount + 100
+    const emptyEvidence = {
+        summaries: segments.map(segment => ({ segment, summary: '' })),
+        criteria: rubric.criteria.map(c => ({ criterionId: c.id, name: c.name, findings: [] }))
+    }
+
+    return {
+        segments: segments.length,
+        inputTokens: segments.reduce((total, segment) =>
+            total + estimateTokens(buildSegmentEvidencePrompt(segment, rubric, segments.length, transcript.length)), 0),
+        outputTokens: segmentOutputTokens * segments.length,
+        finalInputTokens: estimateTokens(buildFinalScoringPrompt(emptyEvidence, rubric, reflection, transcript.length))
+            + segmentOutputTokens * segments.length,
+        finalOutputTokens
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * 앙상블 평가 모듈
+ * API 키가 있는 제공업체마다 같은 루브릭 프롬프트로 평가한 결과를 평가 항목(criterionId)별로 모아 합의 결과를 만듭니다.
+ */
+import { ENSEMBLE_MODELS, DEFAULT_AGGREGATION_STRATEGY } from '../constants'
+import { aggregateCriteria, pickRepresentative } from './synthesis'
+
+/**
+ * 앙상블에 참여할 제공업체와 모델
+ * 모델은 API 키 설정에서 고른 제공업체별 모델(models)을 먼저 쓰고, 없으면 ensembleModels → ENSEMBLE_MODELS 순으로 씁니다.
+ * @returns {Array<{provider: string, model: string, apiKey: string}>} API 키와 모델명이 있는 제공업체만
+ */
+export function getEnsembleMembers(apiSettings) {
+    return Object.keys(ENSEMBLE_MODELS)
+        .map(provider => ({
+            provider,
+            model: [apiSettings.models?.[provider], apiSettings.ensembleModels?.[provider], ENSEMBLE_MODELS[provider]]
+                .find(model => model && model !== 'custom' && model.trim()),
+            apiKey: apiSettings.apiKeys?.[provider] || ''
+        }))
+        .filter(member => member.model && member.apiKey)
+}
+
+/**
+ * 모델별 평가 결과로 합의 결과 생성
+ * 항목 점수는 종합 방식(strategy)으로 모으고, 근거·피드백 문장은 종합 점수에 가장 가까운 점수를 준 모델의 것을 씁니다.
+ * 정성 평가·생활기록부 초안은 총점이 평균에 가장 가까운 모델의 것을 쓰고, 특징·실천 방안은 합칩니다.
+ * 항목마다 modelScores(모델별 점수)와 spread(최고-최저 차이)를 남겨 결과 화면에서 비교할 수 있게 합니다.
+ * @param {Array<{provider: string, model: string, result: object}>} members - 검증을 마친 모델별 결과
+ * @param {string} [strategy] - 항목 점수 종합 방식
+ */
+export function buildConsensus(members, rubric, strategy = DEFAULT_AGGREGATION_STRATEGY) {
+    const results = members.map(member => member.result)
+
+    const criteriaScores = aggregateCriteria(results, rubric, strategy).map(({ scores, ...cs }) => {
+        const modelScores = members
+            .map((member, i) => ({ provider: member.provider, model: member.model, score: scores[i] }))
+            .filter(ms => ms.score !== null)
+        const values = modelScores.map(ms => ms.score)
+        return { ...cs, modelScores, spread: Math.max(...values) - Math.min(...values) }
+    })
+
+    const representative = pickRepresentative(results)
+    const union = (key) => [...new Set(results.flatMap(result => result[key] || []))]
+
+    return {
+        ...representative,
+        // AI가 보고한 총점이 아니므로 비워 두고, 합의 항목 점수로 다시 계산함 (applyWeightedScoring)
+        totalScore: null,
+        grade: null,
+        criteriaScores,
+        characteristics: union('characteristics'),
+        suggestions: union('suggestions'),
+        evaluationMeta: { aggregation: strategy }
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * 평가 결과 캐시 모듈
+ * 같은 대화 기록·루브릭·소감문을 같은 모델과 실행 설정으로 다시 평가하면 이 브라우저의 IndexedDB에 저장해 둔 결과를 바로 돌려줍니다.
+ * 키는 입력 전체의 SHA-256 해시이고, 개인정보 대응표(redaction.mapping)는 저장하지 않고 꺼낼 때 다시 만듭니다.
+ * IndexedDB나 crypto.subtle을 쓸 수 없는 환경(사생활 보호 모드, HTTPS가 아닌 주소 등)에서는 캐시 없이 평가합니다.
+ */
+import { evaluateChat } from './evaluator'
+import { normalizeTranscript } from './transcript'
+import { redactTranscript } from './redaction'
+import { resolveModels } from './costEstimate'
+import { sha256Hex } from './storage'
+import { PROMPT_VERSION } from './prompts'
+import { EVALUATION_CACHE } from '../constants'
+
+const STORE_NAME = 'evaluations'
+const MAX_AGE_MS = EVALUATION_CACHE.maxAgeDays * 24 * 60 * 60 * 1000
+
+// 결과에 영향을 주는 실행 설정 (바뀌면 다른 키가 됨)
+const KEYED_SETTINGS = [
+    'evaluationRuns', 'adaptiveRuns', 'maxEvaluationRuns', 'aggregationStrategy',
+    'narrativeSynthesis', 'reaskUnverifiedEvidence', 'scoreDiscrepancyMargin', 'redaction',
+    'fallbackChain', 'failoverOn'
+]
+
+/**
+ * 캐시를 거쳐 평가 (매개변수는 evaluateChat과 같음)
+ * 저장된 결과가 있으면 evaluationMeta.cached({createdAt})를 붙여 바로 돌려주고,
+ * 없으면 평가한 뒤 온전한 결과만 저장합니다 (isComplete 참고).
+ * @param {boolean} [params.forceRefresh] - 저장된 결과를 찾지 않고 새로 평가 (결과는 다시 저장)
+ */
+export async function evaluateChatCached({ forceRefresh = false, ...params }) {
+    const cache = await prepareCache(params)
+    if (!cache) return await evaluateChat(params)
+
+    if (!forceRefresh) {
+        const cached = await readCached(cache, params)
+        if (cached) {
+            params.onProgress?.('저장된 평가 결과를 불러왔습니다.')
+            return cached
+        }
+    }
+
+    const result = await evaluateChat({ ...params, transcript: cache.transcript })
+    if (isComplete(result)) {
+        const stored = { ...result }
+        delete stored.redaction
+        await writeEntry(cache.key, stored)
+    }
+    return result
+}
+
+/**
+ * 평가하지 않고 저장된 결과만 찾기 (비용 확인 전에 씀, 매개변수는 evaluateChat과 같음)
+ * @returns {Promise<object|null>} 저장된 결과 (없거나 캐시를 쓸 수 없으면 null)
+ */
+export async function findCachedEvaluation(params) {
+    const cache = await prepareCache(params)
+    return cache ? await readCached(cache, params) : null
+}
+
+/**
+ * 이 브라우저에 저장된 평가 결과 수와 크기 (관리자 화면용)
+ * @returns {Promise<{entries: number, bytes: number}>}
+ */
+export async function getEvaluationCacheStats() {
+    const entries = await withStore('readonly', store => request(store.getAll()), [])
+    return { entries: entries.length, bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0) }
+}
+
+/**
+ * 저장된 평가 결과 모두 삭제
+ */
+export async function clearEvaluationCache() {
+    await withStore('readwrite', store => request(store.clear()))
+}
+
+// 정규화한 대화 기록과 캐시 키 (캐시를 끄거나 키를 만들 수 없으면 null)
+async function prepareCache(params) {
+    if (params.apiSettings.evaluationCache === false) return null
+    const transcript = params.transcript || normalizeTranscript(params.chatContent)
+    if (transcript.length === 0) return null
+    try {
+        return { transcript, key: await buildCacheKey({ ...params, transcript }) }
+    } catch (error) {
+        // crypto.subtle은 보안 컨텍스트(HTTPS·localhost)에서만 있음
+        console.warn('Evaluation cache key unavailable:', error)
+        return null
+    }
+}
+
+// 저장된 결과에 evaluationMeta.cached를 붙이고 개인정보 대응표를 다시 만듦
+async function readCached({ key, transcript }, params) {
+    const entry = await readEntry(key)
+    if (!entry) return null
+    const { mapping } = redactTranscript(transcript, params.reflection, params.apiSettings.redaction)
+    const result = { ...entry.result, evaluationMeta: { ...entry.result.evaluationMeta, cached: { createdAt: entry.createdAt } } }
+    return mapping.length > 0 ? { ...result, redaction: { mapping } } : result
+}
+
+// 다시 평가하면 나아질 수 있는 결과(취소된 K-run, 일부 모델이 실패한 앙상블, 서술 종합 실패, 기본값으로 채운 항목)는 저장하지 않음
+function isComplete(result) {
+    const meta = result.evaluationMeta || {}
+    return !meta.cancelled
+        && !(meta.ensemble?.failed?.length > 0)
+        && meta.narrative?.synthesized !== false
+        && !meta.validation?.repairs?.some(repair => repair.action === 'fallback')
+}
+
+// 결과를 바꾸는 입력 전체를 해시한 캐시 키 (복제한 루브릭도 내용이 같으면 같은 키가 되도록 id는 뺌)
+async function buildCacheKey({ transcript, reflection, rubric, apiSettings, language }) {
+    const rubricContent = { ...rubric }
+    delete rubricContent.id
+    return await sha256Hex(JSON.stringify({
+        promptVersion: PROMPT_VERSION,
+        transcript: transcript.map(turn => [turn.role, turn.content.trim(), turn.session || null]),
+        reflection: (reflection || '').trim(),
+        rubric: rubricContent,
+        language: language || null,
+        models: resolveModels(apiSettings),
+        settings: KEYED_SETTINGS.map(name => apiSettings[name] ?? null)
+    }))
+}
+
+async function readEntry(key) {
+    const entry = await withStore('readonly', store => request(store.get(key)))
+    if (!entry) return null
+    if (Date.now() - entry.createdAt > MAX_AGE_MS) {
+        await withStore('readwrite', store => request(store.delete(key)))
+        return null
+    }
+    return entry
+}
+
+// 저장 후 maxEntries를 넘으면 오래된 결과부터 지움
+async function writeEntry(key, result) {
+    const size = new TextEncoder().encode(JSON.stringify(result)).length
+    await withStore('readwrite', store => request(store.put({ key, result, createdAt: Date.now(), size })))
+    await withStore('readwrite', async store => {
+        const keys = await request(store.index('createdAt').getAllKeys())
+        const excess = keys.length - EVALUATION_CACHE.maxEntries
+        if (excess > 0) keys.slice(0, excess).forEach(oldKey => store.delete(oldKey))
+    })
+}
+
+// 저장소 작업 하나를 트랜잭션으로 실행하고 결과를 돌려줌 (IndexedDB를 쓸 수 없거나 실패하면 fallback)
+async function withStore(mode, operation, fallback = null) {
+    if (typeof indexedDB === 'undefined') return fallback
+    let db
+    try {
+        db = await openDatabase()
+        const transaction = db.transaction(STORE_NAME, mode)
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve
+            transaction.onerror = () => reject(transaction.error)
+            transaction.onabort = () => reject(transaction.error)
+        })
+        const [result] = await Promise.all([operation(transaction.objectStore(STORE_NAME)), done])
+        return result ?? fallback
+    } catch (error) {
+        console.warn('Evaluation cache unavailable:', error)
+        return fallback
+    } finally {
+        db?.close()
+    }
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const opening = indexedDB.open(EVALUATION_CACHE.dbName, 1)
+        opening.onupgradeneeded = () => {
+            opening.result.createObjectStore(STORE_NAME, { keyPath: 'key' }).createIndex('createdAt', 'createdAt')
+        }
+        opening.onsuccess = () => resolve(opening.result)
+        opening.onerror = () => reject(opening.error)
+    })
+}
+
+function request(idbRequest) {
+    return new Promise((resolve, reject) => {
+        idbRequest.onsuccess = () => resolve(idbRequest.result)
+        idbRequest.onerror = () => reject(idbRequest.error)
+    })
+}
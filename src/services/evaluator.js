@@ -3,100 +3,602 @@
  * 각 모듈에서 기능을 조합하여 평가를 실행
  */
 import { getProvider } from './providers'
-import { buildEvaluationPrompt } from './prompts'
-import { parseEvaluationResponse } from './responseParser'
-import { synthesizeKRunResults } from './synthesis'
-import { fetchWithTimeout } from './utils'
+import { buildEvaluationPrompt, buildSegmentEvidencePrompt, buildFinalScoringPrompt, buildRepairPrompt, buildNarrativeSynthesisPrompt } from './prompts'
+import { parseEvaluationResponse, extractJson } from './responseParser'
+import { validateEvaluation, applyRepair, listResolved, applyFallbacks } from './validation'
+import { applyWeightedScoring } from './scoring'
+import { verifyEvidence, findUnverifiedEvidence, extractQuotes } from './evidence'
+import { synthesizeKRunResults, computeRunStatistics, assessAgreement } from './synthesis'
+import { getEnsembleMembers, buildConsensus } from './ensemble'
+import { normalizeTranscript } from './transcript'
+import { redactTranscript } from './redaction'
+import { detectLanguage, resolveFeedbackLanguage } from './language'
+import { buildEvaluationSchema, buildSegmentEvidenceSchema, buildRepairSchema, buildNarrativeSynthesisSchema } from './schema'
+import { shouldUseChunkedEvaluation, splitTranscript, parseSegmentEvidence, aggregateSegmentEvidence } from './chunking'
+import { CHUNKED_EVALUATION, DEFAULT_SCORE_DISCREPANCY_MARGIN, DEFAULT_AGGREGATION_STRATEGY, ADAPTIVE_RUNS, DEFAULT_MAX_EVALUATION_RUNS } from '../constants'
+import { fetchWithTimeout, createAbortError, throwIfAborted, scheduleRequest, isRetryableError, getRetryDelay, sleep } from './utils'
+import { createCriteriaStreamParser, readProxyStream, isEventStream } from './streaming'
+import { buildFallbackChain, shouldFailover, classifyError, createProviderError, parseRetryAfter, FAILOVER_TRIGGERS, DEFAULT_FAILOVER_TRIGGERS } from './failover'
 
 const MAX_RETRIES = 2
+const MAX_REPAIR_ATTEMPTS = 2
 
 /**
  * 채팅 내용을 루브릭 기반으로 평가
+ * transcript(학생이 확인한 대화 기록)가 없으면 chatContent를 정규화해 씁니다.
  */
-export async function evaluateChat({ chatContent, reflection, rubric, apiSettings }) {
+export async function evaluateChat({ chatContent, transcript: confirmedTranscript, reflection: rawReflection, rubric, apiSettings, language, onProgress, onPartialResult, signal }) {
     const { provider, apiKeys } = apiSettings
     const models = apiSettings.models || {}
     const evaluationRuns = apiSettings.evaluationRuns || 1
+    const isEnsemble = provider === 'ensemble'
 
     const currentModel = models[provider] || apiSettings.model
     const apiKey = apiKeys?.[provider] || apiSettings.apiKey || ''
 
-    if (!currentModel || currentModel === 'custom' || currentModel.trim() === '') {
+    if (!isEnsemble && (!currentModel || currentModel === 'custom' || currentModel.trim() === '')) {
         throw new Error(`'${provider}'에 대한 모델 이름이 올바르지 않습니다. 관리자 설정에서 '직접 입력'을 선택한 후 모델명(예: gemini-2.5-pro, gpt-4o)을 정확히 입력해주세요.`)
     }
 
-    const prompt = buildEvaluationPrompt(chatContent, rubric, reflection)
+    const normalized = confirmedTranscript || normalizeTranscript(chatContent)
+    if (normalized.length === 0) {
+        throw new Error('채팅 내용에서 대화를 찾지 못했습니다. 사용자 질문과 AI 답변이 포함되도록 다시 복사해주세요.')
+    }
+
+    // 프롬프트를 만들기 전에 개인정보를 가리고, 대응표는 결과의 redaction.mapping에만 남김
+    const { transcript, reflection, mapping } = redactTranscript(normalized, rawReflection, apiSettings.redaction)
+    // 피드백 언어를 고르지 않았으면 루브릭 언어를 씀
+    const languages = { output: resolveFeedbackLanguage(language, rubric), transcript: detectLanguage(normalized) }
+    // 총점·등급은 항목 점수와 가중치로 계산하고, 근거 인용은 대화 기록과 대조함
+    const finalize = (evaluated) => verifyEvidence(
+        applyWeightedScoring(evaluated, rubric, apiSettings.scoreDiscrepancyMargin ?? DEFAULT_SCORE_DISCREPANCY_MARGIN),
+        transcript
+    )
+
+    const scored = isEnsemble
+        ? await evaluateEnsemble(transcript, reflection, rubric, apiSettings, evaluationRuns, languages, finalize, { onProgress, signal })
+        : finalize(await evaluateWithFallback(transcript, reflection, rubric, { provider, model: currentModel, apiKey }, apiSettings, evaluationRuns, languages, { onProgress, onPartialResult, signal }))
+    const result = { ...scored, evaluationMeta: { ...scored.evaluationMeta, languages } }
+    return mapping.length > 0 ? { ...result, redaction: { mapping } } : result
+}
+
+/**
+ * 앙상블 평가: 참여 모델마다 같은 루브릭 프롬프트를 동시에 실행하고 항목별로 합의
+ * 일부 모델이 실패해도 성공한 모델로 합의하고, 실패한 모델은 evaluationMeta.ensemble.failed에 남깁니다.
+ * 모델별 결과는 ensembleResults에 남겨 결과 화면에서 전환해 볼 수 있게 합니다.
+ * 여러 응답이 섞이므로 부분 결과 스트리밍은 쓰지 않습니다.
+ * @param {(evaluated: object) => object} finalize - 모델별 결과에 총점 계산·인용 검증을 적용하는 함수
+ */
+async function evaluateEnsemble(transcript, reflection, rubric, apiSettings, evaluationRuns, languages, finalize, { onProgress, signal }) {
+    const members = getEnsembleMembers(apiSettings)
+    if (members.length < 2) {
+        throw new Error('앙상블 평가에는 API 키가 설정된 제공업체가 2곳 이상 필요합니다. 관리자 설정에서 API 키를 추가해주세요.')
+    }
+
+    let completed = 0
+    onProgress?.(`여러 모델로 동시에 평가하는 중입니다... (0/${members.length}개 모델 완료)`)
+
+    const settled = await Promise.allSettled(members.map(async ({ provider, model, apiKey }) => {
+        const evaluated = await evaluateTranscript(transcript, reflection, rubric, provider, model, apiKey, apiSettings, evaluationRuns, languages, { signal })
+        completed++
+        onProgress?.(`여러 모델로 동시에 평가하는 중입니다... (${completed}/${members.length}개 모델 완료)`)
+        return finalize(evaluated)
+    }))
+    throwIfAborted(signal)
+
+    const succeeded = members
+        .map((member, i) => ({ provider: member.provider, model: member.model, result: settled[i].value }))
+        .filter((_, i) => settled[i].status === 'fulfilled')
+    const failed = members
+        .map((member, i) => ({ provider: member.provider, model: member.model, error: settled[i].reason?.message }))
+        .filter((_, i) => settled[i].status === 'rejected')
+    failed.forEach(({ provider, error }) => console.warn(`Ensemble member ${provider} failed:`, error))
+
+    if (succeeded.length === 0) {
+        throw new Error(`앙상블의 모든 모델이 평가에 실패했습니다: ${failed.map(f => `${f.provider}(${f.error})`).join(', ')}`)
+    }
+
+    const strategy = apiSettings.aggregationStrategy || DEFAULT_AGGREGATION_STRATEGY
+    // 서술 종합은 성공한 첫 모델에 맡김
+    const lead = members.find((_, i) => settled[i].status === 'fulfilled')
+    const call = (requestPrompt, requestOptions) => singleEvaluation(requestPrompt, lead.provider, lead.model, lead.apiKey, apiSettings, requestOptions)
+    const consensus = finalize(await synthesizeNarrative(
+        succeeded.map(member => member.result),
+        buildConsensus(succeeded, rubric, strategy),
+        rubric,
+        apiSettings,
+        call,
+        { language: languages.output, signal },
+        onProgress
+    ))
+    return {
+        ...consensus,
+        evaluationMeta: {
+            ...consensus.evaluationMeta,
+            ensemble: {
+                members: succeeded.map(({ provider, model, result }) => ({ provider, model, totalScore: result.totalScore })),
+                failed
+            }
+        },
+        ensembleResults: succeeded
+    }
+}
+
+/**
+ * 대체 모델 순서대로 평가
+ * 기본 모델이 failoverOn에 고른 종류의 오류(시간 초과·429·5xx·안전 정책 차단·파싱 실패)로 실패하면
+ * 같은 모델로 재시도하지 않고 fallbackChain의 다음 모델(API 키가 있는 것만)로 넘어갑니다.
+ * 결과를 만든 모델은 evaluationMeta.producedBy에, 건너뛴 모델과 오류는 evaluationMeta.failover에 남깁니다.
+ * 서버 프록시 모드에서는 대체 모델 순서를 프록시에 넘겨 서버 키로 전환하게 하고, 프록시가 알려준 모델을 남깁니다.
+ * @param {{provider: string, model: string, apiKey: string}} primary - 관리자 설정의 기본 모델
+ */
+async function evaluateWithFallback(transcript, reflection, rubric, primary, apiSettings, evaluationRuns, languages, control) {
+    const triggers = apiSettings.failoverOn || DEFAULT_FAILOVER_TRIGGERS
+    const serverFailover = apiSettings.useServerSide ? { fallbackChain: apiSettings.fallbackChain, failoverOn: triggers } : null
+    const chain = serverFailover ? [primary] : buildFallbackChain(primary, apiSettings.fallbackChain)
+        .map((entry, i) => i === 0 ? entry : { ...entry, apiKey: apiSettings.apiKeys?.[entry.provider] || '' })
+        .filter((entry, i) => i === 0 || entry.apiKey)
+    const failover = []
+
+    for (const [index, { provider, model, apiKey }] of chain.entries()) {
+        const next = chain[index + 1]
+        try {
+            const result = await evaluateTranscript(transcript, reflection, rubric, provider, model, apiKey, apiSettings, evaluationRuns, languages, {
+                ...control,
+                serverFailover,
+                failover: next ? (error) => shouldFailover(error, triggers) : null
+            })
+            const skipped = [...failover, ...(result.evaluationMeta?.failover || [])]
+            return {
+                ...result,
+                evaluationMeta: {
+                    ...result.evaluationMeta,
+                    producedBy: result.evaluationMeta?.producedBy || { provider, model },
+                    ...(skipped.length > 0 ? { failover: skipped } : {})
+                }
+            }
+        } catch (error) {
+            if (!next || !shouldFailover(error, triggers)) throw error
+            const kind = classifyError(error)
+            console.warn(`Failover from ${provider}/${model} (${kind}):`, error.message)
+            failover.push({ provider, model, kind, error: error.message })
+            const reason = FAILOVER_TRIGGERS.find(trigger => trigger.id === kind)?.label
+            control.onProgress?.(`${model} 평가에 실패해(${reason}) ${next.model}(으)로 다시 평가합니다...`)
+        }
+    }
+}
+
+/**
+ * 가린 대화 기록으로 평가 실행
+ * 모델별 임계값을 넘는 긴 대화는 구간별 근거를 먼저 추출한 뒤 모은 근거로 최종 채점합니다.
+ */
+async function evaluateTranscript(transcript, reflection, rubric, provider, currentModel, apiKey, apiSettings, evaluationRuns, languages, control) {
+    const { onProgress, signal } = control
+    // 찾을 수 없는 인용을 다시 요청하는 옵션이 켜져 있으면 대조할 대화 기록을 넘김
+    const evidenceTranscript = apiSettings.reaskUnverifiedEvidence ? transcript : null
+
+    if (shouldUseChunkedEvaluation(transcript, currentModel)) {
+        const segments = splitTranscript(transcript, currentModel)
+        const segmentResults = await extractSegmentEvidence(segments, transcript.length, rubric, provider, currentModel, apiKey, apiSettings, languages, onProgress, signal)
+
+        onProgress?.(`구간별 근거를 모아 최종 채점 중입니다... (${segments.length}개 구간)`)
+        const prompt = buildFinalScoringPrompt(aggregateSegmentEvidence(segments, segmentResults, rubric), rubric, reflection, transcript.length, languages)
+        const result = await runEvaluation(prompt, provider, currentModel, apiKey, apiSettings, rubric, evaluationRuns, languages.output, evidenceTranscript, control)
+
+        return {
+            ...result,
+            evaluationMeta: {
+                ...result.evaluationMeta,
+                chunked: { segments: segments.length, turns: transcript.length }
+            }
+        }
+    }
+
+    const prompt = buildEvaluationPrompt(transcript, rubric, reflection, languages)
+    return await runEvaluation(prompt, provider, currentModel, apiKey, apiSettings, rubric, evaluationRuns, languages.output, evidenceTranscript, control)
+}
+
+/**
+ * 완성된 평가 프롬프트 실행 (K-run 또는 재시도가 포함된 단일 실행)
+ * 루브릭으로 만든 응답 스키마를 함께 보내 제공업체의 구조화 출력을 사용합니다.
+ * 단일 실행은 응답을 스트리밍으로 받아 완성된 항목부터 control의 콜백에 알립니다.
+ * 일시적인 전송 오류는 요청 스케줄러가 재시도하고, 여기서는 응답을 평가 결과로 만들지 못한 경우만
+ * 잠시 기다렸다가 다시 요청합니다. 그래도 실패하면 서버 프록시로 한 번 더 시도합니다.
+ * 취소되면 재시도나 서버 프록시 백업 없이 바로 취소 오류를 던집니다.
+ * control.failover(error)가 true인 오류도 재시도 없이 바로 던져 다음 대체 모델로 넘깁니다.
+ * control.serverFailover({fallbackChain, failoverOn})는 서버 프록시 요청에 그대로 실어 보냅니다.
+ * @param {{onProgress?: Function, onPartialResult?: Function, signal?: AbortSignal, failover?: Function, serverFailover?: object}} control - 진행 알림, 취소 신호, 대체 모델 전환 여부
+ */
+async function runEvaluation(prompt, provider, currentModel, apiKey, apiSettings, rubric, evaluationRuns, language, evidenceTranscript, control = {}) {
+    const { signal } = control
+    const options = {
+        language,
+        responseSchema: buildEvaluationSchema(rubric),
+        signal,
+        onWait: control.onProgress,
+        ...control.serverFailover,
+        // 대체 모델로 넘길 오류는 같은 모델로 기다렸다 재시도하지 않음
+        ...(control.failover ? { shouldRetry: (error) => isRetryableError(error) && !control.failover(error) } : {})
+    }
 
     // K-run evaluation: run multiple times and synthesize
     if (evaluationRuns > 1) {
-        return await evaluateWithKRuns(prompt, provider, currentModel, apiKey, apiSettings, rubric, evaluationRuns)
+        return await evaluateWithKRuns(prompt, provider, currentModel, apiKey, apiSettings, rubric, evaluationRuns, options, evidenceTranscript, control.onProgress)
     }
 
     // Single run (default) with fallback and retries
+    const call = (requestPrompt, requestOptions) => singleEvaluation(requestPrompt, provider, currentModel, apiKey, apiSettings, requestOptions)
+    // 서버 프록시가 평가 응답을 보낸 모델 (보정 요청의 응답 모델은 남기지 않음)
+    let served = null
+    const firstOptions = () => ({ ...withStreaming(options, rubric, control), onServed: (meta) => { served = meta } })
     let lastError = null
 
     for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+        throwIfAborted(signal)
         try {
-            let response = await singleEvaluation(prompt, provider, currentModel, apiKey, apiSettings)
+            let response = await call(prompt, firstOptions())
 
             if (!response || response.trim() === '') {
-                throw new Error('AI returned empty response')
+                throw createProviderError('AI returned empty response', { kind: 'parse' })
             }
 
-            return parseEvaluationResponse(response, rubric)
+            control.onProgress?.('평가 결과를 검증하고 있습니다...')
+            return withServedMeta(await parseAndRepair(response, prompt, rubric, options, call, evidenceTranscript).catch(throwAsParseError), [served])
         } catch (error) {
+            throwIfAborted(signal)
             console.warn(`Evaluation attempt ${attempt + 1} failed:`, error.message)
             lastError = error
+            if (control.failover?.(error)) throw error
+            if (classifyError(error) !== 'parse' || attempt === MAX_RETRIES) break
+            await sleep(getRetryDelay(error, attempt + 1), signal)
+        }
+    }
 
-            if (attempt === MAX_RETRIES && !apiSettings.useServerSide) {
-                console.warn('All retries failed, trying server proxy backup...')
-                try {
-                    const response = await callServerProxy({
-                        prompt,
-                        provider,
-                        model: currentModel
-                    })
-                    return parseEvaluationResponse(response, rubric)
-                } catch (serverError) {
-                    throw new Error(`평가 실패 (재시도 ${MAX_RETRIES}회 포함): ${error.message} (Server fallback also failed: ${serverError.message})`)
-                }
+    if (!apiSettings.useServerSide) {
+        console.warn('All retries failed, trying server proxy backup...')
+        const callServer = (requestPrompt, requestOptions) => scheduleCall(provider, requestOptions, (scheduled) => callServerProxy({
+            prompt: requestPrompt,
+            provider,
+            model: currentModel,
+            ...scheduled
+        }))
+        try {
+            const response = await callServer(prompt, firstOptions())
+            return withServedMeta(await parseAndRepair(response, prompt, rubric, options, callServer, evidenceTranscript).catch(throwAsParseError), [served])
+        } catch (serverError) {
+            throwIfAborted(signal)
+            // 요청 한도 초과는 스케줄러가 만든 안내(잠시 후 다시 시도)를 그대로 보여줌
+            if (classifyError(lastError) === 'rateLimit') {
+                console.warn('Server fallback also failed:', serverError.message)
+                throw lastError
             }
+            throw createProviderError(
+                `평가 실패: ${lastError.message} (Server fallback also failed: ${serverError.message})`,
+                { kind: classifyError(serverError) }
+            )
         }
     }
 
     throw lastError
 }
 
+// 응답을 평가 결과로 만들지 못한 오류는 재시도·대체 모델 전환 판단을 위해 'parse'로 분류
+function markParseError(error) {
+    if (error.name !== 'AbortError') error.kind ??= 'parse'
+    return error
+}
+
+function throwAsParseError(error) {
+    throw markParseError(error)
+}
+
+// 서버 프록시가 알려준 응답 모델과 건너뛴 모델을 evaluationMeta에 남김 (여러 번 실행했으면 첫 응답의 모델, 전환 기록은 중복 없이)
+function withServedMeta(result, served) {
+    const responses = served.filter(Boolean)
+    if (responses.length === 0) return result
+    const failover = responses.flatMap(response => response.failover)
+        .filter((entry, i, all) => all.findIndex(other => other.model === entry.model && other.kind === entry.kind) === i)
+    return {
+        ...result,
+        evaluationMeta: {
+            ...result.evaluationMeta,
+            producedBy: responses[0].producedBy,
+            ...(failover.length > 0 ? { failover } : {})
+        }
+    }
+}
+
+/**
+ * 첫 평가 요청에 스트리밍 옵션(onToken) 추가
+ * 항목 JSON이 완성될 때마다 지금까지 받은 항목을 onPartialResult로, 진행 상황을 onProgress로 알립니다.
+ * 재시도하면 새로 만들어 받은 항목 목록을 비웁니다. 보정 요청에는 쓰지 않습니다.
+ */
+function withStreaming(options, rubric, { onProgress, onPartialResult }) {
+    if (!onProgress && !onPartialResult) return options
+
+    const criteriaScores = []
+    const parser = createCriteriaStreamParser(criterion => {
+        criteriaScores.push(criterion)
+        onPartialResult?.({ criteriaScores: [...criteriaScores] })
+        onProgress?.(`AI가 평가 보고서를 작성하고 있습니다... (항목 ${criteriaScores.length}/${rubric.criteria.length})`)
+    })
+    let started = false
+
+    onPartialResult?.({ criteriaScores: [] })
+    onProgress?.('AI에 평가를 요청했습니다. 응답을 기다리는 중입니다...')
+
+    return {
+        ...options,
+        onToken: (delta) => {
+            if (!started) {
+                started = true
+                onProgress?.('AI가 평가 보고서를 작성하고 있습니다...')
+            }
+            parser.push(delta)
+        }
+    }
+}
+
+/**
+ * 평가 응답을 파싱하고 루브릭과 대조해 검증
+ * 문제가 있으면 해당 필드만 고쳐 달라는 후속 요청을 최대 MAX_REPAIR_ATTEMPTS번 보내고,
+ * 그래도 남은 문제는 기본값으로 채웁니다. 고친 내역은 evaluationMeta.validation에 남깁니다.
+ * evidenceTranscript가 있으면 학생 채팅에서 찾을 수 없는 인용을 한 번 더 요청합니다.
+ * @param {(prompt: string, options: object) => Promise<string>} call - 후속 요청에 쓸 호출 함수
+ */
+async function parseAndRepair(response, prompt, rubric, options, call, evidenceTranscript) {
+    let { result, issues, fixes } = validateEvaluation(parseEvaluationResponse(response), rubric)
+    const repairs = [...fixes]
+    let attempts = 0
+
+    while (issues.length > 0 && attempts < MAX_REPAIR_ATTEMPTS) {
+        attempts++
+        try {
+            const repairResponse = await call(buildRepairPrompt(prompt, result, issues), { ...options, responseSchema: buildRepairSchema(rubric) })
+            const repaired = validateEvaluation(applyRepair(result, extractJson(repairResponse), issues), rubric)
+            repairs.push(...listResolved(issues, repaired.issues))
+            result = repaired.result
+            issues = repaired.issues
+        } catch (error) {
+            throwIfAborted(options.signal)
+            console.warn(`Repair attempt ${attempts} failed:`, error.message)
+        }
+    }
+
+    let { result: finalResult, fallbacks } = applyFallbacks(result, issues, rubric)
+    repairs.push(...fallbacks)
+
+    const evidenceIssues = evidenceTranscript ? findUnverifiedEvidence(finalResult, evidenceTranscript) : []
+    if (evidenceIssues.length > 0) {
+        attempts++
+        try {
+            const repairResponse = await call(buildRepairPrompt(prompt, finalResult, evidenceIssues), { ...options, responseSchema: buildRepairSchema(rubric) })
+            const reasked = reaskedEvidence(finalResult, extractJson(repairResponse), evidenceIssues, evidenceTranscript)
+            finalResult = reasked.result
+            repairs.push(...reasked.repairs)
+        } catch (error) {
+            throwIfAborted(options.signal)
+            console.warn('Evidence re-ask failed:', error.message)
+        }
+    }
+
+    if (attempts === 0 && repairs.length === 0) return finalResult
+    return {
+        ...finalResult,
+        evaluationMeta: {
+            ...finalResult.evaluationMeta,
+            validation: { attempts, repairs }
+        }
+    }
+}
+
+/**
+ * 다시 요청한 근거 병합
+ * 새 근거에 인용이 있고 모두 학생 채팅에서 확인될 때만 바꾸고, 아니면 원래 근거를 둡니다.
+ */
+function reaskedEvidence(result, repaired, issues, transcript) {
+    const merged = applyRepair(result, repaired, issues)
+    const stillUnverified = findUnverifiedEvidence(merged, transcript)
+    const accepted = issues.filter(issue => {
+        const cs = merged.criteriaScores.find(c => c.criterionId === issue.criterionId)
+        return extractQuotes(cs?.evidence).length > 0 && !stillUnverified.some(i => i.criterionId === issue.criterionId)
+    })
+
+    return {
+        result: {
+            ...result,
+            criteriaScores: result.criteriaScores.map(cs => accepted.some(issue => issue.criterionId === cs.criterionId)
+                ? merged.criteriaScores.find(c => c.criterionId === cs.criterionId)
+                : cs)
+        },
+        repairs: accepted.map(issue => ({ criterionId: issue.criterionId, name: issue.name, field: 'evidence', problem: issue.fields.evidence, action: 'repaired' }))
+    }
+}
+
+/**
+ * 분할 평가 map 단계: 구간마다 평가 항목별 근거 추출
+ * 동시 요청 수를 제한하고, 형식이 틀린 응답은 잠시 기다렸다가 재시도합니다 (전송 오류는 요청 스케줄러가 재시도).
+ * 한 구간이라도 끝내 실패하면 평가를 중단합니다.
+ */
+async function extractSegmentEvidence(segments, totalTurns, rubric, provider, currentModel, apiKey, apiSettings, languages, onProgress, signal) {
+    const results = new Array(segments.length)
+    let completed = 0
+    const options = { language: languages.output, responseSchema: buildSegmentEvidenceSchema(rubric), signal, onWait: onProgress }
+    onProgress?.(`긴 대화를 ${segments.length}개 구간으로 나누어 분석 중입니다... (0/${segments.length})`)
+
+    const analyzeSegment = async (segment) => {
+        const prompt = buildSegmentEvidencePrompt(segment, rubric, segments.length, totalTurns, languages)
+        let lastError = null
+
+        for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+            throwIfAborted(signal)
+            let response
+            try {
+                response = await singleEvaluation(prompt, provider, currentModel, apiKey, apiSettings, options)
+                return parseSegmentEvidence(response, rubric)
+            } catch (error) {
+                throwIfAborted(signal)
+                console.warn(`Segment ${segment.index + 1} attempt ${attempt + 1} failed:`, error.message)
+                // 요청 자체가 실패했으면 스케줄러가 이미 재시도했으므로 중단
+                if (response === undefined) {
+                    lastError = error
+                    break
+                }
+                lastError = markParseError(error)
+                if (attempt < MAX_RETRIES) await sleep(getRetryDelay(error, attempt + 1), signal)
+            }
+        }
+        throw createProviderError(`${segment.index + 1}번째 구간(${segment.startTurn}~${segment.endTurn}턴) 분석 실패: ${lastError.message}`, { kind: classifyError(lastError) })
+    }
+
+    for (let i = 0; i < segments.length; i += CHUNKED_EVALUATION.concurrency) {
+        const batch = segments.slice(i, i + CHUNKED_EVALUATION.concurrency)
+        await Promise.all(batch.map(async (segment) => {
+            results[segment.index] = await analyzeSegment(segment)
+            completed++
+            onProgress?.(`긴 대화를 ${segments.length}개 구간으로 나누어 분석 중입니다... (${completed}/${segments.length})`)
+        }))
+    }
+
+    return results
+}
+
 /**
  * K-run 병렬 평가
+ * 항목 점수는 aggregationStrategy(평균·중앙값·절사 평균·다수결 수준)로 종합합니다.
+ * 실행이 하나 끝날 때마다(성공·실패 모두) 완료 횟수를 onProgress로 알립니다.
+ * 적응형 실행(adaptiveRuns)을 켜면 먼저 몇 번만 실행해 항목 점수가 일치하면 남은 실행을 건너뛰고,
+ * 엇갈리는 항목이 있으면 maxEvaluationRuns까지 실행을 추가합니다. 판단 결과는 evaluationMeta.adaptive에 남깁니다.
+ * 도중에 취소되면 이미 끝난 실행만으로 합성하고, 끝난 실행이 없으면 취소 오류를 던집니다.
  */
-async function evaluateWithKRuns(prompt, provider, currentModel, apiKey, apiSettings, rubric, runs) {
-    const promises = []
-    for (let i = 0; i < runs; i++) {
-        promises.push(
-            singleEvaluation(prompt, provider, currentModel, apiKey, apiSettings)
-                .then(response => parseEvaluationResponse(response, rubric))
-                .catch(err => {
-                    console.warn(`Run ${i + 1} failed:`, err.message)
-                    return null
-                })
-        )
-    }
-
-    const results = await Promise.all(promises)
-    const successfulResults = results.filter(r => r !== null)
+async function evaluateWithKRuns(prompt, provider, currentModel, apiKey, apiSettings, rubric, runs, options, evidenceTranscript, onProgress) {
+    const call = (requestPrompt, requestOptions) => singleEvaluation(requestPrompt, provider, currentModel, apiKey, apiSettings, requestOptions)
+    const adaptive = !!apiSettings.adaptiveRuns
+    const maxRuns = adaptive ? Math.max(runs, apiSettings.maxEvaluationRuns || DEFAULT_MAX_EVALUATION_RUNS) : runs
+    const results = [] // 실행 순서대로, 실패한 실행은 비어 있음
+    const served = [] // 실행별로 서버 프록시가 알려준 응답 모델
+    let started = 0
+    let completed = 0
+    let target = runs
+    let agreement = null
+    let lastError = null
+    onProgress?.(`같은 평가를 ${target}번 실행하는 중입니다... (0/${target}회 완료)`)
+
+    const runOnce = (index) => call(prompt, { ...options, onServed: (meta) => { served[index] = meta } })
+        .then(response => parseAndRepair(response, prompt, rubric, options, call, evidenceTranscript))
+        .then(result => { results[index] = result })
+        .catch(err => {
+            lastError = err
+            if (!options.signal?.aborted) console.warn(`Run ${index + 1} failed:`, err.message)
+        })
+        .finally(() => {
+            completed++
+            onProgress?.(`같은 평가를 ${target}번 실행하는 중입니다... (${completed}/${target}회 완료)`)
+        })
+
+    let batch = adaptive ? Math.min(runs, ADAPTIVE_RUNS.firstBatch) : runs
+    while (batch > 0) {
+        await Promise.all(Array.from({ length: batch }, () => runOnce(started++)))
+        if (options.signal?.aborted || !adaptive) break
+
+        agreement = assessAgreement(computeRunStatistics(results.filter(Boolean), rubric))
+        if (agreement === 'agreed') break
+        if (started < target) {
+            batch = target - started
+        } else if (agreement === 'disagreed' && started < maxRuns) {
+            batch = Math.min(ADAPTIVE_RUNS.extraBatch, maxRuns - started)
+            target = started + batch
+            onProgress?.(`항목 점수가 엇갈려 평가를 ${target}번으로 늘립니다... (${completed}/${target}회 완료)`)
+        } else {
+            batch = 0
+        }
+    }
+
+    const successfulResults = results.filter(Boolean)
+    const cancelled = !!options.signal?.aborted
 
     if (successfulResults.length === 0) {
-        throw new Error('모든 평가 시도가 실패했습니다.')
+        throw cancelled ? createAbortError() : createProviderError(`모든 평가 시도가 실패했습니다: ${lastError.message}`, { kind: classifyError(lastError) })
     }
 
-    return synthesizeKRunResults(successfulResults)
+    // 실행별 보정 내역과 취소 여부를 합성 결과에 남김
+    const strategy = apiSettings.aggregationStrategy || DEFAULT_AGGREGATION_STRATEGY
+    const aggregated = synthesizeKRunResults(successfulResults, rubric, strategy)
+    const synthesized = cancelled
+        ? aggregated
+        : await synthesizeNarrative(successfulResults, aggregated, rubric, apiSettings, call, options, onProgress)
+    const validations = successfulResults.map(r => r.evaluationMeta?.validation)
+    const hasValidation = validations.some(Boolean)
+    const servedRuns = served.map((meta, i) => results[i] && meta)
+    if (!hasValidation && !cancelled && !adaptive) return withServedMeta(synthesized, servedRuns)
+    return withServedMeta({
+        ...synthesized,
+        evaluationMeta: {
+            ...synthesized.evaluationMeta,
+            ...(adaptive ? {
+                adaptive: {
+                    plannedRuns: runs,
+                    maxRuns,
+                    runs: started,
+                    stoppedEarly: agreement === 'agreed' && started < runs,
+                    extraRuns: Math.max(0, started - runs),
+                    unresolved: agreement === 'disagreed'
+                }
+            } : {}),
+            ...(cancelled ? { cancelled: { completedRuns: successfulResults.length, requestedRuns: target } } : {}),
+            ...(hasValidation ? {
+                validation: {
+                    attempts: validations.reduce((sum, v) => sum + (v?.attempts || 0), 0),
+                    repairs: validations.flatMap((v, i) => (v?.repairs || []).map(repair => ({ ...repair, run: i + 1 })))
+                }
+            } : {})
+        }
+    }, servedRuns)
+}
+
+/**
+ * 여러 평가 결과의 서술(정성 평가·AI 활용 특징·생활기록부 초안)을 LLM으로 한 번 더 종합
+ * 관리자 설정에서 끄거나(narrativeSynthesis: false) 결과가 하나뿐이면 건너뜁니다.
+ * 실패하거나 취소돼도 평가는 유지하고, 대표 결과의 서술을 그대로 둔 채 evaluationMeta.narrative에 남깁니다.
+ * @param {object} aggregated - 항목 점수를 종합한 결과
+ */
+async function synthesizeNarrative(results, aggregated, rubric, apiSettings, call, options, onProgress) {
+    if (results.length < 2 || apiSettings.narrativeSynthesis === false) return aggregated
+
+    onProgress?.('여러 평가의 서술을 하나로 종합하고 있습니다...')
+    const prompt = buildNarrativeSynthesisPrompt(results, aggregated, rubric, { output: options.language })
+    const withMeta = (narrative) => ({
+        ...aggregated,
+        evaluationMeta: { ...aggregated.evaluationMeta, narrative: { sources: results.length, ...narrative } }
+    })
+
+    try {
+        const response = await call(prompt, { language: options.language, responseSchema: buildNarrativeSynthesisSchema(), signal: options.signal })
+        const merged = extractJson(response)
+        const isText = (value) => typeof value === 'string' && value.trim() !== ''
+        if (!isText(merged.qualitativeEvaluation) || !isText(merged.studentRecordDraft)) {
+            throw new Error('종합 응답에 정성 평가나 생활기록부 초안이 없습니다.')
+        }
+        const characteristics = Array.isArray(merged.characteristics) ? merged.characteristics.filter(isText) : []
+
+        return {
+            ...withMeta({ synthesized: true }),
+            qualitativeEvaluation: merged.qualitativeEvaluation,
+            studentRecordDraft: merged.studentRecordDraft,
+            characteristics: characteristics.length > 0 ? characteristics : aggregated.characteristics
+        }
+    } catch (error) {
+        if (!options.signal?.aborted) console.warn('Narrative synthesis failed:', error.message)
+        return withMeta({ synthesized: false, error: error.message })
+    }
 }
 
 /**
  * 단일 평가 호출
+ * options: { language, responseSchema } - 응답 언어와 구조화 출력 스키마 (제공업체·서버 프록시에 그대로 전달)
+ * 요청은 제공업체별 스케줄러를 거칩니다 (onWait, shouldRetry는 scheduleCall 참고).
  */
-async function singleEvaluation(prompt, provider, currentModel, apiKey, apiSettings) {
+async function singleEvaluation(prompt, provider, currentModel, apiKey, apiSettings, options = {}) {
     const hasRequiredKeys = !!apiKey
     const useServerProxy = apiSettings.useServerSide || !hasRequiredKeys
 
@@ -104,32 +606,59 @@ async function singleEvaluation(prompt, provider, currentModel, apiKey, apiSetti
         if (!hasRequiredKeys) {
             throw new Error(`API 키가 설정되지 않았습니다. /admin 페이지에서 ${provider.toUpperCase()} API 키를 입력해주세요.`)
         }
-        return await callServerProxy({
+        return await scheduleCall(provider, options, (scheduled) => callServerProxy({
             prompt,
             provider,
-            model: currentModel
-        })
+            model: currentModel,
+            ...scheduled
+        }))
     }
 
     const callAPI = getProvider(provider)
-    return await callAPI(prompt, apiKey, currentModel)
+    return await scheduleCall(provider, options, (scheduled) => callAPI(prompt, apiKey, currentModel, scheduled))
+}
+
+/**
+ * 제공업체별 요청 스케줄러(scheduleRequest)를 거쳐 요청
+ * options.onWait(message)로 대기 순서·재시도 안내를 받고, options.shouldRetry로 재시도할 오류를 바꿀 수 있습니다.
+ * 스트리밍으로 응답을 받기 시작한 뒤의 오류는 이미 알린 부분 결과와 겹치지 않도록 재시도하지 않습니다.
+ * @param {(options: object) => Promise<string>} request - onWait·shouldRetry를 뺀 옵션으로 실제 요청
+ */
+function scheduleCall(provider, options, request) {
+    const { onWait, shouldRetry = isRetryableError, ...requestOptions } = options
+    let received = false
+    const scheduled = requestOptions.onToken
+        ? { ...requestOptions, onToken: (...args) => { received = true; requestOptions.onToken(...args) } }
+        : requestOptions
+
+    return scheduleRequest(provider, () => request(scheduled), {
+        signal: requestOptions.signal,
+        onWait,
+        shouldRetry: (error) => !received && shouldRetry(error)
+    })
 }
 
 /**
  * Server Proxy 호출 (/api/evaluate)
+ * onToken이 있으면 SSE로 받아 조각마다 알립니다 (앙상블은 프록시가 일반 JSON으로 응답).
+ * fallbackChain·failoverOn을 넘기면 프록시가 대체 모델로 넘어가고, 실제로 응답한 모델은 onServed({producedBy, failover})로 알립니다.
  */
-async function callServerProxy({ prompt, provider, model }) {
+async function callServerProxy({ prompt, provider, model, language, responseSchema, fallbackChain, failoverOn, onServed, onToken, signal }) {
     const response = await fetchWithTimeout('/api/evaluate', {
         method: 'POST',
+        signal,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt, provider, model })
+        body: JSON.stringify({ prompt, provider, model, language, responseSchema, fallbackChain, failoverOn, stream: !!onToken })
     }, 30000)
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({}))
-        throw new Error(error.error || `Server Error: ${response.status}`)
+        throw createProviderError(error.error || `Server Error: ${response.status}`, { kind: error.kind, status: response.status, retryAfter: parseRetryAfter(response.headers, error) })
     }
 
-    const data = await response.json()
-    return data.text || ''
+    const { text, producedBy, failover } = isEventStream(response)
+        ? await readProxyStream(response, onToken, signal)
+        : await response.json()
+    if (producedBy) onServed?.({ producedBy, failover: failover || [] })
+    return text || ''
 }
@@ -0,0 +1,208 @@
+/**
+ * 평가 근거 인용 검증 모듈
+ * 평가 결과의 「」 인용문을 제출한 대화 기록과 대조해 실제 학생 발화인지 확인합니다.
+ * 상태: verified(원문 일치) / approximate(비슷한 문장 있음) / assistant(AI 턴에만 있음) / notFound(찾을 수 없음)
+ */
+
+export const EVIDENCE_STATUS = {
+    verified: { icon: '✓', label: '원문 일치' },
+    approximate: { icon: '≈', label: '유사 문장' },
+    assistant: { icon: '🤖', label: 'AI 발화' },
+    notFound: { icon: '✗', label: '찾을 수 없음' }
+}
+
+// 인용문 글자 bigram 중 이 비율 이상이 한 문장에 있으면 유사 문장으로 봄
+const APPROXIMATE_THRESHOLD = 0.7
+// 이보다 짧은 인용문은 정확히 일치할 때만 인정
+const MIN_FUZZY_LENGTH = 4
+// 화면에 보여줄 실제 문장 최대 길이
+const MAX_MATCH_LENGTH = 120
+
+/**
+ * 텍스트에서 「」 인용문 추출
+ */
+export function extractQuotes(text) {
+    return [...(text || '').matchAll(/「([^」]*)」/g)].map(match => match[1]).filter(quote => quote.trim())
+}
+
+/**
+ * 인용문 하나를 대화 기록과 대조
+ * "..."로 이어 붙인 인용은 조각마다 확인해 가장 낮은 상태를 씁니다.
+ * @returns {{quote: string, status: string, match?: string}} match는 approximate일 때 가장 가까운 실제 문장
+ */
+export function verifyQuote(quote, transcript) {
+    const checks = splitFragments(quote).map(fragment => verifyFragment(fragment, transcript))
+    const order = ['notFound', 'assistant', 'approximate', 'verified']
+    const worst = checks.reduce((a, b) => order.indexOf(a.status) <= order.indexOf(b.status) ? a : b)
+    return { quote, status: worst.status, ...(worst.match ? { match: worst.match } : {}) }
+}
+
+/**
+ * 인용문이 가리키는 대화 위치 찾기 (결과 화면의 대화 기록 패널용)
+ * 학생 턴에서 먼저 찾고, 없으면 AI 턴에서 찾습니다. "..."로 이어 붙인 인용은 조각마다 위치를 돌려줍니다.
+ * @returns {Array<{turnIndex: number, start: number, end: number}>} start/end는 턴 content의 글자 위치
+ */
+export function locateQuote(quote, transcript) {
+    const indexed = transcript.map((turn, index) => ({ ...turn, index }))
+    const userTurns = indexed.filter(turn => turn.role !== 'assistant')
+    const assistantTurns = indexed.filter(turn => turn.role === 'assistant')
+
+    return splitFragments(quote).flatMap(fragment => {
+        const target = normalize(fragment)
+        if (!target) return []
+
+        for (const turns of [userTurns, assistantTurns]) {
+            for (const turn of turns) {
+                const span = findExactSpan(target, turn.content)
+                if (span) return [{ turnIndex: turn.index, ...span }]
+            }
+            const nearest = target.length >= MIN_FUZZY_LENGTH ? findNearestSentence(target, turns) : null
+            if (nearest && nearest.coverage >= APPROXIMATE_THRESHOLD) {
+                return [{ turnIndex: nearest.turnIndex, start: nearest.start, end: nearest.end }]
+            }
+        }
+        return []
+    })
+}
+
+/**
+ * 평가 결과의 모든 항목 근거를 검증
+ * 각 항목에 evidenceChecks를, evaluationMeta.evidence에 상태별 개수를 남깁니다.
+ */
+export function verifyEvidence(result, transcript) {
+    const counts = Object.fromEntries(Object.keys(EVIDENCE_STATUS).map(status => [status, 0]))
+
+    const criteriaScores = result.criteriaScores.map(cs => {
+        const evidenceChecks = extractQuotes(cs.evidence).map(quote => verifyQuote(quote, transcript))
+        evidenceChecks.forEach(check => counts[check.status]++)
+        return { ...cs, evidenceChecks }
+    })
+
+    return {
+        ...result,
+        criteriaScores,
+        evaluationMeta: {
+            ...result.evaluationMeta,
+            evidence: { ...result.evaluationMeta?.evidence, ...counts }
+        }
+    }
+}
+
+/**
+ * 학생 채팅에서 찾지 못한 인용이 있는 항목을 보정 요청 형식(validateEvaluation의 issues)으로 변환
+ */
+export function findUnverifiedEvidence(result, transcript) {
+    return result.criteriaScores.flatMap(cs => {
+        const unverified = extractQuotes(cs.evidence)
+            .map(quote => verifyQuote(quote, transcript))
+            .filter(check => check.status === 'notFound' || check.status === 'assistant')
+        if (unverified.length === 0) return []
+
+        const quotes = unverified.map(check => `「${check.quote}」`).join(', ')
+        return [{
+            criterionId: cs.criterionId,
+            name: cs.name,
+            missing: false,
+            fields: { evidence: `${quotes}은(는) 학생(사용자 턴)이 실제로 입력한 문장이 아닙니다. 사용자 턴의 원문을 그대로 인용하세요` }
+        }]
+    })
+}
+
+// "..."나 "…"로 생략하며 이어 붙인 인용을 조각으로 나눔
+function splitFragments(quote) {
+    const fragments = quote.split(/\.{3,}|…/).map(f => f.trim()).filter(Boolean)
+    return fragments.length > 0 ? fragments : [quote]
+}
+
+function verifyFragment(fragment, transcript) {
+    const target = normalize(fragment)
+    if (!target) return { status: 'verified' }
+
+    const userTurns = transcript.filter(turn => turn.role !== 'assistant')
+    const assistantTurns = transcript.filter(turn => turn.role === 'assistant')
+
+    if (userTurns.some(turn => normalize(turn.content).includes(target))) return { status: 'verified' }
+
+    const nearest = target.length >= MIN_FUZZY_LENGTH ? findNearestSentence(target, userTurns) : null
+    if (nearest && nearest.coverage >= APPROXIMATE_THRESHOLD) {
+        return { status: 'approximate', match: truncate(nearest.text) }
+    }
+
+    const inAssistant = assistantTurns.some(turn => normalize(turn.content).includes(target))
+        || (target.length >= MIN_FUZZY_LENGTH && (findNearestSentence(target, assistantTurns)?.coverage || 0) >= APPROXIMATE_THRESHOLD)
+    return { status: inAssistant ? 'assistant' : 'notFound' }
+}
+
+// 인용문 bigram이 가장 많이 들어 있는 문장(또는 이어진 두 문장)
+function findNearestSentence(target, turns) {
+    const targetGrams = bigrams(target)
+    let best = null
+
+    turns.forEach(turn => {
+        const sentences = splitSentences(turn.content)
+        const candidates = [
+            ...sentences,
+            ...sentences.slice(1).map((s, i) => ({ text: `${sentences[i].text} ${s.text}`, start: sentences[i].start, end: s.end }))
+        ]
+        candidates.forEach(({ text, start, end }) => {
+            const pool = bigrams(normalize(text))
+            const found = targetGrams.filter(gram => {
+                const index = pool.indexOf(gram)
+                if (index === -1) return false
+                pool.splice(index, 1)
+                return true
+            }).length
+            const coverage = targetGrams.length > 0 ? found / targetGrams.length : 0
+            // 같은 coverage면 더 짧은(덜 이어 붙인) 문장을 고름
+            if (!best || coverage > best.coverage || (coverage === best.coverage && text.length < best.text.length)) {
+                best = { text, coverage, turnIndex: turn.index, start, end }
+            }
+        })
+    })
+    return best
+}
+
+// 문장 단위로 나누고 원문 위치를 함께 기록
+function splitSentences(content) {
+    let cursor = 0
+    return content.split(/(?<=[.?!。？！])\s+|\n+/).flatMap(part => {
+        const position = content.indexOf(part, cursor)
+        cursor = position + part.length
+        const text = part.trim()
+        if (!text) return []
+        const start = position + part.indexOf(text)
+        return [{ text, start, end: start + text.length }]
+    })
+}
+
+// 정규화한 인용문이 정규화한 content 안에 있으면 원문 위치로 되돌림
+function findExactSpan(target, content) {
+    const chars = []
+    const positions = []
+    let index = 0
+    for (const char of content) {
+        if (!/[\s\p{P}\p{S}]/u.test(char)) {
+            for (const lower of char.toLowerCase()) {
+                chars.push(lower)
+                positions.push({ start: index, end: index + char.length })
+            }
+        }
+        index += char.length
+    }
+
+    const found = chars.join('').indexOf(target)
+    if (found === -1) return null
+    return { start: positions[found].start, end: positions[found + target.length - 1].end }
+}
+
+function normalize(text = '') {
+    return text.toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '')
+}
+
+function bigrams(text) {
+    return Array.from({ length: Math.max(0, text.length - 1) }, (_, i) => text.slice(i, i + 2))
+}
+
+function truncate(text) {
+    return text.length > MAX_MATCH_LENGTH ? `${text.slice(0, MAX_MATCH_LENGTH)}…` : text
+}
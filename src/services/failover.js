@@ -0,0 +1,122 @@
+/**
+ * 대체 모델 전환 모듈
+ * 평가 오류를 종류(시간 초과·429·5xx·안전 정책 차단·파싱 실패)로 나누고,
+ * 관리자가 고른 종류의 오류일 때만 대체 모델 순서(fallbackChain)의 다음 모델로 넘어갑니다.
+ * (api/evaluate.js에서도 가져다 쓰므로 다른 모듈을 import하지 않습니다.)
+ */
+
+export const FAILOVER_TRIGGERS = [
+    { id: 'timeout', label: '시간 초과' },
+    { id: 'rateLimit', label: '요청 한도 초과 (429)' },
+    { id: 'serverError', label: '제공업체 서버 오류 (5xx)' },
+    { id: 'safety', label: '안전 정책 차단' },
+    { id: 'parse', label: '응답 파싱 실패' }
+]
+export const DEFAULT_FAILOVER_TRIGGERS = ['timeout', 'rateLimit', 'serverError']
+
+/**
+ * 오류 종류와 HTTP 상태를 담은 제공업체 오류 생성
+ * @param {{kind?: string, status?: number, retryAfter?: number|null}} [info] - kind가 없으면 status로 판단,
+ *   retryAfter는 다시 시도해도 되기까지의 시간(ms)
+ */
+export function createProviderError(message, { kind, status, retryAfter } = {}) {
+    const error = new Error(message)
+    error.kind = kind || kindFromStatus(status)
+    if (status) error.status = status
+    if (Number.isFinite(retryAfter)) error.retryAfter = retryAfter
+    return error
+}
+
+/**
+ * 오류 응답에서 다시 시도해도 되기까지의 시간(ms), 알 수 없으면 null
+ * Retry-After(초 또는 날짜) → OpenAI x-ratelimit-reset-* → Anthropic anthropic-ratelimit-*-reset
+ * → Gemini 오류 본문의 RetryInfo.retryDelay 순으로 확인합니다.
+ * @param {Headers} [headers] - 오류 응답 헤더
+ * @param {object} [body] - 오류 응답 JSON
+ */
+export function parseRetryAfter(headers, body) {
+    const header = (name) => headers?.get?.(name)
+
+    const retryAfter = header('retry-after')
+    if (retryAfter) {
+        const seconds = Number(retryAfter)
+        if (Number.isFinite(seconds)) return seconds * 1000
+        const until = untilDate(retryAfter)
+        if (until !== null) return until
+    }
+
+    const openaiReset = header('x-ratelimit-reset-requests') || header('x-ratelimit-reset-tokens')
+    if (openaiReset && parseDuration(openaiReset) !== null) return parseDuration(openaiReset)
+
+    const anthropicReset = header('anthropic-ratelimit-requests-reset') || header('anthropic-ratelimit-tokens-reset')
+    if (anthropicReset && untilDate(anthropicReset) !== null) return untilDate(anthropicReset)
+
+    const details = Array.isArray(body?.error?.details) ? body.error.details : []
+    const retryDelay = details.find(detail => detail.retryDelay)?.retryDelay
+    return retryDelay ? parseDuration(retryDelay) : null
+}
+
+/**
+ * 오류 종류 판별: error.kind → HTTP 상태 → 메시지 순으로 확인
+ * @returns {string} FAILOVER_TRIGGERS의 id 또는 'other'
+ */
+export function classifyError(error) {
+    if (error?.kind) return error.kind
+    const fromStatus = kindFromStatus(error?.status)
+    if (fromStatus !== 'other') return fromStatus
+
+    // 상태 코드는 "HTTP 503"·"status: 429"처럼 명시된 경우만 봄 (JSON 파싱 오류의 "position 512" 등 제외)
+    const message = error?.message || ''
+    if (/시간 초과|timeout|timed out/i.test(message)) return 'timeout'
+    if (/\b(?:HTTP|status)\s*:?\s*429\b|too many requests|rate limit|quota|RESOURCE_EXHAUSTED/i.test(message)) return 'rateLimit'
+    if (/\b(?:HTTP|status)\s*:?\s*5\d\d\b|overloaded|unavailable|bad gateway/i.test(message)) return 'serverError'
+    if (/안전 정책|safety|content_filter|refusal/i.test(message)) return 'safety'
+    return 'other'
+}
+
+/**
+ * 다음 모델로 넘어가야 하는 오류인지 확인 (사용자 취소는 제외)
+ * @param {string[]} [triggers] - 전환할 오류 종류
+ */
+export function shouldFailover(error, triggers = DEFAULT_FAILOVER_TRIGGERS) {
+    if (error?.name === 'AbortError') return false
+    return triggers.includes(classifyError(error))
+}
+
+/**
+ * 기본 모델 뒤에 대체 모델을 이어 붙인 평가 순서
+ * 기본 모델은 항상 첫 번째이고, 대체 모델은 제공업체·모델이 모두 있고 앞에서 나오지 않은 것만 남깁니다.
+ * @param {{provider: string, model?: string}} primary
+ * @param {Array<{provider: string, model: string}>} [chain]
+ */
+export function buildFallbackChain(primary, chain = []) {
+    const key = (entry) => `${entry.provider}:${entry.model}`
+    const seen = new Set([key(primary)])
+    const fallbacks = (Array.isArray(chain) ? chain : []).filter(entry => {
+        if (!entry?.provider || !entry?.model || seen.has(key(entry))) return false
+        seen.add(key(entry))
+        return true
+    })
+    return [primary, ...fallbacks]
+}
+
+// "1m30s", "6.5s", "250ms" 형식의 기간 → ms
+function parseDuration(text) {
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 }
+    const parts = [...String(text).matchAll(/([\d.]+)(ms|h|m|s)/g)]
+    if (parts.length === 0) return null
+    return Math.round(parts.reduce((sum, [, value, unit]) => sum + parseFloat(value) * units[unit], 0))
+}
+
+// 날짜 문자열까지 남은 시간 (ms)
+function untilDate(text) {
+    const time = Date.parse(text)
+    return Number.isNaN(time) ? null : Math.max(0, time - Date.now())
+}
+
+function kindFromStatus(status) {
+    if (status === 429) return 'rateLimit'
+    if (status === 408 || status === 504) return 'timeout'
+    if (status >= 500) return 'serverError'
+    return 'other'
+}
@@ -0,0 +1,100 @@
+/**
+ * ChatGPT 데이터 내보내기(conversations.json) 파서
+ */
+
+// 평가 대상이 아닌 내부 메시지 유형 (추론 요약, 도구 호출 결과 등)
+const SKIPPED_CONTENT_TYPES = ['thoughts', 'reasoning_recap', 'tether_browsing_display', 'tether_quote', 'system_error']
+
+/**
+ * ChatGPT 내보내기 형식인지 확인
+ */
+export function isChatGPTExport(json) {
+    const items = Array.isArray(json) ? json : [json]
+    return items.length > 0 && items.every(item => item && typeof item === 'object' && item.mapping)
+}
+
+/**
+ * conversations.json 전체를 대화 목록으로 변환
+ * @returns {Array<{id: string, title: string, createdAt: number|null, turns: Array<{role: string, content: string}>}>}
+ */
+export function parseChatGPTExport(json) {
+    const items = Array.isArray(json) ? json : [json]
+
+    return items
+        .map((conversation, index) => ({
+            id: conversation.conversation_id || conversation.id || `chatgpt_${index}`,
+            title: conversation.title || `대화 ${index + 1}`,
+            createdAt: conversation.create_time ? conversation.create_time * 1000 : null,
+            turns: walkMapping(conversation.mapping, conversation.current_node)
+        }))
+        .filter(conversation => conversation.turns.length > 0)
+}
+
+/**
+ * mapping 트리를 순서대로 순회하여 대화 턴 추출
+ * current_node에서 부모를 따라 올라가면 편집/재생성 이전 분기가 제외된 실제 대화 경로가 됩니다.
+ */
+function walkMapping(mapping = {}, currentNode) {
+    const path = []
+
+    if (currentNode && mapping[currentNode]) {
+        let nodeId = currentNode
+        const visited = new Set()
+        while (nodeId && mapping[nodeId] && !visited.has(nodeId)) {
+            visited.add(nodeId)
+            path.push(mapping[nodeId])
+            nodeId = mapping[nodeId].parent
+        }
+        path.reverse()
+    } else {
+        // current_node가 없으면 루트에서 마지막 자식을 따라 내려감
+        const root = Object.values(mapping).find(node => !node.parent || !mapping[node.parent])
+        let node = root
+        const visited = new Set()
+        while (node && !visited.has(node.id)) {
+            visited.add(node.id)
+            path.push(node)
+            const children = node.children || []
+            node = mapping[children[children.length - 1]]
+        }
+    }
+
+    return path
+        .map(node => toTurn(node.message))
+        .filter(Boolean)
+}
+
+/**
+ * 개별 메시지를 {role, content}로 변환 (시스템/도구 메시지는 null)
+ */
+function toTurn(message) {
+    if (!message) return null
+
+    const role = message.author?.role
+    if (role !== 'user' && role !== 'assistant') return null
+    if (message.metadata?.is_visually_hidden_from_conversation) return null
+    // 어시스턴트의 도구 호출(recipient가 'all'이 아님)은 대화 본문이 아님
+    if (role === 'assistant' && message.recipient && message.recipient !== 'all') return null
+
+    const content = extractText(message.content)
+    if (!content) return null
+
+    return { role, content }
+}
+
+function extractText(content) {
+    if (!content || SKIPPED_CONTENT_TYPES.includes(content.content_type)) return ''
+
+    if (content.content_type === 'code') {
+        return content.text ? `\`\`\`\n${content.text}\n\`\`\`` : ''
+    }
+
+    if (Array.isArray(content.parts)) {
+        return content.parts
+            .filter(part => typeof part === 'string')
+            .join('\n')
+            .trim()
+    }
+
+    return (content.text || '').trim()
+}
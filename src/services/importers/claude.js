@@ -0,0 +1,60 @@
+/**
+ * Claude.ai 데이터 내보내기(conversations.json) 파서
+ */
+
+const SENDER_ROLES = {
+    human: 'user',
+    assistant: 'assistant'
+}
+
+/**
+ * Claude 내보내기 형식인지 확인
+ */
+export function isClaudeExport(json) {
+    const items = Array.isArray(json) ? json : [json]
+    return items.length > 0 && items.every(item => item && typeof item === 'object' && Array.isArray(item.chat_messages))
+}
+
+/**
+ * conversations.json 전체를 대화 목록으로 변환
+ * @returns {Array<{id: string, title: string, createdAt: number|null, turns: Array<{role: string, content: string}>}>}
+ */
+export function parseClaudeExport(json) {
+    const items = Array.isArray(json) ? json : [json]
+
+    return items
+        .map((conversation, index) => ({
+            id: conversation.uuid || `claude_${index}`,
+            title: conversation.name || `대화 ${index + 1}`,
+            createdAt: conversation.created_at ? Date.parse(conversation.created_at) || null : null,
+            turns: conversation.chat_messages
+                .map(toTurn)
+                .filter(Boolean)
+        }))
+        .filter(conversation => conversation.turns.length > 0)
+}
+
+function toTurn(message) {
+    const role = SENDER_ROLES[message.sender]
+    if (!role) return null
+
+    const content = extractText(message)
+    if (!content) return null
+
+    return { role, content }
+}
+
+/**
+ * content 블록 중 텍스트만 사용 (tool_use/tool_result 블록은 제외)
+ * 구버전 내보내기에는 content 배열 없이 text 필드만 있음
+ */
+function extractText(message) {
+    if (Array.isArray(message.content) && message.content.length > 0) {
+        return message.content
+            .filter(block => block.type === 'text' && block.text)
+            .map(block => block.text)
+            .join('\n')
+            .trim()
+    }
+    return (message.text || '').trim()
+}
@@ -0,0 +1,50 @@
+/**
+ * 채팅 화면에서 복사한 클립보드 HTML(text/html) 파서
+ * 각 서비스의 마크업으로 사용자/AI 턴을 구분하고 코드 블록과 목록을 보존합니다.
+ */
+import { parseHtml, htmlToText } from './html'
+
+// 서비스별 턴 요소 선택자 (문서 순서대로 수집)
+const TURN_SELECTORS = [
+    // ChatGPT
+    { role: 'user', selector: '[data-message-author-role="user"]' },
+    { role: 'assistant', selector: '[data-message-author-role="assistant"]' },
+    // Claude
+    { role: 'user', selector: '[data-testid="user-message"]' },
+    { role: 'assistant', selector: '.font-claude-message, .font-claude-response' },
+    // Gemini
+    { role: 'user', selector: 'user-query, .user-query-container, .query-text' },
+    { role: 'assistant', selector: 'model-response, message-content' }
+]
+
+/**
+ * 클립보드 HTML에서 대화 턴 추출
+ * @param {string} html - clipboardData.getData('text/html')
+ * @returns {Array<{role: string, content: string}>|null} 알려진 구조가 없으면 null
+ */
+export function parseClipboardHtml(html) {
+    if (!html) return null
+
+    const doc = parseHtml(html)
+    const matches = []
+
+    TURN_SELECTORS.forEach(({ role, selector }) => {
+        doc.querySelectorAll(selector).forEach(element => matches.push({ role, element }))
+    })
+    if (matches.length === 0) return null
+
+    // 다른 턴 요소 안에 중첩된 요소는 제외 (예: model-response 안의 message-content)
+    const outermost = matches.filter(({ element }) =>
+        !matches.some(other => other.element !== element && other.element.contains(element))
+    )
+
+    outermost.sort((a, b) =>
+        a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    )
+
+    const turns = outermost
+        .map(({ role, element }) => ({ role, content: htmlToText(element) }))
+        .filter(turn => turn.content)
+
+    return turns.length > 0 ? turns : null
+}
@@ -0,0 +1,120 @@
+/**
+ * Gemini (Google Takeout "내 활동 / My Activity.html") 파서
+ * Takeout에는 대화 구분이 없으므로 같은 날짜의 활동을 하나의 대화로 묶습니다.
+ */
+import { parseHtml, htmlToText } from './html'
+
+// 활동 항목 첫 줄의 프롬프트 접두어 (언어별)
+const PROMPT_PREFIXES = ['Prompted', 'Asked', '프롬프트 입력함:', '다음 프롬프트 입력함:', '질문함:']
+
+const MONTHS = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+}
+
+/**
+ * Gemini Takeout 활동 기록인지 확인
+ */
+export function isGeminiTakeout(html) {
+    return html.includes('outer-cell') && /Gemini|Bard/.test(html)
+}
+
+/**
+ * My Activity.html을 날짜별 대화 목록으로 변환
+ * @returns {Array<{id: string, title: string, createdAt: number|null, turns: Array<{role: string, content: string}>}>}
+ */
+export function parseGeminiTakeout(html) {
+    const doc = parseHtml(html)
+    const entries = Array.from(doc.querySelectorAll('.outer-cell'))
+        .map(parseActivity)
+        .filter(Boolean)
+
+    const byDate = new Map()
+    entries.forEach(entry => {
+        const key = entry.timestamp ? new Date(entry.timestamp).toLocaleDateString('ko-KR') : '날짜 미상'
+        if (!byDate.has(key)) byDate.set(key, [])
+        byDate.get(key).push(entry)
+    })
+
+    return Array.from(byDate.entries()).map(([dateLabel, dayEntries], index) => {
+        // Takeout은 최신순으로 기록되므로 시간순으로 다시 정렬
+        const sorted = [...dayEntries].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+        return {
+            id: `gemini_${index}`,
+            title: `Gemini 대화 (${dateLabel})`,
+            createdAt: sorted[0].timestamp,
+            turns: sorted.flatMap(entry => [
+                { role: 'user', content: entry.prompt },
+                ...(entry.response ? [{ role: 'assistant', content: entry.response }] : [])
+            ])
+        }
+    })
+}
+
+/**
+ * 활동 카드 하나를 {prompt, response, timestamp}로 변환
+ * content-cell 구조: "Prompted 질문" <br> "날짜" <br> 응답 HTML...
+ */
+function parseActivity(cell) {
+    const content = cell.querySelector('.content-cell')
+    if (!content) return null
+
+    const lines = ['', '']
+    let lineIndex = 0
+    const responseNodes = []
+
+    Array.from(content.childNodes).forEach(node => {
+        if (lineIndex < 2) {
+            if (node.nodeName === 'BR') {
+                lineIndex++
+            } else {
+                lines[lineIndex] += node.textContent
+            }
+        } else {
+            responseNodes.push(node)
+        }
+    })
+
+    const prompt = stripPromptPrefix(lines[0].trim())
+    if (!prompt) return null
+
+    const container = content.ownerDocument.createElement('div')
+    responseNodes.forEach(node => container.appendChild(node.cloneNode(true)))
+
+    return {
+        prompt,
+        response: htmlToText(container),
+        timestamp: parseTakeoutDate(lines[1].trim())
+    }
+}
+
+function stripPromptPrefix(line) {
+    const prefix = PROMPT_PREFIXES.find(p => line.startsWith(p))
+    return prefix ? line.slice(prefix.length).trim() : ''
+}
+
+/**
+ * Takeout 날짜 문자열 파싱
+ * 예: "Jan 5, 2025, 3:04:05 PM KST", "2025. 1. 5. 오후 3:04:05 KST"
+ */
+function parseTakeoutDate(text) {
+    const korean = text.match(/(\d{4})\.\s*(\d{1,2})\.\s*(\d{1,2})\.\s*(오전|오후)?\s*(\d{1,2}):(\d{2})(?::(\d{2}))?/)
+    if (korean) {
+        const [, y, mo, d, ampm, h, mi, s] = korean
+        return new Date(+y, +mo - 1, +d, to24Hour(+h, ampm === '오후', ampm === '오전'), +mi, +(s || 0)).getTime()
+    }
+
+    const english = text.match(/([A-Za-z]{3})[a-z]*\s+(\d{1,2}),\s*(\d{4}),?\s*(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?/)
+    if (english && MONTHS[english[1].toLowerCase()] !== undefined) {
+        const [, mon, d, y, h, mi, s, ampm] = english
+        return new Date(+y, MONTHS[mon.toLowerCase()], +d, to24Hour(+h, ampm === 'PM', ampm === 'AM'), +mi, +(s || 0)).getTime()
+    }
+
+    return Date.parse(text) || null
+}
+
+function to24Hour(hour, isPm, isAm) {
+    if (isPm && hour < 12) return hour + 12
+    if (isAm && hour === 12) return 0
+    return hour
+}
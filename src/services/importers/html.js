@@ -0,0 +1,75 @@
+/**
+ * HTML → 평가용 텍스트 변환 도우미
+ * 코드 블록은 ``` 펜스로, 목록은 "- " / "1. " 항목으로 유지합니다.
+ */
+
+const BLOCK_TAGS = ['P', 'DIV', 'SECTION', 'ARTICLE', 'BLOCKQUOTE', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'TABLE', 'TR']
+const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'BUTTON', 'SVG', 'NOSCRIPT']
+
+/**
+ * HTML 문자열을 Document로 파싱
+ */
+export function parseHtml(html) {
+    return new DOMParser().parseFromString(html, 'text/html')
+}
+
+/**
+ * DOM 노드를 서식이 보존된 텍스트로 변환
+ * @param {Node} node
+ * @returns {string}
+ */
+export function htmlToText(node) {
+    return collapseBlankLines(renderNode(node)).trim()
+}
+
+function renderNode(node, listDepth = 0) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, ' ')
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_NODE) {
+        return ''
+    }
+
+    const tag = node.tagName?.toUpperCase()
+    if (SKIPPED_TAGS.includes(tag)) return ''
+    if (tag === 'BR') return '\n'
+    if (tag === 'PRE') return `\n\n${renderCodeBlock(node)}\n\n`
+    if (tag === 'UL' || tag === 'OL') return `\n${renderList(node, tag === 'OL', listDepth)}\n`
+
+    const inner = renderChildren(node, listDepth)
+    if (tag === 'CODE') return `\`${inner}\``
+    if (tag === 'TD' || tag === 'TH') return `${inner.trim()} | `
+    if (BLOCK_TAGS.includes(tag)) return `\n\n${inner.trim()}\n\n`
+    return inner
+}
+
+function renderChildren(node, listDepth) {
+    return Array.from(node.childNodes).map(child => renderNode(child, listDepth)).join('')
+}
+
+function renderCodeBlock(pre) {
+    const code = pre.querySelector('code') || pre
+    const languageClass = Array.from(code.classList || []).find(c => c.startsWith('language-'))
+    const language = languageClass ? languageClass.slice('language-'.length) : ''
+    return `\`\`\`${language}\n${code.textContent.replace(/\n$/, '')}\n\`\`\``
+}
+
+function renderList(list, ordered, listDepth) {
+    const indent = '  '.repeat(listDepth)
+    return Array.from(list.children)
+        .filter(item => item.tagName?.toUpperCase() === 'LI')
+        .map((item, index) => {
+            const marker = ordered ? `${index + 1}.` : '-'
+            const text = collapseBlankLines(renderChildren(item, listDepth + 1)).trim()
+            return `${indent}${marker} ${text}`
+        })
+        .join('\n')
+}
+
+function collapseBlankLines(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t]+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+}
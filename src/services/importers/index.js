@@ -0,0 +1,39 @@
+/**
+ * 채팅 내보내기 파일 임포터
+ * 제공업체별 내보내기 형식을 감지하여 대화 목록으로 변환
+ */
+import { isChatGPTExport, parseChatGPTExport } from './chatgpt'
+import { isClaudeExport, parseClaudeExport } from './claude'
+import { isGeminiTakeout, parseGeminiTakeout } from './gemini'
+
+/**
+ * 파일 내용을 대화 목록으로 변환
+ * @param {string} fileName - 업로드된 파일 이름
+ * @param {string} content - 파일 텍스트 내용
+ * @returns {Array|null} 대화 목록 (알려진 내보내기 형식이 아니면 null)
+ */
+export function parseChatExport(fileName, content) {
+    const lowerName = fileName.toLowerCase()
+
+    if (lowerName.endsWith('.html') || lowerName.endsWith('.htm')) {
+        return isGeminiTakeout(content) ? parseGeminiTakeout(content) : null
+    }
+
+    if (!lowerName.endsWith('.json')) return null
+
+    let json
+    try {
+        json = JSON.parse(content)
+    } catch {
+        return null
+    }
+
+    if (isChatGPTExport(json)) {
+        return parseChatGPTExport(json)
+    }
+    if (isClaudeExport(json)) {
+        return parseClaudeExport(json)
+    }
+
+    return null
+}
@@ -0,0 +1,177 @@
+/**
+ * PDF로 인쇄한 채팅 기록 텍스트 추출기
+ * pdf.js의 텍스트 조각을 좌표 기준으로 줄 단위로 다시 묶어 읽는 순서를 복원합니다.
+ * 용량이 커서 PDF를 올릴 때만 불러옵니다.
+ */
+
+// 전체 텍스트가 이보다 짧으면 스캔 이미지 PDF로 판단
+const MIN_TEXT_LENGTH = 20
+
+// 본문 왼쪽 끝보다 페이지 폭의 이 비율 이상 들여쓴 줄은 오른쪽 말풍선(사용자 질문)으로 간주
+const RIGHT_INDENT_RATIO = 0.15
+
+// 브라우저 인쇄 시 모든 페이지에 붙는 머리글/바닥글 (URL, 쪽 번호, 인쇄 날짜)
+const PRINT_CHROME_PATTERNS = [
+    /^https?:\/\/\S+$/,
+    /^\d+\s*\/\s*\d+$/,
+    /^(page\s*)?\d+(\s*(of|\/)\s*\d+)?$/i,
+    /^\d{2,4}[./-]\s?\d{1,2}[./-]\s?\d{1,2}\.?\s*(오전|오후|AM|PM)?\s*\d{1,2}:\d{2}(\s*(AM|PM))?$/i
+]
+
+const SPEAKER_LINE_PATTERN = /^(나의 말|내 말|You said|사용자|User|ChatGPT의 말|ChatGPT said|ChatGPT|Claude|Gemini|AI|Assistant)\s*:?(\s|$)/i
+
+let pdfjsPromise = null
+
+async function loadPdfjs() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = Promise.all([
+            import('pdfjs-dist'),
+            import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+        ]).then(([pdfjs, worker]) => {
+            pdfjs.GlobalWorkerOptions.workerSrc = worker.default
+            return pdfjs
+        })
+    }
+    return pdfjsPromise
+}
+
+/**
+ * PDF 파일에서 채팅 텍스트 추출
+ * 화자 표시가 없는 인쇄본은 말풍선 정렬(오른쪽 = 사용자)로 화자를 추정해 표시를 붙입니다.
+ * @param {File} file - 업로드된 PDF 파일
+ * @returns {Promise<string>} normalizeTranscript로 읽을 수 있는 텍스트
+ */
+export async function extractPdfText(file) {
+    const pdfjs = await loadPdfjs()
+
+    let pdf
+    try {
+        pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise
+    } catch (err) {
+        if (err?.name === 'PasswordException') {
+            throw new Error('암호가 걸린 PDF는 읽을 수 없습니다. 암호를 해제한 뒤 다시 올려주세요.')
+        }
+        throw new Error('PDF 파일을 열 수 없습니다. 파일이 손상되지 않았는지 확인해주세요.')
+    }
+
+    const pages = []
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber)
+        const { width } = page.getViewport({ scale: 1 })
+        const content = await page.getTextContent()
+        pages.push({ width, lines: groupLines(content.items) })
+    }
+    pdf.destroy()
+
+    const repeated = findRepeatedLines(pages)
+    const lines = pages.flatMap(page => {
+        const bodyLines = page.lines
+            .filter(line => !repeated.has(line.text) && !PRINT_CHROME_PATTERNS.some(pattern => pattern.test(line.text)))
+        const left = Math.min(...bodyLines.map(line => line.x))
+        return bodyLines.map(line => ({ ...line, rightAligned: line.x - left > page.width * RIGHT_INDENT_RATIO }))
+    })
+
+    const textLength = lines.reduce((sum, line) => sum + line.text.replace(/\s/g, '').length, 0)
+    if (textLength < MIN_TEXT_LENGTH) {
+        throw new Error('PDF에서 글자를 찾을 수 없습니다. 스캔한 이미지 PDF는 지원하지 않으니, 채팅 화면에서 "PDF로 인쇄"한 파일이나 텍스트를 올려주세요.')
+    }
+
+    return lines.some(line => SPEAKER_LINE_PATTERN.test(line.text))
+        ? joinLines(lines)
+        : labelByAlignment(lines)
+}
+
+/**
+ * 텍스트 조각을 y좌표로 묶어 위→아래, 왼쪽→오른쪽 순서의 줄 목록으로 변환
+ * @returns {Array<{text: string, x: number, y: number, height: number}>}
+ */
+function groupLines(items) {
+    const fragments = items
+        .filter(item => item.str !== undefined)
+        .map(item => ({
+            text: item.str,
+            x: item.transform[4],
+            y: item.transform[5],
+            width: item.width,
+            height: item.height || Math.abs(item.transform[3]) || 10
+        }))
+        .filter(fragment => fragment.text.trim())
+        // PDF 좌표계는 아래쪽이 0이므로 y 내림차순이 위→아래
+        .sort((a, b) => b.y - a.y || a.x - b.x)
+
+    const rows = []
+    fragments.forEach(fragment => {
+        const row = rows[rows.length - 1]
+        if (row && Math.abs(row.y - fragment.y) < Math.min(row.height, fragment.height) * 0.5) {
+            row.fragments.push(fragment)
+        } else {
+            rows.push({ y: fragment.y, height: fragment.height, fragments: [fragment] })
+        }
+    })
+
+    return rows.map(row => {
+        const sorted = row.fragments.sort((a, b) => a.x - b.x)
+        let text = ''
+        sorted.forEach((fragment, i) => {
+            const prev = sorted[i - 1]
+            const gap = prev ? fragment.x - (prev.x + prev.width) : 0
+            const needsSpace = prev && gap > row.height * 0.15 && !/\s$/.test(text) && !/^\s/.test(fragment.text)
+            text += (needsSpace ? ' ' : '') + fragment.text
+        })
+        return { text: text.trim(), x: sorted[0].x, y: row.y, height: row.height }
+    })
+}
+
+/**
+ * 절반 이상의 페이지 맨 위/아래에 반복되는 줄 (인쇄 머리글·바닥글)
+ */
+function findRepeatedLines(pages) {
+    if (pages.length < 2) return new Set()
+
+    const counts = new Map()
+    pages.forEach(({ lines }) => {
+        const edges = new Set([lines[0], lines[lines.length - 1]].filter(Boolean).map(line => line.text))
+        edges.forEach(text => counts.set(text, (counts.get(text) || 0) + 1))
+    })
+
+    return new Set(Array.from(counts.entries())
+        .filter(([, count]) => count >= Math.max(2, pages.length / 2))
+        .map(([text]) => text))
+}
+
+/**
+ * 줄 간격이 평소보다 넓으면 문단 구분(빈 줄)으로 보고 텍스트로 합침
+ */
+function joinLines(lines) {
+    return lines
+        .map((line, i) => {
+            const prev = lines[i - 1]
+            const isParagraphBreak = prev && (prev.y - line.y > prev.height * 1.8 || line.y > prev.y)
+            return (isParagraphBreak ? '\n' : '') + line.text
+        })
+        .join('\n')
+}
+
+/**
+ * 화자 표시가 없을 때 정렬로 화자 추정
+ * 오른쪽으로 들여쓴 블록은 사용자, 왼쪽 블록은 AI로 표시 (한쪽만 있으면 추정하지 않음)
+ */
+function labelByAlignment(lines) {
+    if (lines.every(line => line.rightAligned) || lines.every(line => !line.rightAligned)) {
+        return joinLines(lines)
+    }
+
+    const blocks = []
+    lines.forEach(line => {
+        const block = blocks[blocks.length - 1]
+        if (block && block.rightAligned === line.rightAligned) {
+            block.lines.push(line)
+        } else {
+            blocks.push({ rightAligned: line.rightAligned, lines: [line] })
+        }
+    })
+
+    return blocks
+        .map(block => `${block.rightAligned ? '사용자' : 'AI'}:\n${joinLines(block.lines)}`)
+        .join('\n\n')
+}
@@ -0,0 +1,39 @@
+/**
+ * 공유 링크 임포터 (서버 /api/parse-chat 경유)
+ */
+import { fetchWithTimeout } from '../utils'
+
+const SHARE_LINK_PATTERNS = [
+    { label: 'ChatGPT', pattern: /^https:\/\/(chatgpt\.com|chat\.openai\.com)\/share\// },
+    { label: 'Claude', pattern: /^https:\/\/claude\.ai\/share\// },
+    { label: 'Gemini', pattern: /^https:\/\/(g\.co\/gemini|gemini\.google\.com)\/share\// }
+]
+
+/**
+ * 공유 링크의 플랫폼 이름 (지원하지 않는 링크면 null)
+ */
+export function detectSharePlatform(url) {
+    return SHARE_LINK_PATTERNS.find(({ pattern }) => pattern.test(url.trim()))?.label || null
+}
+
+/**
+ * 공유 링크에서 대화 불러오기
+ * @returns {Promise<{platform: string, title: string, turns: Array<{role: string, content: string}>}>}
+ */
+export async function fetchSharedChat(url) {
+    const response = await fetchWithTimeout('/api/parse-chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: url.trim() })
+    }, 20000)
+
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok || data.error) {
+        const error = new Error(data.error || `링크 불러오기 실패: ${response.status}`)
+        error.hint = data.hint
+        throw error
+    }
+
+    return data
+}
@@ -0,0 +1,93 @@
+/**
+ * 평가 언어 모듈
+ * 피드백(출력) 언어는 루브릭 또는 평가 요청마다 고르고, 대화 기록의 언어는 자동으로 감지합니다.
+ * 인용 근거는 원문 언어 그대로 두고 설명만 출력 언어로 쓰도록 프롬프트 지시문을 만듭니다.
+ */
+
+export const FEEDBACK_LANGUAGES = [
+    { id: 'ko', label: '한국어', name: '한국어(Korean)' },
+    { id: 'en', label: 'English', name: '영어(English)' },
+    { id: 'ja', label: '日本語', name: '일본어(日本語)' },
+    { id: 'zh', label: '中文', name: '중국어 간체(简体中文)' }
+]
+
+export const DEFAULT_FEEDBACK_LANGUAGE = 'ko'
+
+// 문자 종류별 감지 패턴 (라틴 문자는 글자 수가 많아 가중치를 낮춤)
+const SCRIPT_PATTERNS = {
+    hangul: /[가-힣ㄱ-ㆎ]/g,
+    kana: /[぀-ヿ]/g,
+    han: /[一-鿿]/g,
+    latin: /[A-Za-z]/g
+}
+const LATIN_WEIGHT = 1 / 3
+// 한자 대비 가나 비율이 이 이상이면 일본어 (중국어 문장에 섞인 가나 한두 글자는 무시)
+const KANA_RATIO = 0.1
+
+/**
+ * 대화 기록의 주 언어 감지
+ * 학생이 쓴 사용자 턴을 기준으로 하고, 사용자 턴이 없으면 전체 턴을 봅니다.
+ * 코드 블록과 URL은 영어로 잘못 감지되지 않도록 제외합니다.
+ * @param {Array<{role: string, content: string}>} transcript
+ * @returns {'ko'|'en'|'ja'|'zh'|null} 글자가 없으면 null
+ */
+export function detectLanguage(transcript) {
+    const userTurns = transcript.filter(turn => turn.role === 'user')
+    const text = (userTurns.length > 0 ? userTurns : transcript)
+        .map(turn => turn.content)
+        .join('\n')
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/https?:\/\/\S+/g, ' ')
+
+    const count = (pattern) => (text.match(pattern) || []).length
+    const hangul = count(SCRIPT_PATTERNS.hangul)
+    const kana = count(SCRIPT_PATTERNS.kana)
+    const han = count(SCRIPT_PATTERNS.han)
+    const latin = count(SCRIPT_PATTERNS.latin) * LATIN_WEIGHT
+
+    const isJapanese = kana > 0 && kana >= han * KANA_RATIO
+    const scores = {
+        ko: hangul,
+        ja: isJapanese ? kana + han : 0,
+        zh: isJapanese ? 0 : han,
+        en: latin
+    }
+    const [language, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0]
+    return score > 0 ? language : null
+}
+
+/**
+ * 이번 평가의 피드백 언어 결정 (요청에서 고른 언어 → 루브릭 언어 → 기본값)
+ */
+export function resolveFeedbackLanguage(requested, rubric) {
+    const isSupported = (id) => FEEDBACK_LANGUAGES.some(l => l.id === id)
+    if (isSupported(requested)) return requested
+    if (isSupported(rubric?.language)) return rubric.language
+    return DEFAULT_FEEDBACK_LANGUAGE
+}
+
+export function getLanguageName(id) {
+    return FEEDBACK_LANGUAGES.find(l => l.id === id)?.name || id
+}
+
+/**
+ * 프롬프트에 넣을 응답 언어 지시문
+ * 한국어 대화를 한국어로 평가할 때는 기존 프롬프트로 충분하므로 빈 문자열을 돌려줍니다.
+ * @param {{output: string, transcript: string|null}} languages
+ */
+export function buildLanguageInstruction(languages) {
+    const output = languages?.output || DEFAULT_FEEDBACK_LANGUAGE
+    const transcript = languages?.transcript || null
+    if (output === DEFAULT_FEEDBACK_LANGUAGE && (!transcript || transcript === DEFAULT_FEEDBACK_LANGUAGE)) return ''
+
+    const transcriptNote = transcript
+        ? `- 채팅 기록은 주로 **${getLanguageName(transcript)}**로 작성되어 있습니다.`
+        : '- 채팅 기록의 언어는 원문을 보고 판단하세요.'
+
+    return `# 응답 언어
+- 평가 설명과 피드백(요약, 관찰, 강점, 약점, 개선 예시, 특징, 정성 평가, 제안, 생활기록부 초안 등)은 모두 **${getLanguageName(output)}**로 작성하세요.
+${transcriptNote} 「」 안의 인용문은 번역하지 말고 **원문 언어 그대로** 옮기세요.
+- JSON 키 이름과 형식은 바꾸지 마세요.
+
+`
+}
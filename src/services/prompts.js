@@ -1,49 +1,254 @@
 /**
  * 평가 프롬프트 생성 모듈
  */
+import { serializeTranscript, countSessions } from './transcript'
+import { PLACEHOLDER_PATTERN } from './redaction'
+import { buildLanguageInstruction } from './language'
+
+// 평가 프롬프트·응답 형식을 바꾸면 올려서 예전 프롬프트로 만든 평가 캐시를 쓰지 않게 함
+export const PROMPT_VERSION = 2
+
+const PLACEHOLDER_NOTE = '([학생1], [전화번호1]처럼 대괄호로 표시된 부분은 개인정보를 가린 자리표시자입니다. 인용할 때도 그대로 두세요.)\n'
 
 /**
  * 평가 프롬프트 생성
+ * @param {Array<{role: string, content: string}>} transcript - normalizeTranscript로 정리된 대화 기록
+ * @param {{output: string, transcript: string|null}} [languages] - 피드백 언어와 감지된 대화 언어
  */
-export function buildEvaluationPrompt(chatContent, rubric, reflection) {
-    const criteriaDescription = rubric.criteria.map(c => {
-        const levelsDesc = c.levels
-            .map(l => `  - ${l.score}점: ${l.description}`)
-            .join('\n')
-        return `### ${c.name} (가중치: ${c.weight}%)
-설명: ${c.description}
-평가 수준:
-${levelsDesc}`
-    }).join('\n\n')
-
-    // Generate criteria list for clearer instruction
-    const criteriaNamesList = rubric.criteria.map((c, i) => `${i + 1}. ${c.name}`).join('\n')
-
+export function buildEvaluationPrompt(transcript, rubric, reflection, languages) {
     return `당신은 AI 채팅 활용 능력을 평가하는 교육 전문가입니다.
 학생들이 AI를 더 효과적으로 활용할 수 있도록 구체적이고 교육적인 피드백을 제공해주세요.
 
 # 평가 루브릭: ${rubric.name}
 
-${criteriaDescription}
+${buildCriteriaDescription(rubric)}
 
 # 학생 자기평가 / 추가 맥락 (Additional Context)
 ${reflection ? reflection : "(없음)"}
 
 ⚠️ 주의: 위 '학생 자기평가' 내용은 **정성 평가(의견, 생활기록부)**에만 반영하고, **점수(Quantitative Score)** 산정에는 절대 반영하지 마세요. 점수는 오직 채팅 내용의 품질로만 평가하세요.
 
-# 평가할 채팅 기록 (⚠️ 중요 지침)
-본 내용은 사용자가 브라우저에서 직접 복사하여 붙여넣은 것입니다. 따라서 사이드바의 채팅 목록, 설정 메뉴, 버튼 텍스트 등 불필요한 노이즈가 포함되어 있을 수 있습니다.
+# 평가할 채팅 기록
+아래 기록은 화면의 메뉴·버튼 등 노이즈를 제거하고 "사용자:" / "AI:" 턴으로 정리한 대화입니다.
+점수는 **사용자 턴**의 질문과 활용 과정을 중심으로 평가하고, AI 턴은 맥락 파악에만 사용하세요.
+${transcript.every(turn => turn.role === 'unknown') ? '(화자 표시를 찾지 못한 원문입니다. 문맥으로 사용자 질문과 AI 응답을 구분하세요.)\n' : ''}${countSessions(transcript) > 1 ? '(여러 세션에 걸친 프로젝트 기록입니다. 세션 구분선(===)을 참고하여 세션 간 질문 방식의 변화와 성장 과정도 평가하세요.)\n' : ''}${hasPlaceholders(transcript) ? PLACEHOLDER_NOTE : ''}
+---
+${serializeTranscript(transcript)}
+---
 
-**평가 시 반드시 다음 지침을 따르세요:**
-1. 채팅 화면의 **주요 대화 내용(사용자 질문과 AI 응답)**만 추출하여 평가에 반영하세요.
-2. 사이드바의 다른 채팅 제목이나 메뉴 버튼 등 대화 외적인 텍스트는 **완전한 무시(Ignore)** 대상으로 처리하세요.
-3. 만약 복사된 내용 중 여러 대화가 섞여 있다면, 가장 마지막에 진행된 주요 주제를 중심으로 평가하세요.
+${buildLanguageInstruction(languages)}${buildResultFormat(rubric)}`
+}
+
+/**
+ * 긴 대화의 한 구간에서 평가 항목별 근거를 추출하는 프롬프트 (분할 평가 map 단계)
+ * 점수는 매기지 않고, 최종 채점에 쓸 인용과 관찰만 모읍니다.
+ * @param {{index: number, startTurn: number, endTurn: number, turns: Array, contextTurns: Array}} segment
+ */
+export function buildSegmentEvidencePrompt(segment, rubric, totalSegments, totalTurns, languages) {
+    const criteriaList = rubric.criteria
+        .map(c => `- ${c.id}: ${c.name} — ${c.description}`)
+        .join('\n')
 
+    return `당신은 AI 채팅 활용 능력을 평가하는 교육 전문가입니다.
+아주 긴 대화를 ${totalSegments}개 구간으로 나누어 분석하고 있으며, 지금은 ${segment.index + 1}번째 구간(전체 ${totalTurns}턴 중 ${segment.startTurn}~${segment.endTurn}번째 턴)입니다.
+이 단계에서는 점수를 매기지 말고, 아래 평가 항목마다 이 구간에서 찾은 근거만 정리하세요.
+
+# 평가 항목
+${criteriaList}
+${segment.contextTurns.length > 0 ? `
+# 직전 구간의 마지막 대화 (맥락 참고용, 근거로 인용하지 마세요)
+---
+${serializeTranscript(segment.contextTurns)}
 ---
-${chatContent}
+` : ''}
+# 분석할 구간
+${hasPlaceholders(segment.turns) ? PLACEHOLDER_NOTE : ''}---
+${serializeTranscript(segment.turns)}
 ---
 
-# 평가 결과 형식
+${buildLanguageInstruction(languages)}# 응답 형식
+반드시 다음 JSON 형식으로만 응답하세요. criteria 배열에는 ${rubric.criteria.length}개 항목이 모두 포함되어야 합니다.
+
+\`\`\`json
+{
+  "summary": "이 구간에서 학생이 AI와 한 작업을 2-3문장으로 요약",
+  "criteria": [
+    {
+      "criterionId": "${rubric.criteria[0]?.id || 'criterion_1'}",
+      "name": "${rubric.criteria[0]?.name || '평가 항목명'}",
+      "evidence": ["「학생이 실제로 입력한 문장」 - 이 문장이 보여주는 점"],
+      "observations": "이 항목과 관련해 이 구간에서 관찰한 강점·약점"
+    }
+  ]
+}
+\`\`\`
+
+# 지침
+1. evidence에는 **사용자 턴의 원문을 「」로 그대로 인용**하세요. 고쳐 쓰거나 요약하지 마세요.
+2. 항목과 관련된 내용이 이 구간에 없으면 evidence는 빈 배열, observations는 빈 문자열로 두세요.
+3. 항목당 인용은 가장 대표적인 것 3개 이하로 고르세요.
+4. 반드시 유효한 JSON 형식으로 응답하세요. 주석은 포함하지 마세요.`
+}
+
+/**
+ * 구간별로 모은 근거로 최종 채점하는 프롬프트 (분할 평가 reduce 단계)
+ * 응답 형식은 buildEvaluationPrompt와 같습니다.
+ * @param {ReturnType<import('./chunking').aggregateSegmentEvidence>} aggregated
+ */
+export function buildFinalScoringPrompt(aggregated, rubric, reflection, totalTurns, languages) {
+    const turnRange = segment => `${segment.startTurn}~${segment.endTurn}턴`
+
+    const flow = aggregated.summaries
+        .map(({ segment, summary }) => `- 구간 ${segment.index + 1} (${turnRange(segment)}): ${summary || '(요약 없음)'}`)
+        .join('\n')
+
+    const evidence = aggregated.criteria.map(criterion => {
+        const findings = criterion.findings.length > 0
+            ? criterion.findings.map(finding => [
+                `- 구간 ${finding.segment.index + 1} (${turnRange(finding.segment)})`,
+                ...finding.evidence.map(quote => `  - 근거: ${quote}`),
+                ...(finding.observations ? [`  - 관찰: ${finding.observations}`] : [])
+            ].join('\n')).join('\n')
+            : '- 관련 근거를 찾지 못함'
+        return `### ${criterion.name}\n${findings}`
+    }).join('\n\n')
+
+    return `당신은 AI 채팅 활용 능력을 평가하는 교육 전문가입니다.
+학생들이 AI를 더 효과적으로 활용할 수 있도록 구체적이고 교육적인 피드백을 제공해주세요.
+
+# 평가 루브릭: ${rubric.name}
+
+${buildCriteriaDescription(rubric)}
+
+# 학생 자기평가 / 추가 맥락 (Additional Context)
+${reflection ? reflection : "(없음)"}
+
+⚠️ 주의: 위 '학생 자기평가' 내용은 **정성 평가(의견, 생활기록부)**에만 반영하고, **점수(Quantitative Score)** 산정에는 절대 반영하지 마세요. 점수는 오직 채팅 내용의 품질로만 평가하세요.
+
+# 평가할 채팅 기록 (구간별 분석 결과)
+대화가 매우 길어(전체 ${totalTurns}턴) ${aggregated.summaries.length}개 구간으로 나누어 먼저 분석했습니다.
+아래는 구간별 흐름 요약과 평가 항목별로 모은 근거입니다. 원문 전체는 제공되지 않으므로 이 자료만으로 채점하세요.
+대화 전체의 흐름(초반과 후반의 변화, 반복되는 패턴)을 고려하고, evidence 필드에는 아래 근거의 「」 인용문을 그대로 사용하세요.
+
+## 구간별 흐름
+${flow}
+
+## 평가 항목별 근거
+${evidence}
+
+${buildLanguageInstruction(languages)}${buildResultFormat(rubric)}`
+}
+
+/**
+ * 평가 결과 보정 요청 프롬프트
+ * 원래 프롬프트와 이전 응답을 함께 보내고, 문제가 있는 항목의 지정한 필드만 다시 쓰게 합니다.
+ * @param {string} originalPrompt - 처음 보낸 평가 프롬프트
+ * @param {Array<{criterionId: string, name: string, fields: Object<string, string>}>} issues - validateEvaluation 결과
+ */
+export function buildRepairPrompt(originalPrompt, result, issues) {
+    const issueList = issues.map(issue => {
+        const fields = Object.entries(issue.fields).map(([field, problem]) => `  - ${field}: ${problem}`).join('\n')
+        return `- criterionId "${issue.criterionId}" (${issue.name})\n${fields}`
+    }).join('\n')
+
+    return `${originalPrompt}
+
+# 이전 응답
+아래는 위 요청에 대한 당신의 이전 응답 중 평가 항목 부분입니다.
+
+\`\`\`json
+${JSON.stringify(result.criteriaScores, null, 2)}
+\`\`\`
+
+# 수정 요청
+이전 응답에서 다음 항목의 일부 필드가 빠졌거나 잘못되었습니다. **나열한 필드만** 고쳐 주세요. 나머지 필드는 바꾸지 않습니다.
+${issueList}
+
+반드시 다음 JSON 형식으로만 응답하세요. criteriaScores에는 위에 나열한 ${issues.length}개 항목만 넣고, criterionId는 그대로 쓰세요.
+score는 각 항목의 평가 수준 점수 범위 안에서, evidence는 학생 채팅 원문을 「」로 인용해 작성하세요.
+
+\`\`\`json
+{
+  "criteriaScores": [
+    { "criterionId": "${issues[0]?.criterionId || ''}", "name": "${issues[0]?.name || ''}", "score": 3, "evidence": "...", "strengths": "...", "weaknesses": "...", "improvement": "..." }
+  ]
+}
+\`\`\``
+}
+
+/**
+ * 여러 평가(K-run 실행 또는 앙상블 모델)의 서술을 하나로 종합하는 프롬프트
+ * 점수는 이미 종합했으므로 바꾸지 않고, 정성 평가·AI 활용 특징·생활기록부 초안만 다시 씁니다.
+ * @param {Array<object>} results - 종합할 평가 결과
+ * @param {object} synthesized - 항목 점수를 종합한 결과 (서술이 최종 점수와 어긋나지 않게 함께 보냄)
+ * @param {{output: string, transcript: string|null}} [languages]
+ */
+export function buildNarrativeSynthesisPrompt(results, synthesized, rubric, languages) {
+    const scoreList = synthesized.criteriaScores
+        .map(cs => `- ${cs.name}: ${cs.score} / ${cs.maxScore}점`)
+        .join('\n')
+
+    const sources = results.map((result, i) => `## 평가 ${i + 1}
+### AI 활용 특징
+${(result.characteristics || []).map(c => `- ${c}`).join('\n') || '(없음)'}
+### 정성 평가
+${result.qualitativeEvaluation || '(없음)'}
+### 생활기록부 초안
+${result.studentRecordDraft || '(없음)'}`).join('\n\n')
+
+    const hasPlaceholder = results.some(result => PLACEHOLDER_PATTERN.test(
+        [result.qualitativeEvaluation, result.studentRecordDraft, ...(result.characteristics || [])].join('\n')
+    ))
+
+    return `당신은 AI 채팅 활용 능력을 평가하는 교육 전문가입니다.
+같은 학생의 같은 채팅 기록을 ${results.length}번 따로 평가했습니다. 아래 평가들의 서술을 읽고 **하나의 일관된 서술**로 종합하세요.
+
+# 평가 루브릭: ${rubric.name}
+
+# 최종 항목 점수 (이미 종합했으므로 바꾸지 마세요)
+${scoreList}
+
+# 종합할 평가
+${sources}
+
+# 종합 지침
+1. 평가들을 이어 붙이거나 하나만 골라 옮기지 말고, 여러 평가가 공통으로 짚은 내용을 중심으로 새로 작성하세요.
+2. 평가마다 의견이 갈리는 부분은 위 최종 항목 점수와 맞는 쪽을 따르세요.
+3. 원본 평가에 없는 사실이나 인용을 지어내지 마세요. 「」 인용문은 원문 그대로 옮기세요.
+4. characteristics는 같은 뜻을 합쳐 3~5개로, studentRecordDraft는 구체적인 활동 맥락이 드러나도록 3~4문장으로 작성하세요.
+${hasPlaceholder ? PLACEHOLDER_NOTE : ''}
+${buildLanguageInstruction(languages)}반드시 다음 JSON 형식으로만 응답하세요.
+
+\`\`\`json
+{
+  "characteristics": ["종합한 AI 활용 특징 1", "특징 2", "특징 3"],
+  "qualitativeEvaluation": "하나로 종합한 정성 평가",
+  "studentRecordDraft": "하나로 종합한 생활기록부 초안"
+}
+\`\`\``
+}
+
+function hasPlaceholders(turns) {
+    return turns.some(turn => PLACEHOLDER_PATTERN.test(turn.content))
+}
+
+function buildCriteriaDescription(rubric) {
+    return rubric.criteria.map(c => {
+        const levelsDesc = c.levels
+            .map(l => `  - ${l.score}점: ${l.description}`)
+            .join('\n')
+        return `### ${c.name} (가중치: ${c.weight}%)
+설명: ${c.description}
+평가 수준:
+${levelsDesc}`
+    }).join('\n\n')
+}
+
+function buildResultFormat(rubric) {
+    // Generate criteria list for clearer instruction
+    const criteriaNamesList = rubric.criteria.map((c, i) => `${i + 1}. ${c.name}`).join('\n')
+
+    return `# 평가 결과 형식
 
 ⚠️ 중요: 아래 ${rubric.criteria.length}개 평가 항목을 **모두** 평가해야 합니다:
 ${criteriaNamesList}
@@ -79,7 +284,6 @@ criteriaScores 배열에는 반드시 **${rubric.criteria.length}개 항목**이
       "weaknesses": "...",
       "improvement": "..."
     }
-    // ... 나머지 평가 항목도 동일한 형식으로 모두 포함
   ],
   "characteristics": [
     "이 학생의 AI 활용 특징 1",
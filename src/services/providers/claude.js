@@ -3,22 +3,32 @@
  * CORS 제한으로 항상 서버 프록시(/api/evaluate) 경유
  */
 import { fetchWithTimeout } from '../utils'
+import { readProxyStream, isEventStream } from '../streaming'
+import { createProviderError, parseRetryAfter } from '../failover'
 
 /**
  * Claude API 호출 (서버 프록시 경유)
+ * options.responseSchema({name, schema})는 프록시에서 tool use 입력 스키마로 사용됩니다.
+ * options.signal로 요청을 취소할 수 있습니다.
+ * options.onToken이 있으면 프록시의 SSE 응답으로 받아 조각마다 알립니다.
  */
-export async function callClaudeAPI(prompt, apiKey, model = 'claude-haiku-4-5-20251001') {
+export async function callClaudeAPI(prompt, apiKey, model = 'claude-haiku-4-5-20251001', options = {}) {
+    const { responseSchema, language, onToken, signal } = options
+
     const response = await fetchWithTimeout('/api/evaluate', {
         method: 'POST',
+        signal,
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt, provider: 'claude', model })
+        body: JSON.stringify({ prompt, provider: 'claude', model, language, responseSchema, stream: !!onToken })
     }, 60000)
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({}))
-        throw new Error(error.error || `Claude API 오류: ${response.status}`)
+        throw createProviderError(error.error || `Claude API 오류: ${response.status}`, { kind: error.kind, status: response.status, retryAfter: parseRetryAfter(response.headers, error) })
     }
 
+    if (isEventStream(response)) return (await readProxyStream(response, onToken, signal)).text
+
     const data = await response.json()
     return data.text || ''
 }
@@ -2,15 +2,25 @@
  * Gemini API 호출 모듈
  */
 import { fetchWithTimeout } from '../utils'
+import { toGeminiSchema } from '../schema'
+import { readProviderStream, extractBlockReason, createBlockedError } from '../streaming'
+import { createProviderError, parseRetryAfter } from '../failover'
 
 /**
  * Gemini API 호출
+ * options.responseSchema({name, schema})가 있으면 responseSchema로 응답 JSON 형식을 강제합니다.
+ * options.signal로 요청을 취소할 수 있습니다.
+ * options.onToken이 있으면 streamGenerateContent(SSE)로 받아 조각마다 알립니다.
+ * 오류는 대체 모델 전환에 쓰도록 HTTP 상태나 종류(안전 정책 차단)를 담아 던집니다.
  */
-export async function callGeminiAPI(prompt, apiKey, model = 'gemini-2.5-pro') {
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`
+export async function callGeminiAPI(prompt, apiKey, model = 'gemini-2.5-pro', options = {}) {
+    const { responseSchema, onToken, signal } = options
+    const method = onToken ? 'streamGenerateContent?alt=sse&' : 'generateContent?'
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}key=${apiKey}`
 
     const response = await fetchWithTimeout(url, {
         method: 'POST',
+        signal,
         headers: {
             'Content-Type': 'application/json'
         },
@@ -20,16 +30,24 @@ export async function callGeminiAPI(prompt, apiKey, model = 'gemini-2.5-pro') {
             }],
             generationConfig: {
                 temperature: 0.3,
-                maxOutputTokens: 8192
+                maxOutputTokens: 8192,
+                ...(responseSchema ? {
+                    responseMimeType: 'application/json',
+                    responseSchema: toGeminiSchema(responseSchema.schema)
+                } : {})
             }
         })
     }, 30000)
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({}))
-        throw new Error(error.error?.message || `Gemini API 오류: ${response.status}`)
+        throw createProviderError(error.error?.message || `Gemini API 오류: ${response.status}`, { status: response.status, retryAfter: parseRetryAfter(response.headers, error) })
     }
 
+    if (onToken) return await readProviderStream(response, 'gemini', onToken, signal)
+
     const data = await response.json()
+    const blockReason = extractBlockReason('gemini', data)
+    if (blockReason) throw createBlockedError('Gemini', blockReason)
     return data.candidates?.[0]?.content?.parts?.[0]?.text || ''
 }
@@ -2,13 +2,25 @@
  * OpenAI API 호출 모듈
  */
 import { fetchWithTimeout } from '../utils'
+import { toOpenAISchema, supportsOpenAISchema } from '../schema'
+import { readProviderStream, extractBlockReason, createBlockedError } from '../streaming'
+import { createProviderError, parseRetryAfter } from '../failover'
 
 /**
  * OpenAI API 호출
+ * options.responseSchema({name, schema})가 있으면 json_schema(strict) 응답 형식을 요청합니다.
+ * 구조화 출력을 지원하지 않는 모델은 프롬프트 지시만으로 JSON을 받습니다.
+ * options.signal로 요청을 취소할 수 있습니다.
+ * options.onToken이 있으면 stream으로 받아 조각마다 알립니다.
+ * 오류는 대체 모델 전환에 쓰도록 HTTP 상태나 종류(안전 정책 차단)를 담아 던집니다.
  */
-export async function callOpenAIAPI(prompt, apiKey, model = 'gpt-4o') {
+export async function callOpenAIAPI(prompt, apiKey, model = 'gpt-4o', options = {}) {
+    const { responseSchema, onToken, signal } = options
+    const useSchema = responseSchema && supportsOpenAISchema(model)
+
     const response = await fetchWithTimeout('https://api.openai.com/v1/chat/completions', {
         method: 'POST',
+        signal,
         headers: {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${apiKey}`
@@ -20,15 +32,26 @@ export async function callOpenAIAPI(prompt, apiKey, model = 'gpt-4o') {
                 { role: 'user', content: prompt }
             ],
             temperature: 0.3,
-            max_tokens: 8192
+            max_tokens: 8192,
+            ...(onToken ? { stream: true } : {}),
+            ...(useSchema ? {
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name: responseSchema.name, strict: true, schema: toOpenAISchema(responseSchema.schema) }
+                }
+            } : {})
         })
     }, 30000)
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({}))
-        throw new Error(error.error?.message || `OpenAI API 오류: ${response.status}`)
+        throw createProviderError(error.error?.message || `OpenAI API 오류: ${response.status}`, { status: response.status, retryAfter: parseRetryAfter(response.headers, error) })
     }
 
+    if (onToken) return await readProviderStream(response, 'openai', onToken, signal)
+
     const data = await response.json()
+    const blockReason = extractBlockReason('openai', data)
+    if (blockReason) throw createBlockedError('OpenAI', blockReason)
     return data.choices?.[0]?.message?.content || ''
 }
@@ -0,0 +1,183 @@
+/**
+ * 개인정보 가리기 모듈
+ * 대화 기록이 브라우저를 떠나기 전에 이름·학번·연락처 등을 [학생1], [전화번호1] 같은 자리표시자로 바꿉니다.
+ * 같은 값은 항상 같은 자리표시자가 되며, 원래 값과의 대응표는 브라우저에만 보관합니다.
+ */
+
+// 감지 순서대로 나열 (앞 항목에서 가려진 부분은 뒤 항목이 다시 보지 않음)
+export const REDACTION_CATEGORIES = [
+    { id: 'email', label: '이메일', placeholder: '이메일' },
+    { id: 'residentId', label: '주민등록번호', placeholder: '주민번호' },
+    { id: 'phone', label: '전화번호', placeholder: '전화번호' },
+    { id: 'studentId', label: '학번·반 번호', placeholder: '학번' },
+    { id: 'school', label: '학교명', placeholder: '학교' },
+    { id: 'name', label: '이름', placeholder: '학생' }
+]
+
+// 가려진 자리표시자 (예: [학생1], [전화번호2])
+export const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${REDACTION_CATEGORIES.map(c => c.placeholder).join('|')})\\d+\\]`)
+
+export const DEFAULT_REDACTION_SETTINGS = {
+    enabled: true,
+    categories: Object.fromEntries(REDACTION_CATEGORIES.map(c => [c.id, true])),
+    customTerms: '' // 항상 가릴 이름 목록 (쉼표/줄바꿈 구분, 예: 학급 명단)
+}
+
+// 값 전체를 가리는 패턴
+const VALUE_PATTERNS = {
+    email: [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g],
+    residentId: [/\b\d{6}\s?-\s?[1-8]\d{6}\b/g],
+    phone: [
+        /\b01[016789][-.\s]?\d{3,4}[-.\s]?\d{4}\b/g,
+        /\b0(?:2|[3-6][1-5])[-.\s)]\s?\d{3,4}[-.\s]\d{4}\b/g
+    ],
+    studentId: [/\d\s*학년\s*\d{1,2}\s*반\s*\d{1,2}\s*번/g],
+    school: [/[가-힣]{2,15}(?:초등학교|중학교|고등학교|대학교|여자중학교|여자고등학교|과학고|외고|여고|여중|고교)/g]
+}
+
+// 주변 문맥으로 찾는 패턴 (1번 그룹만 가림)
+const CONTEXT_PATTERNS = {
+    studentId: [/학번\s*(?:은|는|이|:)?\s*(\d{4,10})/g],
+    name: [
+        /(?:이름|성명)\s*(?:은|는|이|:)?\s*([가-힣]{2,4})(?=$|[\s,.!?)]|입니다|이에요|예요|이고|이야|야|라고)/g,
+        /(?:저는|나는|전|난)\s+([가-힣]{2,4})(?=입니다|이에요|예요|이라고|라고)/g,
+        // "김민수 학생" (세 글자, 조사·어미나 "정보반"·"한국어"처럼 집단·과목을 나타내는 말로 끝나는 말 제외)
+        /([가-힣]{3})(?<![는은을를의한된던할될인적들도만반어과부팀단급년층계교생])\s?(?=학생(?:입니다|이에요|의|이|은|\s|$))/g
+    ]
+}
+
+const COMMON_SURNAMES = '김이박최정강조윤장임한오서신권황안송류전홍고문양손배백허유남심노하곽성차주우구민진지엄채원천방공현함변염여추도소석선설마길연위표명기반왕금옥육인맹제모탁국어은편용예봉경사부가복태목형피두감호'
+
+// 이름 자리에 자주 오지만 이름이 아닌 말 ("○○○ 학생" 앞에 오는 말 포함)
+const NAME_STOPWORDS = new Set([
+    '학생', '고등학생', '중학생', '초등학생', '대학생', '선생님', '사용자', '여러분', '우리', '모든', '같은', '다른',
+    '이번', '해당', '전체', '우리반', '남학생', '여학생', '신입생', '재학생', '졸업생', '수험생', '한국', '고등', '중등',
+    '한국어', '외국어', '외국인', '정보반', '과학반', '수학반', '영어반', '심화반', '기초반', '보충반', '방과후', '동아리',
+    '고학년', '저학년', '전학생', '특성화', '다문화', '장애인', '모범생', '유학생', '장학생', '전교생', '일반고', '자사고'
+])
+
+/**
+ * 대화 기록과 자기평가에서 개인정보를 가림
+ * 세션 제목(파일 이름·채팅 제목에서 옴)도 프롬프트에 들어가므로 함께 가립니다.
+ * @param {Array<{role: string, content: string}>} transcript
+ * @param {string} reflection
+ * @param {typeof DEFAULT_REDACTION_SETTINGS} settings
+ * @returns {{transcript: Array, reflection: string, mapping: Array<{placeholder: string, original: string, category: string}>}}
+ */
+export function redactTranscript(transcript, reflection, settings = DEFAULT_REDACTION_SETTINGS) {
+    if (!settings?.enabled) return { transcript, reflection, mapping: [] }
+
+    const sessions = [...new Set(transcript.map(turn => turn.session).filter(Boolean))]
+    const texts = [...transcript.map(turn => turn.content), ...sessions, reflection || '']
+    const mapping = buildMapping(texts, settings)
+
+    return {
+        transcript: transcript.map(turn => ({
+            ...turn,
+            content: applyMapping(turn.content, mapping),
+            ...(turn.session ? { session: applyMapping(turn.session, mapping) } : {})
+        })),
+        reflection: applyMapping(reflection || '', mapping),
+        mapping
+    }
+}
+
+/**
+ * 텍스트 하나를 가린 결과 (관리자 미리보기용)
+ */
+export function redactText(text, settings = DEFAULT_REDACTION_SETTINGS) {
+    const mapping = settings?.enabled ? buildMapping([text], settings) : []
+    return { text: applyMapping(text, mapping), mapping }
+}
+
+/**
+ * 평가 결과 속 자리표시자를 원래 값으로 되돌림 (화면 표시용)
+ * 문자열·배열·객체를 재귀적으로 순회합니다.
+ */
+export function restoreRedacted(value, mapping) {
+    if (!mapping?.length) return value
+    if (typeof value === 'string') {
+        return mapping.reduce((text, { placeholder, original }) => text.split(placeholder).join(original), value)
+    }
+    if (Array.isArray(value)) return value.map(item => restoreRedacted(item, mapping))
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restoreRedacted(item, mapping)]))
+    }
+    return value
+}
+
+/**
+ * 대응표로 원래 값을 다시 자리표시자로 바꿈 (AI가 본 형태로 대화 기록을 표시할 때)
+ */
+export function applyRedaction(text, mapping) {
+    return mapping?.length ? applyMapping(text, mapping) : text
+}
+
+/**
+ * 모든 텍스트를 훑어 원래 값 → 자리표시자 대응표 생성
+ * 같은 값은 어느 턴에 나오든 같은 번호를 받습니다.
+ */
+function buildMapping(texts, settings) {
+    const categories = { ...DEFAULT_REDACTION_SETTINGS.categories, ...settings.categories }
+    const mapping = []
+    const known = new Set()
+    const counters = {}
+
+    const add = (categoryId, rawValue) => {
+        const original = rawValue.trim()
+        if (!original || known.has(original)) return
+        const category = REDACTION_CATEGORIES.find(c => c.id === categoryId)
+        counters[categoryId] = (counters[categoryId] || 0) + 1
+        known.add(original)
+        mapping.push({ placeholder: `[${category.placeholder}${counters[categoryId]}]`, original, category: categoryId })
+    }
+
+    parseCustomTerms(settings.customTerms).forEach(term => add('name', term))
+
+    REDACTION_CATEGORIES.forEach(({ id }) => {
+        if (!categories[id]) return
+        texts.forEach(rawText => {
+            // 앞에서 찾은 값은 지운 뒤 검사 (전화번호 속 주민번호 등 중복 감지 방지)
+            const text = applyMapping(rawText, mapping)
+            const valuePatterns = VALUE_PATTERNS[id] || []
+            const contextPatterns = CONTEXT_PATTERNS[id] || []
+
+            valuePatterns.forEach(pattern => {
+                for (const match of text.matchAll(pattern)) add(id, match[0])
+            })
+            contextPatterns.forEach(pattern => {
+                for (const match of text.matchAll(pattern)) {
+                    if (id !== 'name' || isLikelyName(match[1])) add(id, match[1])
+                }
+            })
+        })
+    })
+
+    return mapping
+}
+
+function applyMapping(text, mapping) {
+    // 긴 값부터 바꿔야 "홍길동"보다 "홍길동전" 같은 긴 값이 먼저 처리됨
+    return [...mapping]
+        .sort((a, b) => b.original.length - a.original.length)
+        .reduce((result, { original, placeholder }) => result.replace(valuePattern(original), placeholder), text)
+}
+
+// 숫자로 시작·끝나는 값은 더 긴 숫자의 일부일 때 바꾸지 않음 (학번 20315 ≠ 2031500)
+function valuePattern(original) {
+    const escaped = original.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    const before = /^\d/.test(original) ? '(?<!\\d)' : ''
+    const after = /\d$/.test(original) ? '(?!\\d)' : ''
+    return new RegExp(`${before}${escaped}${after}`, 'g')
+}
+
+function isLikelyName(word) {
+    return !!word && !NAME_STOPWORDS.has(word) && COMMON_SURNAMES.includes(word[0])
+}
+
+function parseCustomTerms(customTerms = '') {
+    return customTerms
+        .split(/[,\n]/)
+        .map(term => term.trim())
+        .filter(term => term.length >= 2)
+}
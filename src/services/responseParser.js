@@ -1,76 +1,102 @@
 /**
  * 평가 응답 파싱 모듈
  */
-import { calculateGrade } from '../constants'
 
 /**
  * 평가 응답 파싱
+ * 구조화 출력을 지원하지 않는 모델의 응답도 받을 수 있도록 JSON을 관대하게 추출합니다.
+ * 끝내 JSON을 찾지 못하면 0점 결과를 만들지 않고 예외를 던져 재시도하게 합니다.
  */
-export function parseEvaluationResponse(response, rubric) {
-    // JSON 추출 (마크다운 코드 블록 제거)
-    let jsonStr = response
+export function parseEvaluationResponse(response) {
+    const result = extractJson(response)
+    if (!Array.isArray(result.criteriaScores)) {
+        throw new Error('평가 결과에 criteriaScores 배열이 없습니다.')
+    }
 
-    // ```json ... ``` 형식 처리
-    const jsonMatch = response.match(/```(?:json)?\s*([\s\S]*?)```/)
-    if (jsonMatch) {
-        jsonStr = jsonMatch[1]
+    // 기본값 설정
+    return {
+        totalScore: parseScore(result.totalScore), // AI가 보고한 값 (최종 총점은 scoring.js에서 계산)
+        grade: result.grade || 'N/A',
+        // 점수 범위·빈 필드는 validation.js에서 루브릭과 대조해 검사
+        criteriaScores: result.criteriaScores.map((cs) => ({
+            criterionId: cs.criterionId || '',
+            name: cs.name || '',
+            score: parseScore(cs.score),
+            maxScore: cs.maxScore || 5,
+            percentage: cs.percentage,
+            evidence: cs.evidence || cs.feedback || '',
+            strengths: cs.strengths || '',
+            weaknesses: cs.weaknesses || '',
+            improvement: cs.improvement || '',
+            nextSteps: cs.nextSteps || '',
+            feedback: cs.feedback || ''
+        })),
+        characteristics: result.characteristics || [],
+        qualitativeEvaluation: result.qualitativeEvaluation || '',
+        suggestions: result.suggestions || [],
+        studentRecordDraft: result.studentRecordDraft || ''
     }
+}
 
-    // 앞뒤 공백 제거
-    jsonStr = jsonStr.trim()
+// 숫자 또는 숫자 문자열("4")만 점수로 인정, 그 외는 null
+function parseScore(value) {
+    if (typeof value === 'string' && value.trim()) value = Number(value)
+    return typeof value === 'number' && Number.isFinite(value) ? value : null
+}
 
-    try {
-        if (!jsonStr) throw new Error('Empty JSON string')
-        const result = JSON.parse(jsonStr)
+/**
+ * AI 응답 텍스트에서 JSON 객체 추출
+ * 순수 JSON → ```json 코드 블록 → 첫 { ~ 마지막 } 순서로 시도하고,
+ * 각각 주석·끝 쉼표를 지운 뒤 한 번 더 시도합니다.
+ */
+export function extractJson(response) {
+    const text = (response || '').trim()
+    if (!text) throw new Error('AI가 빈 응답을 반환했습니다.')
 
-        // 필수 필드 검증 및 기본값 설정
-        return {
-            totalScore: result.totalScore || 0,
-            grade: result.grade || 'N/A',
-            criteriaScores: (result.criteriaScores || []).map((cs) => {
-                // Percentage 자동 계산 (AI가 누락할 경우 대비)
-                const safeScore = cs.score || 0
-                const safeMax = cs.maxScore || 5
-                const calculatedPercentage = Math.round((safeScore / safeMax) * 100)
+    const codeBlock = text.match(/```(?:json)?\s*([\s\S]*?)```/)?.[1]
+    const braces = text.includes('{') ? text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1) : ''
+    const candidates = [text, codeBlock, braces].filter(Boolean)
 
-                return {
-                    criterionId: cs.criterionId || '',
-                    name: cs.name || '',
-                    score: safeScore,
-                    maxScore: safeMax,
-                    percentage: cs.percentage !== undefined ? cs.percentage : calculatedPercentage,
-                    evidence: cs.evidence || cs.feedback || '근거가 제공되지 않았습니다.',
-                    strengths: cs.strengths || '',
-                    weaknesses: cs.weaknesses || '',
-                    improvement: cs.improvement || '추가적인 개선 제안이 없습니다.',
-                    nextSteps: cs.nextSteps || '',
-                    feedback: cs.feedback || ''
-                }
-            }),
-            characteristics: result.characteristics || [],
-            qualitativeEvaluation: result.qualitativeEvaluation || '',
-            suggestions: result.suggestions || [],
-            studentRecordDraft: result.studentRecordDraft || ''
+    for (const candidate of candidates) {
+        for (const source of [candidate, stripJsonComments(candidate)]) {
+            try {
+                const parsed = JSON.parse(source.trim())
+                if (parsed && typeof parsed === 'object') return parsed
+            } catch {
+                // 다음 후보로
+            }
         }
-    } catch (error) {
-        console.error('JSON 파싱 오류:', error)
+    }
+    throw new Error('AI 응답에서 평가 결과 JSON을 찾지 못했습니다.')
+}
+
+// 문자열 밖의 // · /* */ 주석과 } ] 앞의 끝 쉼표 제거 (문자열 안의 ",]" 같은 글자는 그대로 둠)
+function stripJsonComments(text) {
+    let output = ''
+    let inString = false
+    let trailingComma = -1 // 마지막으로 쓴 문자열 밖 쉼표의 위치 (그 뒤에 공백·주석만 왔을 때)
 
-        // 파싱 실패 시 기본 응답 생성
-        return {
-            totalScore: 0,
-            grade: 'N/A',
-            criteriaScores: rubric.criteria.map(c => ({
-                criterionId: c.id,
-                name: c.name,
-                score: 0,
-                maxScore: 5,
-                percentage: 0,
-                feedback: '평가 결과를 파싱할 수 없습니다.'
-            })),
-            characteristics: ['평가 결과 파싱 오류'],
-            qualitativeEvaluation: `AI 응답을 파싱하는 중 오류가 발생했습니다.\n\n원본 응답:\n${response.substring(0, 500)}...`,
-            suggestions: ['다시 평가를 시도해 주세요.'],
-            studentRecordDraft: ''
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (inString) {
+            output += char
+            if (char === '\\') output += text[++i] ?? ''
+            else if (char === '"') inString = false
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') i++
+            output += '\n'
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2)
+            i = end === -1 ? text.length : end + 1
+        } else {
+            if ((char === '}' || char === ']') && trailingComma !== -1) {
+                output = output.slice(0, trailingComma) + output.slice(trailingComma + 1)
+            }
+            if (char === ',') trailingComma = output.length
+            else if (!/\s/.test(char)) trailingComma = -1
+            if (char === '"') inString = true
+            output += char
         }
     }
+    return output
 }
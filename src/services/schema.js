@@ -0,0 +1,169 @@
+/**
+ * 평가 응답 JSON 스키마 모듈
+ * 현재 루브릭으로 응답 스키마를 만들고, 제공업체별 구조화 출력 형식으로 변환합니다.
+ * (api/evaluate.js에서도 가져다 쓰므로 다른 모듈을 import하지 않습니다.)
+ */
+
+const text = (description) => ({ type: 'string', description })
+const textList = (description) => ({ type: 'array', items: { type: 'string' }, description })
+
+/**
+ * 평가 결과 스키마 (buildEvaluationPrompt / buildFinalScoringPrompt 응답용)
+ * criterionId는 루브릭 항목 id 중 하나만 허용합니다.
+ * @returns {{name: string, schema: object}}
+ */
+export function buildEvaluationSchema(rubric) {
+    return {
+        name: 'evaluation_result',
+        schema: {
+            type: 'object',
+            properties: {
+                totalScore: { type: 'number', description: '가중치를 적용한 100점 만점 환산 점수' },
+                grade: text('등급'),
+                criteriaScores: {
+                    type: 'array',
+                    items: buildCriterionScoreSchema(rubric),
+                    description: `평가 항목 ${rubric.criteria.length}개 모두`
+                },
+                characteristics: textList('AI 활용 특징'),
+                qualitativeEvaluation: text('전반적인 정성 평가'),
+                suggestions: textList('구체적인 실천 방안'),
+                studentRecordDraft: text('생활기록부 초안')
+            },
+            required: ['totalScore', 'grade', 'criteriaScores', 'characteristics', 'qualitativeEvaluation', 'suggestions', 'studentRecordDraft']
+        }
+    }
+}
+
+/**
+ * 평가 결과 보정 요청 스키마 (buildRepairPrompt 응답용, 고칠 항목만 담음)
+ * @returns {{name: string, schema: object}}
+ */
+export function buildRepairSchema(rubric) {
+    return {
+        name: 'evaluation_repair',
+        schema: {
+            type: 'object',
+            properties: {
+                criteriaScores: { type: 'array', items: buildCriterionScoreSchema(rubric) }
+            },
+            required: ['criteriaScores']
+        }
+    }
+}
+
+/**
+ * 분할 평가 구간 분석 스키마 (buildSegmentEvidencePrompt 응답용)
+ * @returns {{name: string, schema: object}}
+ */
+export function buildSegmentEvidenceSchema(rubric) {
+    return {
+        name: 'segment_evidence',
+        schema: {
+            type: 'object',
+            properties: {
+                summary: text('이 구간에서 학생이 AI와 한 작업 요약'),
+                criteria: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            criterionId: { type: 'string', enum: rubric.criteria.map(c => c.id) },
+                            name: text('평가 항목명'),
+                            evidence: textList('사용자 턴 원문 「」 인용'),
+                            observations: text('이 구간에서 관찰한 강점·약점')
+                        },
+                        required: ['criterionId', 'name', 'evidence', 'observations']
+                    }
+                }
+            },
+            required: ['summary', 'criteria']
+        }
+    }
+}
+
+/**
+ * 서술 종합 스키마 (buildNarrativeSynthesisPrompt 응답용)
+ * @returns {{name: string, schema: object}}
+ */
+export function buildNarrativeSynthesisSchema() {
+    return {
+        name: 'narrative_synthesis',
+        schema: {
+            type: 'object',
+            properties: {
+                characteristics: textList('종합한 AI 활용 특징 3~5개'),
+                qualitativeEvaluation: text('하나로 종합한 정성 평가'),
+                studentRecordDraft: text('하나로 종합한 생활기록부 초안')
+            },
+            required: ['characteristics', 'qualitativeEvaluation', 'studentRecordDraft']
+        }
+    }
+}
+
+function buildCriterionScoreSchema(rubric) {
+    return {
+        type: 'object',
+        properties: {
+            criterionId: { type: 'string', enum: rubric.criteria.map(c => c.id) },
+            name: text('평가 항목명'),
+            score: { type: 'integer', description: '평가 수준 점수' },
+            maxScore: { type: 'integer', description: '평가 수준 최고 점수' },
+            percentage: { type: 'number' },
+            evidence: text('학생 채팅 원문을 「」로 직접 인용한 근거'),
+            strengths: text('잘한 점'),
+            weaknesses: text('부족한 점'),
+            improvement: text('Before → After 형식의 개선 예시'),
+            nextSteps: text('3점 이하일 때 다음에 시도할 행동 1가지, 4점 이상이면 빈 문자열')
+        },
+        required: ['criterionId', 'name', 'score', 'maxScore', 'percentage', 'evidence', 'strengths', 'weaknesses', 'improvement', 'nextSteps']
+    }
+}
+
+/**
+ * OpenAI json_schema strict 모드용 변환 (모든 객체에 additionalProperties: false)
+ */
+export function toOpenAISchema(schema) {
+    return mapSchema(schema, node => node.type === 'object' ? { ...node, additionalProperties: false } : node)
+}
+
+/**
+ * Gemini responseSchema용 변환 (OpenAPI 형식의 대문자 타입)
+ */
+export function toGeminiSchema(schema) {
+    return mapSchema(schema, node => ({
+        ...node,
+        type: node.type.toUpperCase(),
+        ...(node.enum ? { format: 'enum' } : {})
+    }))
+}
+
+/**
+ * Claude tool use용 도구 정의 (tool_choice로 이 도구 호출을 강제하면 input이 곧 응답 JSON)
+ */
+export function toClaudeTool({ name, schema }) {
+    return {
+        name,
+        description: '평가 결과를 정해진 형식으로 제출합니다.',
+        input_schema: schema
+    }
+}
+
+// json_schema 응답 형식을 지원하지 않는 OpenAI 모델 (접두사 일치)
+const OPENAI_SCHEMA_UNSUPPORTED = ['o1-preview', 'o1-mini', 'gpt-4-', 'gpt-3.5']
+
+export function supportsOpenAISchema(model = '') {
+    return !OPENAI_SCHEMA_UNSUPPORTED.some(prefix => model.startsWith(prefix))
+}
+
+// 스키마 노드를 재귀적으로 변환 (properties, items 순회)
+function mapSchema(node, transform) {
+    const mapped = { ...node }
+    if (node.properties) {
+        mapped.properties = Object.fromEntries(
+            Object.entries(node.properties).map(([key, child]) => [key, mapSchema(child, transform)])
+        )
+    }
+    if (node.items) mapped.items = mapSchema(node.items, transform)
+    return transform(mapped)
+}
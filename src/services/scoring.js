@@ -0,0 +1,52 @@
+/**
+ * 총점·등급 계산 모듈
+ * 항목별 score/maxScore와 루브릭 가중치로 100점 만점 총점을 코드에서 계산하고,
+ * GRADE_THRESHOLDS로 등급을 매깁니다. AI가 보고한 총점은 진단용으로만 남깁니다.
+ */
+import { calculateGrade, DEFAULT_SCORE_DISCREPANCY_MARGIN } from '../constants'
+
+/**
+ * 가중 평균 총점 (100점 만점, 정수)
+ * 가중치는 합이 100이 아니어도 비율로 정규화합니다.
+ */
+export function computeWeightedScore(criteriaScores, rubric) {
+    const weighted = rubric.criteria.map(criterion => {
+        const cs = criteriaScores.find(c => c.criterionId === criterion.id)
+            || criteriaScores.find(c => c.name === criterion.name)
+        const ratio = cs && cs.maxScore > 0 ? Math.min(1, Math.max(0, cs.score / cs.maxScore)) : 0
+        return { weight: criterion.weight || 0, ratio }
+    })
+
+    const totalWeight = weighted.reduce((sum, w) => sum + w.weight, 0)
+    if (totalWeight === 0) {
+        // 가중치가 모두 0이면 단순 평균
+        return Math.round(weighted.reduce((sum, w) => sum + w.ratio, 0) / Math.max(1, weighted.length) * 100)
+    }
+    return Math.round(weighted.reduce((sum, w) => sum + w.weight * w.ratio, 0) / totalWeight * 100)
+}
+
+/**
+ * 평가 결과의 총점·등급을 계산값으로 바꾸고, AI가 보고한 값은 evaluationMeta.scoring에 남김
+ * @param {number} margin - 보고 총점과 계산 총점의 허용 차이 (넘으면 flagged)
+ */
+export function applyWeightedScoring(result, rubric, margin = DEFAULT_SCORE_DISCREPANCY_MARGIN) {
+    const totalScore = computeWeightedScore(result.criteriaScores, rubric)
+    const reportedTotal = Number.isFinite(result.totalScore) ? Math.round(result.totalScore) : null
+    const difference = reportedTotal === null ? null : reportedTotal - totalScore
+
+    return {
+        ...result,
+        totalScore,
+        grade: calculateGrade(totalScore),
+        evaluationMeta: {
+            ...result.evaluationMeta,
+            scoring: {
+                reportedTotal,
+                reportedGrade: result.grade || null,
+                difference,
+                margin,
+                flagged: difference !== null && Math.abs(difference) > margin
+            }
+        }
+    }
+}
@@ -82,16 +82,23 @@ export function decodeApiKey(encoded) {
 }
 
 /**
- * SHA-256 비밀번호 해싱 (Web Crypto API)
+ * 텍스트의 SHA-256 해시 (64자 hex, Web Crypto API)
  */
-export async function hashPassword(password) {
+export async function sha256Hex(text) {
     const encoder = new TextEncoder()
-    const data = encoder.encode(password)
+    const data = encoder.encode(text)
     const hashBuffer = await crypto.subtle.digest('SHA-256', data)
     const hashArray = Array.from(new Uint8Array(hashBuffer))
     return hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
 }
 
+/**
+ * SHA-256 비밀번호 해싱
+ */
+export async function hashPassword(password) {
+    return await sha256Hex(password)
+}
+
 /**
  * 해시된 비밀번호 검증
  */
@@ -0,0 +1,207 @@
+/**
+ * 스트리밍 응답 모듈
+ * 제공업체와 서버 프록시의 SSE(text/event-stream) 응답에서 글자 조각을 꺼내고,
+ * 평가 JSON이 다 오기 전에 완성된 평가 항목부터 파싱합니다.
+ * (api/evaluate.js에서도 가져다 쓰므로 다른 모듈을 import하지 않습니다.)
+ */
+
+/**
+ * SSE 응답 본문을 이벤트 단위로 읽음
+ * 콜백에서 던진 예외(차단·오류 이벤트)나 취소로 읽기를 멈추면 남은 응답 생성도 끊도록 본문 스트림을 취소합니다.
+ * @param {Response} response - fetch 응답
+ * @param {(event: {event: string, data: string}) => void} onEvent
+ * @param {AbortSignal} [signal] - 중단되면 읽기를 멈추고 signal.reason을 던짐
+ */
+export async function readEventStream(response, onEvent, signal) {
+    const reader = response.body.getReader()
+    const decoder = new TextDecoder()
+    const cancel = () => reader.cancel(signal.reason).catch(() => {})
+    signal?.addEventListener('abort', cancel, { once: true })
+    let buffer = ''
+
+    try {
+        for (;;) {
+            signal?.throwIfAborted()
+            const { done, value } = await reader.read()
+            signal?.throwIfAborted()
+            buffer += decoder.decode(value, { stream: !done })
+            const blocks = buffer.split(/\r?\n\r?\n/)
+            buffer = done ? '' : blocks.pop()
+            blocks.map(parseEventBlock).filter(Boolean).forEach(onEvent)
+            if (done) return
+        }
+    } catch (error) {
+        await reader.cancel(error).catch(() => {})
+        throw error
+    } finally {
+        signal?.removeEventListener('abort', cancel)
+        reader.releaseLock()
+    }
+}
+
+/**
+ * 제공업체 스트림 이벤트에서 새로 생성된 텍스트 추출
+ * Claude tool use는 도구 입력 JSON 조각(partial_json)을 텍스트로 씁니다.
+ */
+export function extractStreamText(provider, data) {
+    if (provider === 'gemini') return (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('')
+    if (provider === 'openai') return data.choices?.[0]?.delta?.content || ''
+    if (provider === 'claude' && data.type === 'content_block_delta') return data.delta?.text || data.delta?.partial_json || ''
+    return ''
+}
+
+// Gemini가 안전 정책으로 생성을 멈췄을 때의 finishReason
+const GEMINI_BLOCK_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII']
+
+/**
+ * 제공업체 응답(일반 응답 또는 스트림 이벤트)이 안전 정책으로 막혔으면 그 이유, 아니면 null
+ */
+export function extractBlockReason(provider, data) {
+    if (provider === 'gemini') {
+        const finishReason = data.candidates?.[0]?.finishReason
+        return data.promptFeedback?.blockReason || (GEMINI_BLOCK_REASONS.includes(finishReason) ? finishReason : null)
+    }
+    if (provider === 'openai') {
+        const choice = data.choices?.[0]
+        return choice?.message?.refusal || choice?.delta?.refusal || (choice?.finish_reason === 'content_filter' ? 'content_filter' : null)
+    }
+    if (provider === 'claude') return (data.stop_reason || data.delta?.stop_reason) === 'refusal' ? 'refusal' : null
+    return null
+}
+
+/**
+ * 안전 정책 차단 오류 (대체 모델 전환에 쓰도록 kind: 'safety')
+ */
+export function createBlockedError(provider, reason) {
+    return Object.assign(new Error(`${provider} 안전 정책으로 응답이 차단되었습니다 (${reason})`), { kind: 'safety' })
+}
+
+/**
+ * 제공업체 SSE 응답을 끝까지 읽어 전체 텍스트 반환
+ * 안전 정책으로 생성이 멈추면 createBlockedError를 던집니다.
+ * @param {(delta: string, text: string) => void} [onToken] - 조각이 올 때마다 호출 (text는 지금까지의 전체)
+ * @param {AbortSignal} [signal] - 사용자 취소
+ */
+export async function readProviderStream(response, provider, onToken, signal) {
+    let text = ''
+    await readEventStream(response, ({ data }) => {
+        if (!data || data === '[DONE]') return
+        const parsed = JSON.parse(data)
+        if (parsed.error || parsed.type === 'error') {
+            throw new Error(parsed.error?.message || `${provider} 스트리밍 오류`)
+        }
+        const blockReason = extractBlockReason(provider, parsed)
+        if (blockReason) throw createBlockedError(provider, blockReason)
+        const delta = extractStreamText(provider, parsed)
+        if (!delta) return
+        text += delta
+        onToken?.(delta, text)
+    }, signal)
+    return text
+}
+
+/**
+ * 응답이 SSE인지 확인 (프록시는 스트리밍을 지원하지 않는 모드에서 일반 JSON으로 답함)
+ */
+export function isEventStream(response) {
+    return (response.headers.get('Content-Type') || '').includes('text/event-stream')
+}
+
+/**
+ * 서버 프록시(/api/evaluate) SSE 응답 읽기
+ * 프록시는 delta({text}) 이벤트로 조각을, done({text, producedBy, failover})으로 전체 텍스트와 응답한 모델을,
+ * error({error, kind})로 오류와 그 종류를 보냅니다.
+ * @returns {Promise<{text: string, producedBy?: object, failover?: object[]}>}
+ */
+export async function readProxyStream(response, onToken, signal) {
+    let text = ''
+    let done = null
+    await readEventStream(response, ({ event, data }) => {
+        const payload = JSON.parse(data)
+        if (event === 'error') throw Object.assign(new Error(payload.error), payload.kind ? { kind: payload.kind } : {})
+        if (event === 'done') done = payload
+        if (event === 'delta') {
+            text += payload.text
+            onToken?.(payload.text, text)
+        }
+    }, signal)
+    return { ...done, text: done?.text ?? text }
+}
+
+/**
+ * 평가 JSON 조각에서 criteriaScores 항목이 완성될 때마다 알려주는 파서
+ * 문자열 안의 괄호는 무시하고, 항목 객체의 닫는 괄호가 오면 그 객체만 파싱합니다.
+ * @param {(criterion: object) => void} onCriterion
+ * @returns {{push: (delta: string) => void}}
+ */
+export function createCriteriaStreamParser(onCriterion) {
+    let text = ''
+    let position = null // criteriaScores 배열 안에서 다음에 읽을 위치 (배열을 찾기 전에는 null)
+    let depth = 0
+    let objectStart = null
+    let inString = false
+    let escaped = false
+    let finished = false
+
+    const scan = () => {
+        for (; position < text.length; position++) {
+            const char = text[position]
+            if (inString) {
+                if (escaped) escaped = false
+                else if (char === '\\') escaped = true
+                else if (char === '"') inString = false
+                continue
+            }
+
+            if (char === '"') inString = true
+            else if (char === '{') {
+                if (depth === 0) objectStart = position
+                depth++
+            } else if (char === '}') {
+                depth--
+                if (depth === 0) emit(text.slice(objectStart, position + 1))
+            } else if (char === ']' && depth === 0) {
+                finished = true
+                return
+            }
+        }
+    }
+
+    const emit = (json) => {
+        let criterion
+        try {
+            criterion = JSON.parse(json)
+        } catch {
+            return // 형식이 깨진 항목은 건너뜀 (최종 파싱·검증 단계에서 다시 처리)
+        }
+        onCriterion(criterion)
+    }
+
+    return {
+        push(delta) {
+            if (finished) return
+            text += delta
+            if (position === null) {
+                const match = text.match(/"criteriaScores"\s*:\s*\[/)
+                if (!match) return
+                position = match.index + match[0].length
+            }
+            scan()
+        }
+    }
+}
+
+function parseEventBlock(block) {
+    let event = 'message'
+    const data = []
+    block.split(/\r?\n/).forEach(line => {
+        // 빈 줄과 ':'로 시작하는 주석(keep-alive)은 무시
+        if (!line || line.startsWith(':')) return
+        const colon = line.indexOf(':')
+        const field = colon === -1 ? line : line.slice(0, colon)
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '')
+        if (field === 'event') event = value
+        else if (field === 'data') data.push(value)
+    })
+    return data.length > 0 ? { event, data: data.join('\n') } : null
+}
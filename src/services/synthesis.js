@@ -1,158 +1,189 @@
 /**
  * 평가 결과 종합 모듈
  * K-run 및 앙상블 결과 합성
+ * 항목 점수는 AGGREGATION_STRATEGIES 중 하나(평균·중앙값·절사 평균·다수결 수준)로 모읍니다.
  */
-import { calculateGrade } from '../constants'
+import { calculateGrade, DEFAULT_AGGREGATION_STRATEGY, ADAPTIVE_RUNS } from '../constants'
+import { computeWeightedScore } from './scoring'
+import { getScoreRange } from './validation'
+
+// 절사 평균에서 양쪽 끝에서 각각 버리는 비율 (3개 이상이면 최소 1개씩)
+const TRIM_RATIO = 0.2
+
+// 95% 신뢰구간용 t 분포 값 (자유도 1~10, 그 이상은 정규분포 1.96)
+const T_VALUES_95 = [12.71, 4.30, 3.18, 2.78, 2.57, 2.45, 2.36, 2.31, 2.26, 2.23]
 
 /**
- * K-run 평가 결과 종합
+ * 점수 목록을 종합 방식에 따라 하나로 모음 (소수 첫째 자리)
+ * @param {number[]} scores
+ * @param {string} [strategy] - 'mean' | 'median' | 'trimmedMean' | 'majority'
  */
-export function synthesizeKRunResults(results) {
-    const n = results.length
+export function aggregateScores(scores, strategy = DEFAULT_AGGREGATION_STRATEGY) {
+    const sorted = [...scores].sort((a, b) => a - b)
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length
+    const median = (values) => {
+        const middle = Math.floor(values.length / 2)
+        return values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2
+    }
 
-    // Calculate average score
-    const avgScore = Math.round(results.reduce((sum, r) => sum + r.totalScore, 0) / n)
-    const scores = results.map(r => r.totalScore)
-    const minScore = Math.min(...scores)
-    const maxScore = Math.max(...scores)
-
-    // Calculate grade based on average
-    const grade = calculateGrade(avgScore)
-
-    // Synthesize criteria scores (average each)
-    const criteriaScoresMap = {}
-    results.forEach(result => {
-        result.criteriaScores?.forEach(cs => {
-            if (!criteriaScoresMap[cs.name]) {
-                criteriaScoresMap[cs.name] = {
-                    ...cs,
-                    scoreSum: 0,
-                    count: 0,
-                    allDetails: []
-                }
-            }
-            criteriaScoresMap[cs.name].scoreSum += cs.score
-            criteriaScoresMap[cs.name].count++
-            if (cs.details) {
-                criteriaScoresMap[cs.name].allDetails.push(cs.details)
-            }
-        })
-    })
+    let value
+    if (strategy === 'median') {
+        value = median(sorted)
+    } else if (strategy === 'trimmedMean') {
+        const trim = sorted.length >= 3 ? Math.max(1, Math.floor(sorted.length * TRIM_RATIO)) : 0
+        value = mean(sorted.slice(trim, sorted.length - trim))
+    } else if (strategy === 'majority') {
+        // 가장 많이 나온 수준, 동수면 중앙값에 가까운 쪽, 그래도 같으면 낮은 쪽
+        const counts = new Map()
+        sorted.forEach(score => counts.set(Math.round(score), (counts.get(Math.round(score)) || 0) + 1))
+        const center = median(sorted)
+        value = [...counts.entries()].reduce((best, entry) => {
+            if (entry[1] !== best[1]) return entry[1] > best[1] ? entry : best
+            return Math.abs(entry[0] - center) < Math.abs(best[0] - center) ? entry : best
+        })[0]
+    } else {
+        value = mean(sorted)
+    }
+    return Math.round(value * 10) / 10
+}
 
-    const criteriaScores = Object.values(criteriaScoresMap).map(cs => {
-        // Collect all details directly from criteria scores (fallback to details object if needed)
-        const allStrengths = cs.allDetails.flatMap(d => d.strengths || d?.details?.strengths || [])
-        const allWeaknesses = cs.allDetails.flatMap(d => d.weaknesses || d?.details?.weaknesses || [])
-        const allImprovements = cs.allDetails.flatMap(d => d.improvement || d?.details?.improvement || [])
-        const allEvidence = cs.allDetails.map(d => d.evidence || d?.details?.evidence).filter(Boolean)
+/**
+ * 여러 평가 결과의 항목을 criterionId별로 종합
+ * 근거·피드백 문장은 종합 점수에 가장 가까운 점수를 준 결과의 것을 그대로 씁니다 (문장을 섞지 않음).
+ * @returns {Array<object>} 루브릭 순서의 항목, scores는 results 순서의 원래 점수 (없으면 null)
+ */
+export function aggregateCriteria(results, rubric, strategy) {
+    return rubric.criteria.map(criterion => {
+        const items = results.map(result => result.criteriaScores?.find(cs => cs.criterionId === criterion.id) || null)
+        const scored = items.filter(cs => cs && Number.isFinite(cs.score))
+        const score = aggregateScores(scored.map(cs => cs.score), strategy)
+        const representative = closestTo(score, scored, cs => cs.score)
 
-        // Select unique and representative feedback
-        const strengths = [...new Set(allStrengths)].slice(0, 2).join('\n')
-        const weaknesses = [...new Set(allWeaknesses)].slice(0, 2).join('\n')
-        const improvement = [...new Set(allImprovements)].slice(0, 2).join('\n')
+        return {
+            ...representative,
+            score,
+            percentage: Math.round((score / representative.maxScore) * 100),
+            scores: items.map(cs => cs?.score ?? null)
+        }
+    })
+}
 
-        // Select the longest evidence description
-        const evidence = allEvidence.sort((a, b) => b.length - a.length)[0] || ''
+/**
+ * 실행별 점수 통계
+ * 항목마다 표준편차와 신뢰도(high/medium/low)를, 총점(항목 점수·가중치로 계산)은 95% 신뢰구간을 구합니다.
+ * 실행이 하나뿐이면 편차를 알 수 없으므로 stdDev·confidence·ci가 null입니다.
+ */
+export function computeRunStatistics(results, rubric) {
+    const criteria = rubric.criteria.map(criterion => {
+        const scores = results
+            .map(result => result.criteriaScores?.find(cs => cs.criterionId === criterion.id)?.score)
+            .filter(Number.isFinite)
+        const { min, max } = getScoreRange(criterion)
+        const { mean, stdDev } = describe(scores)
+        const ratio = stdDev === null ? null : stdDev / Math.max(1, max - min)
 
         return {
-            name: cs.name,
-            score: Math.round(cs.scoreSum / cs.count),
-            maxScore: cs.maxScore,
-            evidence,
-            strengths,
-            weaknesses,
-            improvement,
-            details: cs.allDetails[0]
+            criterionId: criterion.id,
+            name: criterion.name,
+            mean: round(mean, 2),
+            stdDev: stdDev === null ? null : round(stdDev, 2),
+            confidence: ratio === null ? null
+                : ratio <= ADAPTIVE_RUNS.agreementRatio ? 'high'
+                    : ratio <= ADAPTIVE_RUNS.disagreementRatio ? 'medium' : 'low'
         }
     })
 
-    // Merge characteristics (unique values)
-    const allCharacteristics = results.flatMap(r => r.characteristics || [])
-    const characteristics = [...new Set(allCharacteristics)].slice(0, 5)
+    const totals = results.map(result => computeWeightedScore(result.criteriaScores, rubric))
+    const { mean, stdDev } = describe(totals)
+    const tValue = T_VALUES_95[totals.length - 2] ?? 1.96 // 자유도 = 실행 수 - 1
+    const halfWidth = stdDev === null ? null : tValue * stdDev / Math.sqrt(totals.length)
+
+    return {
+        criteria,
+        total: {
+            mean: round(mean, 1),
+            stdDev: stdDev === null ? null : round(stdDev, 1),
+            ci: halfWidth === null ? null : {
+                low: Math.max(0, round(mean - halfWidth, 1)),
+                high: Math.min(100, round(mean + halfWidth, 1))
+            }
+        }
+    }
+}
+
+/**
+ * 실행 결과가 서로 일치하는지 판단 (적응형 K-run)
+ * @returns {'agreed'|'disagreed'|'uncertain'} 모든 항목 high면 agreed, 하나라도 low면 disagreed
+ */
+export function assessAgreement(statistics) {
+    const levels = statistics.criteria.map(c => c.confidence)
+    if (levels.some(level => level === null)) return 'uncertain'
+    if (levels.some(level => level === 'low')) return 'disagreed'
+    return levels.every(level => level === 'high') ? 'agreed' : 'uncertain'
+}
+
+/**
+ * 총점이 전체 평균에 가장 가까운 결과 (정성 평가·생활기록부 초안의 기본값으로 씀)
+ */
+export function pickRepresentative(results) {
+    const mean = results.reduce((sum, r) => sum + (r.totalScore || 0), 0) / results.length
+    return closestTo(mean, results, r => r.totalScore || 0)
+}
+
+/**
+ * K-run 평가 결과 종합
+ * 항목마다 runScores(실행별 점수)를 남깁니다.
+ * @param {string} [strategy] - 항목 점수 종합 방식
+ */
+export function synthesizeKRunResults(results, rubric, strategy = DEFAULT_AGGREGATION_STRATEGY) {
+    const n = results.length
 
-    // Use first qualitative feedback (they should be similar)
-    const qualitative = results[0]?.qualitative || []
+    // 실행별 총점은 항목 점수의 가중 합으로 계산 (AI가 보고한 총점은 비어 있을 수 있음)
+    const totals = results.map(r => computeWeightedScore(r.criteriaScores, rubric))
+    const avgScore = Math.round(totals.reduce((sum, total) => sum + total, 0) / n)
+    const minScore = Math.min(...totals)
+    const maxScore = Math.max(...totals)
 
-    // Merge suggestions (unique values)
-    const allSuggestions = results.flatMap(r => r.suggestions || [])
-    const suggestions = [...new Set(allSuggestions)].slice(0, 4)
+    const criteriaScores = aggregateCriteria(results, rubric, strategy)
+        .map(({ scores: runScores, ...cs }) => ({ ...cs, runScores }))
 
-    // Pick the longest student record draft
-    const studentRecordDraft = results
-        .map(r => r.studentRecordDraft || '')
-        .sort((a, b) => b.length - a.length)[0] || ''
+    // 서술은 대표 실행의 것을 쓰고, 목록은 중복 없이 합침 (evaluator에서 LLM 종합으로 다시 씀)
+    const representative = pickRepresentative(results.map((r, i) => ({ ...r, totalScore: totals[i] })))
+    const characteristics = [...new Set(results.flatMap(r => r.characteristics || []))].slice(0, 5)
+    const suggestions = [...new Set(results.flatMap(r => r.suggestions || []))].slice(0, 4)
 
     return {
         totalScore: avgScore,
-        grade,
+        grade: calculateGrade(avgScore),
         criteriaScores,
         characteristics,
-        qualitative,
+        qualitativeEvaluation: representative.qualitativeEvaluation || '',
         suggestions,
-        studentRecordDraft,
+        studentRecordDraft: representative.studentRecordDraft || '',
         evaluationMeta: {
             runs: n,
             scoreRange: { min: minScore, max: maxScore },
-            variance: maxScore - minScore
+            variance: maxScore - minScore,
+            aggregation: strategy,
+            statistics: computeRunStatistics(results, rubric)
         }
     }
 }
 
-/**
- * 앙상블 결과 종합 (Client-side version)
- */
-export function synthesizeResults(texts) {
-    const validResults = []
-
-    // Parse each result
-    texts.forEach(text => {
-        try {
-            const match = text.match(/```(?:json)?\s*([\s\S]*?)```/) || [null, text]
-            const jsonStr = match[1].trim()
-            const obj = JSON.parse(jsonStr)
-            if (obj.totalScore !== undefined) {
-                validResults.push(obj)
-            }
-        } catch (e) {
-            console.warn('Failed to parse result in ensemble:', e)
-        }
-    })
-
-    if (validResults.length === 0) {
-        return texts[0] || "{}"
-    }
+// 평균과 표본 표준편차 (값이 하나면 표준편차 null)
+function describe(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / Math.max(1, values.length)
+    if (values.length < 2) return { mean, stdDev: null }
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)
+    return { mean, stdDev: Math.sqrt(variance) }
+}
 
-    const count = validResults.length
-    const base = validResults[0]
-
-    const finalResult = {
-        ...base,
-        totalScore: Math.round(validResults.reduce((acc, r) => acc + (r.totalScore || 0), 0) / count),
-        qualitativeEvaluation: validResults.map((r, i) => `[의견 ${i + 1}]\n${r.qualitativeEvaluation}`).join('\n\n---\n\n'),
-        characteristics: [...new Set(validResults.flatMap(r => r.characteristics || []))],
-        suggestions: [...new Set(validResults.flatMap(r => r.suggestions || []))],
-        criteriaScores: base.criteriaScores.map((criterion, idx) => {
-            const sum = validResults.reduce((acc, r) => {
-                const c = r.criteriaScores[idx]
-                return acc + (c ? (c.score || 0) : 0)
-            }, 0)
-            const avgScore = Math.round(sum / count)
-
-            const combinedStrengths = validResults.map(r => r.criteriaScores[idx]?.strengths).filter(Boolean).join(' / ')
-            const combinedWeaknesses = validResults.map(r => r.criteriaScores[idx]?.weaknesses).filter(Boolean).join('\n')
-            const combinedImprovement = validResults.map(r => r.criteriaScores[idx]?.improvement).filter(Boolean).join('\n')
-            const combinedEvidence = validResults.map(r => r.criteriaScores[idx]?.evidence).filter(Boolean).join('\n')
-
-            return {
-                ...criterion,
-                score: avgScore,
-                strengths: combinedStrengths,
-                weaknesses: combinedWeaknesses,
-                improvement: combinedImprovement,
-                evidence: combinedEvidence
-            }
-        })
-    }
+function round(value, digits) {
+    const factor = 10 ** digits
+    return Math.round(value * factor) / factor
+}
 
-    return JSON.stringify(finalResult, null, 2)
+function closestTo(target, items, getValue) {
+    return items.reduce((best, item) =>
+        Math.abs(getValue(item) - target) < Math.abs(getValue(best) - target) ? item : best)
 }
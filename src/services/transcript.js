@@ -0,0 +1,197 @@
+/**
+ * 채팅 기록 정규화 모듈
+ * 브라우저에서 복사한 채팅 텍스트를 [{role, content}] 형식의 표준 대화 기록으로 변환
+ * 프롬프트 생성 전에 결정적으로 노이즈를 제거하여, 같은 대화는 어떤 브라우저에서 복사해도 같은 기록이 됩니다.
+ */
+
+export const ROLE_LABELS = {
+    user: '사용자',
+    assistant: 'AI',
+    unknown: '기록'
+}
+
+// 줄 전체가 화자 표시인 경우 (예: "나의 말:", "ChatGPT said:", "AI:")
+// 본문에도 흔히 쓰는 짧은 이름(AI, Claude, You 등)은 콜론까지 있어야 화자 표시로 봄
+const STANDALONE_LABELS = [
+    { role: 'user', pattern: /^(나의 말|내 말|You said)\s*:?$/i },
+    { role: 'user', pattern: /^(사용자|User|You|Human)\s*:$/i },
+    { role: 'assistant', pattern: /^(ChatGPT의 말|ChatGPT said|Claude의 말|Claude said|Gemini의 말|Gemini said)\s*:?$/i },
+    { role: 'assistant', pattern: /^(ChatGPT|Claude|Gemini|AI|Assistant)\s*:$/i }
+]
+
+// 줄 앞에 화자 표시가 붙은 경우 (예: "나의 말: 질문 내용")
+// 본문 줄도 "AI: ..."처럼 시작할 수 있으므로 채팅 화면·대화 형식에만 쓰는 표시로 한정
+const INLINE_LABELS = [
+    { role: 'user', pattern: /^(나의 말|내 말|You said|사용자|User|Human)\s*:\s*(.+)$/i },
+    { role: 'assistant', pattern: /^(ChatGPT의 말|ChatGPT said|Claude의 말|Claude said|Gemini의 말|Gemini said|Assistant)\s*:\s*(.+)$/i }
+]
+
+// 여러 채팅을 합친 프로젝트 기록의 세션 구분선 (예: "=== 세션 1: 주제 정하기 (2026. 3. 2.) ===")
+const SESSION_HEADER_PATTERN = /^===\s*(세션\s*\d+.*?)\s*===$/
+
+// 채팅 화면에서 함께 복사되는 버튼/메뉴/안내 문구 (어디에 있든 제거)
+const UI_CHROME_PATTERNS = [
+    /^(코드 복사|copy code|copied!|다시 생성|regenerate response|good response|bad response|읽어주기|read aloud)$/i,
+    /^(새 채팅|new chat|채팅 검색|search chats|gpt 탐색|explore gpts|플랜 업그레이드|upgrade plan|지난 7일|지난 30일|previous 7 days|previous 30 days)$/i,
+    /^(show drafts|답안 보기|다른 답안 보기|show thinking|생각하는 과정 표시|메모리 업데이트됨|memory updated)$/i,
+    /^(chatgpt|claude|gemini).{0,40}(실수|mistakes)/i
+]
+
+// 학생이 한 단어로 답할 때도 쓰는 버튼 이름 (턴의 첫머리·끝에 다른 내용과 함께 있을 때만 제거)
+const EDGE_CHROME_PATTERNS = [
+    /^(복사|copy|copied|복사됨|편집|수정|edit|공유|공유하기|share|다시 시도|regenerate|retry|좋아요|싫어요|더보기|more|sources|출처)$/i,
+    /^(라이브러리|library|오늘|어제|today|yesterday)$/i,
+    /^\d+\s*\/\s*\d+$/
+]
+
+/**
+ * 복사된 채팅 텍스트를 표준 대화 기록으로 변환
+ * 직접 붙여넣은 텍스트용이며, 내보내기 파일·공유 링크에서 가져온 턴은 이 함수를 거치지 않습니다.
+ * 세션 구분선이 있으면 각 턴에 session(구분선 제목)이 붙습니다.
+ * @param {string} text - 원본 채팅 텍스트
+ * @returns {Array<{role: 'user'|'assistant'|'unknown', content: string, session?: string}>}
+ */
+export function normalizeTranscript(text) {
+    const lines = (text || '').replace(/\r\n?/g, '\n').split('\n')
+    const turns = []
+    let current = null
+    let inCodeBlock = false
+    let lastLine = null
+    let session = null
+
+    const startTurn = (role, firstLine) => {
+        current = { role, session, lines: firstLine ? [firstLine] : [] }
+        turns.push(current)
+        lastLine = firstLine || null
+    }
+
+    lines.forEach(rawLine => {
+        const line = rawLine.replace(/\s+$/, '')
+        const trimmed = line.trim()
+
+        if (trimmed.startsWith('```')) {
+            inCodeBlock = !inCodeBlock
+        } else if (!inCodeBlock) {
+            const sessionHeader = trimmed.match(SESSION_HEADER_PATTERN)
+            if (sessionHeader) {
+                session = sessionHeader[1]
+                current = null
+                return
+            }
+            const label = matchLabel(trimmed)
+            if (label) {
+                startTurn(label.role, label.content)
+                // "AI: ```python"처럼 화자 표시 뒤에서 코드 블록이 시작될 수 있음
+                if (label.content.startsWith('```')) inCodeBlock = true
+                return
+            }
+            if (isUIChrome(trimmed)) return
+            // 직전 줄과 동일한 줄은 복사 과정의 중복으로 보고 제거
+            if (trimmed && trimmed === lastLine) return
+        }
+
+        if (!current) startTurn('unknown')
+        current.lines.push(line)
+        if (trimmed) lastLine = trimmed
+    })
+
+    // 세션 안에 화자 표시가 하나라도 있으면, 첫 표시 이전 내용은 사이드바 등 노이즈로 간주
+    const labeledSessions = new Set(turns.filter(turn => turn.role !== 'unknown').map(turn => turn.session))
+    return mergeTurns(turns
+        .filter(turn => !(labeledSessions.has(turn.session) && turn.role === 'unknown'))
+        .map(turn => ({
+            role: turn.role,
+            content: trimBlankLines(trimEdgeChrome(turn.lines)).join('\n'),
+            ...(turn.session ? { session: turn.session } : {})
+        }))
+        .filter(turn => turn.content))
+}
+
+/**
+ * 표준 대화 기록을 텍스트로 직렬화 (normalizeTranscript로 다시 읽을 수 있는 형식)
+ * 화자 표시는 내용이 코드 블록으로 시작해도 구분되도록 한 줄을 따로 씁니다.
+ * @param {Array<{role: string, content: string}>} turns
+ * @returns {string}
+ */
+export function serializeTranscript(turns) {
+    return turns
+        .map((turn, i) => {
+            const text = turn.role === 'unknown'
+                ? turn.content
+                : `${ROLE_LABELS[turn.role] || turn.role}:\n${turn.content}`
+            const startsSession = turn.session && turn.session !== turns[i - 1]?.session
+            return startsSession ? `=== ${turn.session} ===\n\n${text}` : text
+        })
+        .join('\n\n')
+}
+
+/**
+ * 여러 채팅 세션을 하나의 프로젝트 기록으로 합침
+ * @param {Array<{label: string, timestamp: number|null, turns: Array}>} sessions - 평가 순서대로 정렬된 세션
+ * @returns {Array<{role: string, content: string, session: string}>}
+ */
+export function buildSessionTranscript(sessions) {
+    return sessions.flatMap((session, index) => {
+        const date = session.timestamp ? ` (${new Date(session.timestamp).toLocaleDateString('ko-KR')})` : ''
+        const header = `세션 ${index + 1}: ${session.label}${date}`
+        return session.turns.map(turn => ({ role: turn.role, content: turn.content, session: header }))
+    })
+}
+
+/**
+ * 대화 기록에 포함된 세션 수
+ */
+export function countSessions(turns) {
+    return new Set(turns.map(turn => turn.session).filter(Boolean)).size
+}
+
+function matchLabel(line) {
+    if (!line) return null
+    for (const { role, pattern } of STANDALONE_LABELS) {
+        if (pattern.test(line)) return { role, content: '' }
+    }
+    for (const { role, pattern } of INLINE_LABELS) {
+        const match = line.match(pattern)
+        if (match) return { role, content: match[2].trim() }
+    }
+    return null
+}
+
+function isUIChrome(line) {
+    return !!line && UI_CHROME_PATTERNS.some(pattern => pattern.test(line))
+}
+
+// 턴 앞뒤의 버튼 줄 제거 (버튼 이름만 있는 턴은 학생의 답으로 보고 그대로 둠)
+function trimEdgeChrome(lines) {
+    const isEdge = (line) => !line.trim() || EDGE_CHROME_PATTERNS.some(pattern => pattern.test(line.trim()))
+    let start = 0
+    let end = lines.length
+    while (start < end && isEdge(lines[start])) start++
+    while (end > start && isEdge(lines[end - 1])) end--
+    return start < end ? lines.slice(start, end) : lines
+}
+
+function trimBlankLines(lines) {
+    const result = [...lines]
+    while (result.length && !result[0].trim()) result.shift()
+    while (result.length && !result[result.length - 1].trim()) result.pop()
+    // 연속된 빈 줄은 하나로
+    return result.filter((line, i) => line.trim() || result[i - 1]?.trim())
+}
+
+/**
+ * 같은 화자의 연속 턴 병합, 완전히 동일한 연속 턴 제거
+ */
+function mergeTurns(turns) {
+    return turns.reduce((merged, turn) => {
+        const prev = merged[merged.length - 1]
+        if (prev && prev.role === turn.role && prev.session === turn.session) {
+            if (prev.content !== turn.content) {
+                prev.content = `${prev.content}\n\n${turn.content}`
+            }
+            return merged
+        }
+        merged.push({ ...turn })
+        return merged
+    }, [])
+}
@@ -1,30 +1,256 @@
 /**
  * 공통 유틸리티 함수
  */
+import { createProviderError, classifyError } from './failover'
+import { REQUEST_SCHEDULER } from '../constants'
+
+// 재시도할 수 있는 오류 종류 (일시적인 전송 오류)
+const RETRYABLE_KINDS = ['timeout', 'rateLimit', 'serverError']
+
+// 제공업체별 대기열: 진행 중인 요청 수와 자리를 기다리는 요청
+const queues = new Map()
 
 /**
  * 타임아웃이 적용된 fetch 래퍼
+ * 응답 헤더를 받을 때까지, 그리고 본문 조각 사이의 간격이 timeoutMs를 넘으면 시간 초과로 중단합니다
+ * (스트리밍 본문이 도중에 멈춰도 끝나도록). options.signal(사용자 취소)도 본문을 다 읽을 때까지 이어 둡니다.
+ * (K-run·재시도가 signal 하나를 함께 쓰므로 본문을 다 읽거나 취소하면 리스너를 뗌)
  * @param {string} url - 요청 URL
  * @param {RequestInit} options - fetch 옵션
  * @param {number} timeoutMs - 타임아웃 (밀리초, 기본 30초)
  * @returns {Promise<Response>}
  */
 export async function fetchWithTimeout(url, options, timeoutMs = 30000) {
+    const { signal, ...fetchOptions } = options
+    throwIfAborted(signal)
+
     const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), timeoutMs)
+    const abort = () => controller.abort()
+    let timeoutId = null
+    let timedOut = false
+    const cleanup = () => {
+        clearTimeout(timeoutId)
+        signal?.removeEventListener('abort', abort)
+    }
+    const restartTimer = () => {
+        clearTimeout(timeoutId)
+        timeoutId = setTimeout(() => {
+            timedOut = true
+            cleanup()
+            controller.abort()
+        }, timeoutMs)
+    }
+    // 중단 원인에 맞는 오류 (사용자 취소, 시간 초과, 그 밖의 전송 오류)
+    const toRequestError = (error) => {
+        if (signal?.aborted) return createAbortError()
+        if (!timedOut) return error
+        return createProviderError(`API 요청 시간 초과 (${timeoutMs / 1000}초). 네트워크를 확인하거나 다시 시도해주세요.`, { kind: 'timeout' })
+    }
+    signal?.addEventListener('abort', abort, { once: true })
+    restartTimer()
 
+    let response
     try {
-        const response = await fetch(url, {
-            ...options,
+        response = await fetch(url, {
+            ...fetchOptions,
             signal: controller.signal
         })
-        return response
     } catch (error) {
-        if (error.name === 'AbortError') {
-            throw new Error(`API 요청 시간 초과 (${timeoutMs / 1000}초). 네트워크를 확인하거나 다시 시도해주세요.`)
+        cleanup()
+        throw toRequestError(error)
+    }
+
+    if (!response.body) {
+        cleanup()
+        return response
+    }
+    return new Response(watchBody(response.body, restartTimer, cleanup, toRequestError), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    })
+}
+
+// 본문 조각을 받을 때마다 onChunk(타이머 재시작), 다 읽거나 실패·취소하면 onEnd(정리)
+function watchBody(body, onChunk, onEnd, mapError) {
+    const reader = body.getReader()
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { done, value } = await reader.read()
+                if (done) {
+                    onEnd()
+                    controller.close()
+                    return
+                }
+                onChunk()
+                controller.enqueue(value)
+            } catch (error) {
+                onEnd()
+                controller.error(mapError(error))
+            }
+        },
+        cancel(reason) {
+            onEnd()
+            return reader.cancel(reason)
+        }
+    })
+}
+
+/**
+ * 사용자가 평가를 취소했을 때 던지는 오류 (name: 'AbortError')
+ */
+export function createAbortError() {
+    const error = new Error('평가를 취소했습니다.')
+    error.name = 'AbortError'
+    return error
+}
+
+/**
+ * 취소 신호가 이미 중단되었으면 취소 오류를 던짐
+ * @param {AbortSignal} [signal]
+ */
+export function throwIfAborted(signal) {
+    if (signal?.aborted) throw createAbortError()
+}
+
+/**
+ * 다시 보내면 성공할 수 있는 오류인지 판단
+ * 시간 초과·429·5xx와 응답 없이 실패한 네트워크 오류만 재시도하고,
+ * 취소·4xx(키 오류 등)·안전 정책 차단·파싱 실패는 그대로 실패시킵니다.
+ */
+export function isRetryableError(error) {
+    if (error?.name === 'AbortError') return false
+    if (RETRYABLE_KINDS.includes(classifyError(error))) return true
+    // fetch가 응답을 받지 못하면 TypeError('Failed to fetch')를 던짐
+    return error?.name === 'TypeError' && !error.status
+}
+
+/**
+ * 재시도 전 대기 시간 (ms)
+ * 제공업체가 알려준 시간(retryAfter)이 있으면 그대로 쓰고, 없으면 지수 백오프에 지터를 더합니다.
+ * @param {number} attempt - 실패한 시도 번호 (1부터)
+ */
+export function getRetryDelay(error, attempt) {
+    if (Number.isFinite(error?.retryAfter)) return error.retryAfter
+    const { baseDelayMs, maxDelayMs } = REQUEST_SCHEDULER
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1))
+    // 같은 시점에 실패한 요청들이 한꺼번에 다시 몰리지 않도록 절반은 무작위로
+    return Math.round(backoff / 2 + Math.random() * backoff / 2)
+}
+
+/**
+ * 제공업체별 요청 스케줄러
+ * 동시 요청 수를 REQUEST_SCHEDULER.concurrency로 제한하고, 재시도할 수 있는 오류는
+ * getRetryDelay만큼 기다렸다가 REQUEST_SCHEDULER.maxAttempts번까지 다시 보냅니다.
+ * 자리를 기다리거나 재시도를 기다리는 동안 onWait(message)로 대기 순서와 남은 시간을 알립니다.
+ * 제공업체가 알려준 대기 시간이 maxRetryAfterMs보다 길면(일일 할당량 소진 등) 기다리지 않습니다.
+ * 끝내 429로 실패하면 원래 오류 대신 잠시 후 다시 시도하라는 안내를 던집니다 (kind·status는 유지).
+ * @param {string} key - 대기열 이름 (제공업체 id)
+ * @param {() => Promise<any>} task - 요청 함수 (재시도마다 다시 호출)
+ * @param {{signal?: AbortSignal, onWait?: (message: string) => void, shouldRetry?: (error: Error) => boolean}} [options]
+ */
+export async function scheduleRequest(key, task, { signal, onWait, shouldRetry = isRetryableError } = {}) {
+    const { maxAttempts } = REQUEST_SCHEDULER
+
+    for (let attempt = 1; ; attempt++) {
+        throwIfAborted(signal)
+        const release = await acquireSlot(key, signal, onWait)
+        try {
+            return await task()
+        } catch (error) {
+            throwIfAborted(signal)
+            if (!shouldRetry(error)) throw error
+            if (attempt >= maxAttempts || error.retryAfter > REQUEST_SCHEDULER.maxRetryAfterMs) {
+                throw toRetryExhaustedError(error)
+            }
+
+            release()
+            const delay = getRetryDelay(error, attempt)
+            console.warn(`${key} request attempt ${attempt} failed, retrying in ${delay}ms:`, error.message)
+            onWait?.(`AI 서비스에 요청이 많아 ${Math.max(1, Math.ceil(delay / 1000))}초 후 다시 시도합니다... (${attempt}/${maxAttempts - 1}번째 재시도)`)
+            await sleep(delay, signal)
+        } finally {
+            release()
         }
-        throw error
-    } finally {
-        clearTimeout(timeoutId)
     }
 }
+
+/**
+ * 취소할 수 있는 대기
+ * @param {AbortSignal} [signal] - 중단되면 바로 취소 오류를 던짐
+ */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timeoutId)
+            reject(createAbortError())
+        }
+        const timeoutId = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort)
+            resolve()
+        }, ms)
+        signal?.addEventListener('abort', onAbort, { once: true })
+    })
+}
+
+// 대기열에서 자리를 얻을 때까지 기다리고, 자리를 돌려주는 함수(여러 번 불러도 한 번만 반영)를 반환
+function acquireSlot(key, signal, onWait) {
+    if (!queues.has(key)) queues.set(key, { active: 0, waiting: [] })
+    const queue = queues.get(key)
+    const limit = REQUEST_SCHEDULER.concurrency[key] || REQUEST_SCHEDULER.defaultConcurrency
+    const notifyWaiting = () => queue.waiting.forEach((entry, i) => entry.notify(i + 1))
+
+    let released = false
+    const release = () => {
+        if (released) return
+        released = true
+        queue.active--
+        queue.waiting.shift()?.start()
+        notifyWaiting()
+    }
+
+    if (queue.active < limit) {
+        queue.active++
+        return Promise.resolve(release)
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            queue.waiting.splice(queue.waiting.indexOf(entry), 1)
+            notifyWaiting()
+            reject(createAbortError())
+        }
+        const entry = {
+            start: () => {
+                signal?.removeEventListener('abort', onAbort)
+                queue.active++
+                resolve(release)
+            },
+            notify: (position) => onWait?.(`요청이 많아 차례를 기다리는 중입니다... (대기 ${position}번째)`)
+        }
+        signal?.addEventListener('abort', onAbort, { once: true })
+        queue.waiting.push(entry)
+        entry.notify(queue.waiting.length)
+    })
+}
+
+// 재시도를 모두 써버린 오류: 요청 한도 초과는 학생이 이해할 수 있는 안내로 바꿈
+function toRetryExhaustedError(error) {
+    if (classifyError(error) !== 'rateLimit') return error
+    return createProviderError(
+        `지금 AI 서비스에 요청이 몰려 평가하지 못했습니다. 1~2분 뒤에 다시 시도해주세요. (${error.message})`,
+        { kind: 'rateLimit', status: error.status, retryAfter: error.retryAfter }
+    )
+}
+
+/**
+ * 텍스트의 토큰 수 추정 (토크나이저 없이 근사)
+ * 한글·한자·가나는 글자당 약 1토큰, 그 외는 4글자당 약 1토큰으로 계산
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text = '') {
+    const cjk = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g) || []).length
+    return Math.ceil(cjk + (text.length - cjk) / 4)
+}
@@ -0,0 +1,226 @@
+/**
+ * 평가 결과 검증 모듈
+ * 파싱된 평가 결과를 현재 루브릭과 대조해 항목 누락·이름 오류·점수 범위·빈 필드를 찾습니다.
+ * 후속 요청으로 받은 수정값을 병합하고, 끝내 고치지 못한 값은 기본값으로 채웁니다.
+ */
+
+// 비어 있으면 안 되는 텍스트 필드와 끝내 비어 있을 때 채울 기본값
+const TEXT_FIELD_FALLBACKS = {
+    evidence: '근거가 제공되지 않았습니다.',
+    strengths: '',
+    weaknesses: '',
+    improvement: '추가적인 개선 제안이 없습니다.'
+}
+
+// 항목 이름이 이 이상 비슷하면 같은 항목으로 봄 (글자 bigram Dice 계수)
+const NAME_SIMILARITY_THRESHOLD = 0.6
+
+/**
+ * 평가 결과를 루브릭 항목 순서로 맞추고 문제를 찾음
+ * criterionId로 먼저 찾고, 없으면 비슷한 이름으로 찾습니다. 루브릭에 없는 항목은 버립니다.
+ * @returns {{
+ *   result: object,
+ *   issues: Array<{criterionId: string, name: string, missing: boolean, fields: Object<string, string>}>,
+ *   fixes: Array<{criterionId: string, name: string, field: string, problem: string, action: string}>
+ * }} issues의 fields는 필드명 → 문제 설명
+ */
+export function validateEvaluation(result, rubric) {
+    const fixes = []
+    const remaining = [...result.criteriaScores]
+    const take = (item) => remaining.splice(remaining.indexOf(item), 1)[0]
+
+    const matched = rubric.criteria.map(criterion => {
+        const byId = remaining.find(cs => cs.criterionId === criterion.id)
+        return byId ? take(byId) : null
+    })
+    rubric.criteria.forEach((criterion, i) => {
+        if (matched[i]) return
+        const byName = findByName(criterion.name, remaining)
+        if (!byName) return
+        matched[i] = take(byName)
+        fixes.push({ criterionId: criterion.id, name: criterion.name, field: 'criterionId', problem: `id 대신 이름 "${byName.name}"으로 연결`, action: 'matchedByName' })
+    })
+    remaining.forEach(cs => {
+        fixes.push({ criterionId: cs.criterionId, name: cs.name, field: 'criterionId', problem: '루브릭에 없는 항목', action: 'dropped' })
+    })
+
+    const criteriaScores = rubric.criteria.map((criterion, i) => {
+        const cs = matched[i]
+        const isNameMatch = fixes.some(fix => fix.action === 'matchedByName' && fix.criterionId === criterion.id)
+        if (cs && cs.name !== criterion.name && !isNameMatch) {
+            fixes.push({ criterionId: criterion.id, name: criterion.name, field: 'name', problem: `"${cs.name}" → 루브릭 항목명으로 변경`, action: 'renamed' })
+        }
+        return normalizeCriterion(cs, criterion)
+    })
+
+    const issues = rubric.criteria
+        .map((criterion, i) => findIssues(matched[i], criteriaScores[i], criterion))
+        .filter(Boolean)
+
+    return { result: { ...result, criteriaScores }, issues, fixes }
+}
+
+/**
+ * 보정 요청 응답을 병합 (문제로 지적한 필드만 덮어씀)
+ * @param {{criteriaScores: Array}} repaired - 보정 응답 JSON
+ */
+export function applyRepair(result, repaired, issues) {
+    const items = Array.isArray(repaired?.criteriaScores) ? repaired.criteriaScores : []
+
+    return {
+        ...result,
+        criteriaScores: result.criteriaScores.map(cs => {
+            const issue = issues.find(i => i.criterionId === cs.criterionId)
+            const fix = issue && (items.find(item => item.criterionId === cs.criterionId) || findByName(cs.name, items))
+            if (!fix) return cs
+
+            const updates = Object.fromEntries(Object.keys(issue.fields)
+                .map(field => [field, field === 'score' ? parseFloat(fix.score) : fix[field]])
+                .filter(([field, value]) => field === 'score' ? Number.isFinite(value) : typeof value === 'string'))
+            return { ...cs, ...updates }
+        })
+    }
+}
+
+/**
+ * 보정 전후 문제 목록을 비교해 해결된 필드 기록
+ */
+export function listResolved(before, after) {
+    return before.flatMap(issue => {
+        const remaining = after.find(i => i.criterionId === issue.criterionId)?.fields || {}
+        return Object.entries(issue.fields)
+            .filter(([field]) => !remaining[field])
+            .map(([field, problem]) => ({ criterionId: issue.criterionId, name: issue.name, field, problem, action: 'repaired' }))
+    })
+}
+
+/**
+ * 끝내 고치지 못한 필드를 기본값으로 채움
+ * 점수는 평가 수준 범위로 맞추고, 빈 텍스트는 기본 문구로 채웁니다.
+ * 항목이나 점수 자체가 빠진 경우는 지어낼 수 없으므로 예외를 던져 평가를 다시 시도하게 합니다.
+ */
+export function applyFallbacks(result, issues, rubric) {
+    const unscored = issues.filter(issue =>
+        issue.missing || result.criteriaScores.find(cs => cs.criterionId === issue.criterionId)?.score === null)
+    if (unscored.length > 0) {
+        throw new Error(`평가 결과에 다음 항목의 점수가 없습니다: ${unscored.map(i => i.name).join(', ')}`)
+    }
+
+    const fallbacks = []
+    const criteriaScores = result.criteriaScores.map(cs => {
+        const issue = issues.find(i => i.criterionId === cs.criterionId)
+        if (!issue) return cs
+
+        const criterion = rubric.criteria.find(c => c.id === cs.criterionId)
+        const updates = {}
+        Object.entries(issue.fields).forEach(([field, problem]) => {
+            updates[field] = field === 'score'
+                ? clampScore(cs.score, criterion)
+                : TEXT_FIELD_FALLBACKS[field]
+            fallbacks.push({ criterionId: cs.criterionId, name: cs.name, field, problem, action: 'fallback' })
+        })
+        return normalizeCriterion({ ...cs, ...updates }, criterion)
+    })
+
+    return { result: { ...result, criteriaScores }, fallbacks }
+}
+
+/**
+ * 루브릭 항목의 점수 범위 (평가 수준 점수의 최솟값~최댓값)
+ */
+export function getScoreRange(criterion) {
+    const scores = (criterion.levels || []).map(l => Number(l.score)).filter(Number.isFinite)
+    return scores.length > 0
+        ? { min: Math.min(...scores), max: Math.max(...scores) }
+        : { min: 1, max: 5 }
+}
+
+function normalizeCriterion(cs, criterion) {
+    const { max } = getScoreRange(criterion)
+    const score = cs?.score ?? null
+    return {
+        evidence: '',
+        strengths: '',
+        weaknesses: '',
+        improvement: '',
+        nextSteps: '',
+        feedback: '',
+        ...cs,
+        criterionId: criterion.id,
+        name: criterion.name,
+        score,
+        maxScore: max,
+        percentage: score === null ? 0 : Math.round((score / max) * 100)
+    }
+}
+
+function findIssues(original, cs, criterion) {
+    const base = { criterionId: criterion.id, name: criterion.name }
+    if (!original) {
+        const { min, max } = getScoreRange(criterion)
+        return {
+            ...base,
+            missing: true,
+            fields: {
+                score: `항목이 빠짐 (${min}~${max}점으로 평가 필요)`,
+                ...Object.fromEntries(Object.keys(TEXT_FIELD_FALLBACKS).map(field => [field, '항목이 빠짐']))
+            }
+        }
+    }
+
+    const fields = {}
+    const { min, max } = getScoreRange(criterion)
+    if (cs.score === null) fields.score = `점수가 없음 (${min}~${max}점)`
+    else if (cs.score < min || cs.score > max) fields.score = `${cs.score}점은 ${min}~${max}점 범위를 벗어남`
+
+    Object.keys(TEXT_FIELD_FALLBACKS).forEach(field => {
+        if (typeof cs[field] !== 'string' || !cs[field].trim()) fields[field] = '비어 있음'
+    })
+
+    return Object.keys(fields).length > 0 ? { ...base, missing: false, fields } : null
+}
+
+function clampScore(score, criterion) {
+    const { min, max } = getScoreRange(criterion)
+    return Math.min(max, Math.max(min, score))
+}
+
+function findByName(name, items) {
+    const target = normalizeName(name)
+    if (!target) return null
+
+    let best = null
+    let bestScore = NAME_SIMILARITY_THRESHOLD
+    items.forEach(item => {
+        const candidate = normalizeName(item.name)
+        if (!candidate) return
+        const score = candidate === target || candidate.includes(target) || target.includes(candidate)
+            ? 1
+            : diceCoefficient(candidate, target)
+        if (score >= bestScore && (!best || score > bestScore)) {
+            best = item
+            bestScore = score
+        }
+    })
+    return best
+}
+
+function normalizeName(name = '') {
+    return name.toLowerCase().replace(/[\s\p{P}\p{S}]/gu, '')
+}
+
+function diceCoefficient(a, b) {
+    const bigrams = (text) => Array.from({ length: Math.max(0, text.length - 1) }, (_, i) => text.slice(i, i + 2))
+    const left = bigrams(a)
+    const right = bigrams(b)
+    if (left.length === 0 || right.length === 0) return 0
+
+    const pool = [...right]
+    const overlap = left.filter(gram => {
+        const index = pool.indexOf(gram)
+        if (index === -1) return false
+        pool.splice(index, 1)
+        return true
+    }).length
+    return (2 * overlap) / (left.length + right.length)
+}
@@ -0,0 +1,26 @@
+/**
+ * 오류 종류 판별·대체 모델 순서 테스트
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { classifyError, shouldFailover, buildFallbackChain } from '../src/services/failover.js'
+
+test('상태 코드가 없으면 메시지에 명시된 HTTP 상태만 본다', () => {
+    assert.equal(classifyError(new Error('gemini Error: HTTP 503')), 'serverError')
+    assert.equal(classifyError(new Error('status: 429')), 'rateLimit')
+    assert.equal(classifyError(new Error('The model is overloaded')), 'serverError')
+    assert.equal(classifyError({ status: 502 }), 'serverError')
+})
+
+test('JSON 파싱 오류 속 숫자는 서버 오류·요청 한도로 보지 않는다', () => {
+    const parseError = new Error('Unexpected token } in JSON at position 512')
+    assert.equal(classifyError(parseError), 'other')
+    assert.equal(classifyError(new Error('Unexpected end of JSON input at line 429')), 'other')
+    assert.equal(shouldFailover(parseError), false)
+})
+
+test('대체 모델 순서는 기본 모델을 앞에 두고 빠진 값·중복을 뺀다', () => {
+    assert.deepEqual(buildFallbackChain({ provider: 'gemini', model: 'a' }, [
+        { provider: 'gemini', model: 'a' }, { provider: 'openai' }, { provider: 'openai', model: 'b' }, { provider: 'openai', model: 'b' }
+    ]), [{ provider: 'gemini', model: 'a' }, { provider: 'openai', model: 'b' }])
+})
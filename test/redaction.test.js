@@ -0,0 +1,61 @@
+/**
+ * 개인정보 가리기 테스트
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { redactText, redactTranscript, restoreRedacted } from '../src/services/redaction.js'
+
+const originals = (text) => redactText(text).mapping.map(entry => entry.original)
+
+test('이름·학번·연락처·학교명을 자리표시자로 바꾼다', () => {
+    const { text, mapping } = redactText('저는 김민수입니다. 한빛고등학교 2학년 3반 15번이고 연락처는 010-1234-5678, 이메일은 minsu@example.com 이에요.')
+    assert.equal(text, '저는 [학생1]입니다. [학교1] [학번1]이고 연락처는 [전화번호1], 이메일은 [이메일1] 이에요.')
+    assert.equal(mapping.length, 5)
+})
+
+test('"○○○ 학생"은 이름일 때만 가린다', () => {
+    assert.deepEqual(originals('김민수 학생이 발표했습니다.'), ['김민수'])
+    assert.deepEqual(originals('박지원 학생의 보고서'), ['박지원'])
+})
+
+test('"학생" 앞에 오는 일반 명사는 이름으로 보지 않는다', () => {
+    const sentences = [
+        '한국어 학생들을 위한 자료를 만들고 싶어요.',
+        '정보반 학생은 파이썬을 배웁니다.',
+        '과학반 학생이 실험을 설계했다.',
+        '외국인 학생에게 설명하듯 써줘.',
+        '다문화 학생 지원 방안',
+        '고학년 학생 대상 설문',
+        '방과후 학생 명단을 정리해 줘.'
+    ]
+    sentences.forEach(sentence => assert.deepEqual(originals(sentence), [], sentence))
+})
+
+test('일반 명사가 대화 기록의 다른 곳에서 바뀌지 않는다', () => {
+    const transcript = [
+        { role: 'user', content: '정보반 학생인데 한국어 학생들을 위한 앱을 만들고 싶어요.' },
+        { role: 'assistant', content: '정보반에서 배운 내용으로 한국어 학습 앱을 설계해 봅시다.' }
+    ]
+    const redacted = redactTranscript(transcript, '', undefined)
+    assert.deepEqual(redacted.mapping, [])
+    assert.deepEqual(redacted.transcript, transcript)
+})
+
+test('가린 값을 결과에서 되돌린다', () => {
+    const { mapping } = redactTranscript([{ role: 'user', content: '제 이름은 홍길동이고 학번은 20315입니다.' }], '')
+    const result = { qualitativeEvaluation: '[학생1] 학생(학번 [학번1])은 질문을 구체화했습니다.', criteriaScores: [{ evidence: '「[학생1]」' }] }
+    assert.deepEqual(restoreRedacted(result, mapping), {
+        qualitativeEvaluation: '홍길동 학생(학번 20315)은 질문을 구체화했습니다.',
+        criteriaScores: [{ evidence: '「홍길동」' }]
+    })
+})
+
+test('세션 제목(파일 이름·채팅 제목)의 개인정보도 가린다', () => {
+    const transcript = [
+        { role: 'user', content: '저는 김민수입니다. 탐구 주제를 정하고 싶어요.', session: '세션 1: 김민수_탐구보고서' },
+        { role: 'assistant', content: '좋아요.', session: '세션 1: 김민수_탐구보고서' },
+        { role: 'user', content: '자료를 찾아 줘.', session: '세션 2: 한빛고등학교 과제' }
+    ]
+    const redacted = redactTranscript(transcript, '')
+    assert.deepEqual(redacted.transcript.map(turn => turn.session), ['세션 1: [학생1]_탐구보고서', '세션 1: [학생1]_탐구보고서', '세션 2: [학교1] 과제'])
+})
@@ -0,0 +1,121 @@
+/**
+ * 평가 응답 파싱 테스트 (깨진 JSON·조각난 스트림·Claude tool use 스트림)
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { extractJson, parseEvaluationResponse } from '../src/services/responseParser.js'
+import { createCriteriaStreamParser, readProviderStream } from '../src/services/streaming.js'
+
+const criterion = (id, score) => ({ criterionId: id, name: `항목 ${id}`, score, maxScore: 5, evidence: '「질문」' })
+
+const sseResponse = (events) => new Response(
+    events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join(''),
+    { headers: { 'Content-Type': 'text/event-stream' } }
+)
+
+// 문자열을 size 글자씩 잘라 스트림 조각처럼 나눔
+const chunks = (text, size) => Array.from({ length: Math.ceil(text.length / size) }, (_, i) => text.slice(i * size, (i + 1) * size))
+
+test('코드 블록·앞뒤 설명·주석·끝 쉼표가 섞인 응답에서도 JSON을 찾는다', () => {
+    assert.deepEqual(extractJson('{"a": 1}'), { a: 1 })
+    assert.deepEqual(extractJson('결과입니다.\n```json\n{"a": 1}\n```\n참고하세요.'), { a: 1 })
+    assert.deepEqual(extractJson('```\n{"a": [1, 2]}\n```'), { a: [1, 2] })
+    assert.deepEqual(extractJson('평가 결과: {"a": {"b": 2}} 이상입니다.'), { a: { b: 2 } })
+    assert.deepEqual(extractJson('{\n  // 총점\n  "a": 1, /* 등급 */ "b": [1, 2,],\n}'), { a: 1, b: [1, 2] })
+})
+
+test('문자열 안의 주석 기호와 쉼표는 그대로 둔다', () => {
+    assert.deepEqual(
+        extractJson('{"url": "https://example.com/a", "note": "/* 원문 */ 1,]", "q": "\\"따옴표\\" // 인용",}'),
+        { url: 'https://example.com/a', note: '/* 원문 */ 1,]', q: '"따옴표" // 인용' }
+    )
+})
+
+test('빈 응답이나 JSON이 없는 응답, 중간에 끊긴 JSON은 예외를 던진다', () => {
+    assert.throws(() => extractJson(''), /빈 응답/)
+    assert.throws(() => extractJson('   \n'), /빈 응답/)
+    assert.throws(() => extractJson(null), /빈 응답/)
+    assert.throws(() => extractJson('죄송하지만 평가할 수 없습니다.'), /JSON을 찾지 못했습니다/)
+    assert.throws(() => extractJson('{"criteriaScores": [{"criterionId": "c1", "score": 4}'), /JSON을 찾지 못했습니다/)
+    assert.throws(() => extractJson('```json\n{"a": \n```'), /JSON을 찾지 못했습니다/)
+})
+
+test('criteriaScores 배열이 없으면 0점 결과 대신 예외를 던진다', () => {
+    assert.throws(() => parseEvaluationResponse('{"totalScore": 80}'), /criteriaScores 배열이 없습니다/)
+    assert.throws(() => parseEvaluationResponse('{"criteriaScores": {"c1": 4}}'), /criteriaScores 배열이 없습니다/)
+})
+
+test('빠진 필드는 기본값으로 채우고 숫자 문자열 점수만 점수로 인정한다', () => {
+    const result = parseEvaluationResponse(JSON.stringify({
+        totalScore: '72.5',
+        criteriaScores: [
+            { criterionId: 'c1', score: '4', feedback: '근거 대신 쓴 피드백' },
+            { criterionId: 'c2', score: '네 점' },
+            { criterionId: 'c3', score: '' },
+            { criterionId: 'c4' }
+        ]
+    }))
+    assert.equal(result.totalScore, 72.5)
+    assert.equal(result.grade, 'N/A')
+    assert.deepEqual(result.criteriaScores.map(cs => cs.score), [4, null, null, null])
+    assert.equal(result.criteriaScores[0].maxScore, 5)
+    assert.equal(result.criteriaScores[0].evidence, '근거 대신 쓴 피드백')
+    assert.equal(result.criteriaScores[1].name, '')
+    assert.deepEqual(result.characteristics, [])
+    assert.deepEqual(result.suggestions, [])
+    assert.equal(result.studentRecordDraft, '')
+})
+
+test('스트림 파서는 조각난 JSON에서 완성된 항목만 한 번씩 알려준다', () => {
+    const tricky = { ...criterion('c2', 3), evidence: '「중괄호 } 와 { 그리고 \\"따옴표\\" ]」' }
+    const text = JSON.stringify({ totalScore: 70, criteriaScores: [criterion('c1', 4), tricky], grade: 'B', suggestions: [{ x: 1 }] })
+
+    for (const size of [1, 3, 17]) {
+        const received = []
+        const parser = createCriteriaStreamParser(cs => received.push(cs))
+        chunks(text, size).forEach((delta, i) => {
+            parser.push(delta)
+            // 항목의 닫는 괄호가 오기 전에는 알리지 않음
+            if (i === 0) assert.equal(received.length, 0)
+        })
+        assert.deepEqual(received, [criterion('c1', 4), tricky], `조각 크기 ${size}`)
+    }
+})
+
+test('스트림 파서는 깨진 항목을 건너뛰고 배열이 끝나기 전 끊기면 완성된 항목까지만 알린다', () => {
+    const received = []
+    const parser = createCriteriaStreamParser(cs => received.push(cs))
+    parser.push('```json\n{"criteriaScores": [{"criterionId": "c1", score: 4}, ')
+    parser.push(`${JSON.stringify(criterion('c2', 5))}, {"criterionId": "c3", "sco`)
+    assert.deepEqual(received, [criterion('c2', 5)])
+})
+
+test('Claude tool use 스트림은 도구 입력 JSON 조각을 이어 붙여 평가 결과로 읽는다', async () => {
+    const input = JSON.stringify({ totalScore: 80, grade: 'B+', criteriaScores: [criterion('c1', 4)] })
+    const response = sseResponse([
+        { type: 'message_start', message: { id: 'msg_1', content: [] } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'tool_use', id: 'toolu_1', name: 'evaluation_result', input: {} } },
+        ...chunks(input, 20).map(partial => ({ type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: partial } })),
+        { type: 'content_block_stop', index: 0 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' } },
+        { type: 'message_stop' }
+    ])
+
+    const received = []
+    const parser = createCriteriaStreamParser(cs => received.push(cs))
+    const text = await readProviderStream(response, 'claude', delta => parser.push(delta))
+
+    assert.equal(text, input)
+    assert.deepEqual(received, [criterion('c1', 4)])
+    const result = parseEvaluationResponse(text)
+    assert.equal(result.grade, 'B+')
+    assert.equal(result.criteriaScores[0].score, 4)
+})
+
+test('Claude 스트림이 거절로 멈추면 안전 정책 차단 오류를 던진다', async () => {
+    const response = sseResponse([
+        { type: 'content_block_delta', index: 0, delta: { type: 'input_json_delta', partial_json: '{"criteria' } },
+        { type: 'message_delta', delta: { stop_reason: 'refusal' } }
+    ])
+    await assert.rejects(readProviderStream(response, 'claude'), error => error.kind === 'safety')
+})
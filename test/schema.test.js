@@ -0,0 +1,108 @@
+/**
+ * 응답 스키마 생성·제공업체별 변환 테스트 (프록시의 Claude tool use 요청·응답 포함)
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+    buildEvaluationSchema,
+    buildRepairSchema,
+    buildSegmentEvidenceSchema,
+    toClaudeTool,
+    toGeminiSchema,
+    toOpenAISchema,
+    supportsOpenAISchema
+} from '../src/services/schema.js'
+import handler from '../api/evaluate.js'
+
+const rubric = { criteria: [{ id: 'question' }, { id: 'verify' }, { id: 'reflect' }] }
+
+// 스키마의 모든 객체 노드를 모음
+const objectNodes = (node) => [
+    ...(node.type.toLowerCase() === 'object' ? [node] : []),
+    ...Object.values(node.properties || {}).flatMap(objectNodes),
+    ...(node.items ? objectNodes(node.items) : [])
+]
+
+const evaluateRequest = (body) => new Request('http://localhost/api/evaluate', { method: 'POST', body: JSON.stringify(body) })
+
+test('평가 스키마는 루브릭 항목 id만 criterionId로 허용하고 모든 필드를 요구한다', () => {
+    const { name, schema } = buildEvaluationSchema(rubric)
+    const item = schema.properties.criteriaScores.items
+    assert.equal(name, 'evaluation_result')
+    assert.deepEqual(item.properties.criterionId.enum, ['question', 'verify', 'reflect'])
+    assert.deepEqual(item.required, Object.keys(item.properties))
+    assert.deepEqual(schema.required, Object.keys(schema.properties))
+    assert.deepEqual(buildRepairSchema(rubric).schema.properties.criteriaScores.items, item)
+    assert.deepEqual(buildSegmentEvidenceSchema(rubric).schema.properties.criteria.items.properties.criterionId.enum, ['question', 'verify', 'reflect'])
+})
+
+test('OpenAI 변환은 중첩된 객체까지 additionalProperties: false를 붙이고 원본은 바꾸지 않는다', () => {
+    const { schema } = buildEvaluationSchema(rubric)
+    const original = structuredClone(schema)
+    const converted = toOpenAISchema(schema)
+    assert.equal(objectNodes(converted).length, 2)
+    assert.ok(objectNodes(converted).every(node => node.additionalProperties === false))
+    assert.equal(converted.properties.totalScore.additionalProperties, undefined)
+    assert.deepEqual(schema, original)
+})
+
+test('Gemini 변환은 타입을 대문자로 바꾸고 enum 노드에 format: enum을 붙인다', () => {
+    const converted = toGeminiSchema(buildEvaluationSchema(rubric).schema)
+    const item = converted.properties.criteriaScores.items
+    assert.equal(converted.type, 'OBJECT')
+    assert.equal(converted.properties.criteriaScores.type, 'ARRAY')
+    assert.equal(converted.properties.characteristics.items.type, 'STRING')
+    assert.equal(item.properties.score.type, 'INTEGER')
+    assert.deepEqual(item.properties.criterionId, { type: 'STRING', enum: ['question', 'verify', 'reflect'], format: 'enum' })
+    assert.equal(item.properties.name.format, undefined)
+})
+
+test('Claude 도구 정의는 스키마를 그대로 input_schema로 쓴다', () => {
+    const responseSchema = buildEvaluationSchema(rubric)
+    assert.deepEqual(toClaudeTool(responseSchema), {
+        name: 'evaluation_result',
+        description: '평가 결과를 정해진 형식으로 제출합니다.',
+        input_schema: responseSchema.schema
+    })
+})
+
+test('json_schema를 지원하지 않는 OpenAI 모델을 접두사로 가린다', () => {
+    for (const model of ['o1-preview', 'o1-mini-2024-09-12', 'gpt-4-turbo', 'gpt-3.5-turbo']) assert.equal(supportsOpenAISchema(model), false, model)
+    for (const model of ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1', 'o3-mini', '']) assert.equal(supportsOpenAISchema(model), true, model)
+})
+
+test('프록시는 Claude에 도구 호출을 강제하고 tool_use 입력을 응답 텍스트로 돌려준다', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] }) // 25초 응답 제한 타이머가 테스트를 붙잡지 않도록
+    const input = { totalScore: 80, grade: 'B+', criteriaScores: [{ criterionId: 'question', score: 4 }] }
+    let sent = null
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+        sent = JSON.parse(init.body)
+        return Response.json({
+            content: [
+                { type: 'text', text: '평가 결과를 제출합니다.' },
+                { type: 'tool_use', id: 'toolu_1', name: 'evaluation_result', input }
+            ],
+            stop_reason: 'tool_use'
+        })
+    })
+
+    const responseSchema = buildEvaluationSchema(rubric)
+    const response = await handler(evaluateRequest({ prompt: '평가해 주세요', provider: 'claude', model: 'claude-haiku-4-5-20251001', apiKey: 'test-key', responseSchema }))
+    const body = await response.json()
+
+    assert.deepEqual(sent.tools, [toClaudeTool(responseSchema)])
+    assert.deepEqual(sent.tool_choice, { type: 'tool', name: 'evaluation_result' })
+    assert.equal(response.status, 200)
+    assert.deepEqual(JSON.parse(body.text), input)
+})
+
+test('프록시는 도구 호출 없이 텍스트로만 답한 Claude 응답도 그대로 돌려준다', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] })
+    t.mock.method(globalThis, 'fetch', async () => Response.json({
+        content: [{ type: 'text', text: '```json\n{"criteriaScores": []}\n```' }],
+        stop_reason: 'end_turn'
+    }))
+
+    const response = await handler(evaluateRequest({ prompt: '평가해 주세요', provider: 'claude', model: 'claude-haiku-4-5-20251001', apiKey: 'test-key' }))
+    assert.equal((await response.json()).text, '```json\n{"criteriaScores": []}\n```')
+})
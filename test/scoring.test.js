@@ -0,0 +1,45 @@
+/**
+ * 가중 총점 계산 테스트
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { computeWeightedScore, applyWeightedScoring } from '../src/services/scoring.js'
+
+const rubric = {
+    criteria: [
+        { id: 'a', name: '질문 구체성', weight: 60 },
+        { id: 'b', name: '검증 태도', weight: 40 }
+    ]
+}
+
+test('항목 점수 비율에 가중치를 곱해 100점 만점으로 계산한다', () => {
+    assert.equal(computeWeightedScore([
+        { criterionId: 'a', score: 4, maxScore: 5 },
+        { criterionId: 'b', score: 2, maxScore: 4 }
+    ], rubric), 68)
+})
+
+test('id가 없으면 이름으로 찾고, 만점을 넘는 점수와 빠진 항목은 0~1 비율로 자른다', () => {
+    assert.equal(computeWeightedScore([{ name: '질문 구체성', score: 7, maxScore: 5 }], rubric), 60)
+    assert.equal(computeWeightedScore([{ criterionId: 'b', score: -1, maxScore: 4 }], rubric), 0)
+})
+
+test('가중치가 모두 0이면 항목 비율의 단순 평균을 쓴다', () => {
+    const unweighted = { criteria: [{ id: 'a', weight: 0 }, { id: 'b', weight: 0 }] }
+    assert.equal(computeWeightedScore([
+        { criterionId: 'a', score: 5, maxScore: 5 },
+        { criterionId: 'b', score: 1, maxScore: 2 }
+    ], unweighted), 75)
+})
+
+test('총점·등급은 계산값으로 바꾸고 AI 보고값과의 차이가 허용 범위를 넘으면 표시한다', () => {
+    const criteriaScores = [{ criterionId: 'a', score: 4, maxScore: 5 }, { criterionId: 'b', score: 2, maxScore: 4 }]
+    const scored = applyWeightedScoring({ totalScore: 80, grade: 'B', criteriaScores }, rubric, 5)
+    assert.equal(scored.totalScore, 68)
+    assert.equal(scored.grade, 'D+')
+    assert.deepEqual(scored.evaluationMeta.scoring, { reportedTotal: 80, reportedGrade: 'B', difference: 12, margin: 5, flagged: true })
+
+    const unreported = applyWeightedScoring({ totalScore: null, criteriaScores }, rubric, 5)
+    assert.equal(unreported.evaluationMeta.scoring.difference, null)
+    assert.equal(unreported.evaluationMeta.scoring.flagged, false)
+})
@@ -0,0 +1,143 @@
+/**
+ * 공유 링크 파서 테스트 (test/fixtures의 저장된 공유 페이지로 네트워크 없이 실행)
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import {
+    detectSharePlatform,
+    parseChatGPTShareHtml,
+    parseClaudeSnapshot,
+    parseGeminiShareHtml
+} from '../api/_lib/shareParsers.js'
+import handler from '../api/parse-chat.js'
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8')
+
+test('공유 URL에서 플랫폼과 공유 ID를 찾는다', () => {
+    assert.equal(detectSharePlatform('https://chatgpt.com/share/6801-abc')?.platform, 'chatgpt')
+    assert.equal(detectSharePlatform('https://claude.ai/share/5f0c9a52')?.shareId, '5f0c9a52')
+    assert.equal(detectSharePlatform('https://g.co/gemini/share/a1b2c3')?.platform, 'gemini')
+    assert.equal(detectSharePlatform('https://gemini.google.com/share/a1b2c3')?.platform, 'gemini')
+    assert.equal(detectSharePlatform('http://chatgpt.com/share/6801-abc'), null)
+    assert.equal(detectSharePlatform('https://evil.example/share/6801-abc'), null)
+    assert.equal(detectSharePlatform('chatgpt.com/share/6801-abc'), null)
+})
+
+test('ChatGPT 공유 페이지(__NEXT_DATA__)에서 편집 전 분기와 숨은 메시지를 빼고 읽는다', () => {
+    const { title, turns } = parseChatGPTShareHtml(fixture('chatgpt-share-next-data.html'))
+    assert.equal(title, '광합성 실험 설계')
+    assert.deepEqual(turns.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant'])
+    assert.ok(!turns.some(turn => turn.content.includes('편집 전 질문')))
+    // 본문 속 화자 표시처럼 보이는 줄이나 버튼 문구도 턴 내용 그대로 남음
+    assert.equal(turns[1].content, '가설은 독립 변인과 종속 변인의 관계로 세워 보세요.\nAI: 예를 들어 "빛의 세기가 강할수록 산소 발생량이 많아진다"처럼요.')
+    assert.equal(turns[2].content, '변인 통제는 어떻게 하나요?\nretry')
+})
+
+test('ChatGPT 공유 페이지(turbo-stream)에서 추론·도구 호출을 빼고 읽는다', () => {
+    const { title, turns } = parseChatGPTShareHtml(fixture('chatgpt-share-turbo-stream.html'))
+    assert.equal(title, '조선 후기 실학 토론')
+    assert.deepEqual(turns, [
+        { role: 'user', content: '실학자들이 주장한 토지 제도를 비교해 줘.' },
+        { role: 'assistant', content: '유형원은 균전론, 이익은 한전론, 정약용은 여전론을 주장했습니다.\n\n1/2' },
+        { role: 'user', content: '정약용의 여전론이 실현되기 어려웠던 이유는?' },
+        { role: 'assistant', content: '토지 공동 소유와 공동 경작을 전제로 해서 당시 지주층의 반발이 컸기 때문입니다.' }
+    ])
+})
+
+test('Claude 공유 스냅샷에서 텍스트 블록만 읽는다', () => {
+    const { title, turns } = parseClaudeSnapshot(JSON.parse(fixture('claude-share-snapshot.json')))
+    assert.equal(title, '소설 속 인물 분석')
+    assert.equal(turns.length, 4)
+    assert.equal(turns[1].content, '소년은 수줍고 내성적이지만 소녀에게 마음을 쓰는 인물입니다.\nClaude\n징검다리 장면에서 그 성격이 잘 드러납니다.')
+    assert.equal(turns[2].content, '소녀가 조약돌을 던진 의미는 뭘까요?')
+})
+
+test('Gemini 공유 페이지에서 질문과 답변을 순서대로 읽는다', () => {
+    const { title, turns } = parseGeminiShareHtml(fixture('gemini-share.html'))
+    assert.equal(title, '이차함수 그래프 질문')
+    assert.deepEqual(turns.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant'])
+    assert.equal(turns[0].content, 'y = x² 대신 y = x^2 - 4x + 3의 꼭짓점을 어떻게 구하나요?')
+    assert.equal(turns[1].content, '완전제곱식으로 바꾸면 됩니다.\n\n- y = (x - 2)^2 - 1\n- 꼭짓점은 (2, -1)\n\n```\na, b = 1, -4\nprint(-b / (2 * a))\n```')
+    assert.equal(turns[2].content, 'x절편도 알려줘 & 풀이 과정도 <자세히>')
+})
+
+test('/api/parse-chat은 저장된 응답으로 플랫폼별 대화를 돌려준다', async (t) => {
+    const responses = {
+        'https://chatgpt.com/share/6801-abc': fixture('chatgpt-share-turbo-stream.html'),
+        'https://claude.ai/api/chat_snapshots/5f0c9a52?rendering_mode=messages&render_all_tools=true': fixture('claude-share-snapshot.json'),
+        'https://g.co/gemini/share/a1b2c3': fixture('gemini-share.html')
+    }
+    t.mock.method(globalThis, 'fetch', async (url) => {
+        if (!(url in responses)) return new Response('not found', { status: 404 })
+        return new Response(responses[url])
+    })
+    const parse = async (url) => {
+        const response = await handler(new Request('http://localhost/api/parse-chat', { method: 'POST', body: JSON.stringify({ url }) }))
+        return { status: response.status, body: await response.json() }
+    }
+
+    const chatgpt = await parse('https://chatgpt.com/share/6801-abc')
+    assert.equal(chatgpt.status, 200)
+    assert.equal(chatgpt.body.platform, 'chatgpt')
+    assert.equal(chatgpt.body.turns.length, 4)
+
+    const claude = await parse('https://claude.ai/share/5f0c9a52')
+    assert.equal(claude.body.title, '소설 속 인물 분석')
+
+    const gemini = await parse('https://g.co/gemini/share/a1b2c3')
+    assert.equal(gemini.body.turns.length, 4)
+
+    const unsupported = await parse('https://example.com/share/1')
+    assert.equal(unsupported.status, 400)
+
+    const missing = await parse('https://chatgpt.com/share/gone')
+    assert.equal(missing.status, 502)
+    assert.match(missing.body.error, /HTTP 404/)
+})
+
+test('/api/parse-chat은 리디렉션마다 호스트를 확인하고 허용되지 않은 주소는 요청하지 않는다', async (t) => {
+    const redirects = {
+        'https://g.co/gemini/share/short': 'https://gemini.google.com/share/a1b2c3',
+        'https://g.co/gemini/share/open': 'https://evil.example.com/steal',
+        'https://chatgpt.com/share/loop': '/share/loop'
+    }
+    const requested = []
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+        requested.push(url)
+        assert.equal(init.redirect, 'manual')
+        if (url in redirects) return new Response(null, { status: 302, headers: { Location: redirects[url] } })
+        return new Response(fixture('gemini-share.html'))
+    })
+    const parse = async (url) => {
+        const response = await handler(new Request('http://localhost/api/parse-chat', { method: 'POST', body: JSON.stringify({ url }) }))
+        return { status: response.status, body: await response.json() }
+    }
+
+    const followed = await parse('https://g.co/gemini/share/short')
+    assert.equal(followed.status, 200)
+    assert.deepEqual(requested, ['https://g.co/gemini/share/short', 'https://gemini.google.com/share/a1b2c3'])
+
+    requested.length = 0
+    const blocked = await parse('https://g.co/gemini/share/open')
+    assert.equal(blocked.status, 502)
+    assert.deepEqual(requested, ['https://g.co/gemini/share/open'])
+
+    requested.length = 0
+    const looping = await parse('https://chatgpt.com/share/loop')
+    assert.match(looping.body.error, /리디렉션이 너무 많습니다/)
+    assert.equal(requested.length, 6)
+})
+
+test('16진수 HTML 엔티티를 모두 되돌린다', () => {
+    const html = '<title>Gemini - 함수 &#x2F; 그래프</title><user-query><p>&#x27;y&#x27;&#x3D;x&#xB2; &#x1F600; &#39;a&#39; &amp;lt;</p></user-query>'
+    const { title, turns } = parseGeminiShareHtml(html)
+    assert.equal(title, '함수 / 그래프')
+    assert.equal(turns[0].content, "'y'=x² 😀 'a' &lt;")
+})
+
+test('/api/parse-chat은 JSON이 아닌 요청 본문에 400을 돌려준다', async () => {
+    const response = await handler(new Request('http://localhost/api/parse-chat', { method: 'POST', body: '{"url":' }))
+    assert.equal(response.status, 400)
+    assert.match((await response.json()).error, /요청 형식/)
+})
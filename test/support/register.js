@@ -0,0 +1,6 @@
+/**
+ * node --test 실행 전에 불러오는 설정 (package.json의 test 스크립트)
+ */
+import { register } from 'node:module'
+
+register('./resolve.js', import.meta.url)
@@ -0,0 +1,12 @@
+/**
+ * 테스트용 모듈 해석 훅
+ * src/는 Vite처럼 확장자 없이 import하므로, Node에서 찾지 못하면 .js를 붙여 다시 찾습니다.
+ */
+export async function resolve(specifier, context, nextResolve) {
+    try {
+        return await nextResolve(specifier, context)
+    } catch (error) {
+        if (error.code !== 'ERR_MODULE_NOT_FOUND' || !/^\.{1,2}\//.test(specifier)) throw error
+        return nextResolve(`${specifier}.js`, context)
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * K-run 점수 종합·통계 테스트
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { aggregateScores, computeRunStatistics, assessAgreement, synthesizeKRunResults } from '../src/services/synthesis.js'
+
+const rubric = { criteria: [{ id: 'a', name: '질문 구체성', weight: 100, levels: [{ score: 5 }, { score: 1 }] }] }
+const run = (score, extra = {}) => ({ criteriaScores: [{ criterionId: 'a', name: '질문 구체성', score, maxScore: 5 }], ...extra })
+
+test('평균·중앙값·절사 평균으로 점수를 모은다 (소수 첫째 자리)', () => {
+    assert.equal(aggregateScores([1, 2, 4], 'mean'), 2.3)
+    assert.equal(aggregateScores([4, 1, 2], 'median'), 2)
+    assert.equal(aggregateScores([1, 2, 3, 5], 'median'), 2.5)
+    // 5개면 양쪽에서 하나씩 버림, 2개 이하면 버리지 않음
+    assert.equal(aggregateScores([10, 1, 4, 3, 5], 'trimmedMean'), 4)
+    assert.equal(aggregateScores([1, 5], 'trimmedMean'), 3)
+})
+
+test('다수결은 가장 많이 나온 수준, 동수면 중앙값에 가까운 쪽, 그래도 같으면 낮은 쪽을 고른다', () => {
+    assert.equal(aggregateScores([3, 4, 3], 'majority'), 3)
+    assert.equal(aggregateScores([1, 1, 4, 4, 5], 'majority'), 4)
+    assert.equal(aggregateScores([2, 4, 2, 4, 3], 'majority'), 2)
+    assert.equal(aggregateScores([2.6, 3.4, 5], 'majority'), 3)
+})
+
+test('총점 95% 신뢰구간은 0~100 안으로 자른다', () => {
+    const high = computeRunStatistics([run(5), run(5), run(4)], rubric)
+    assert.deepEqual(high.total, { mean: 93.3, stdDev: 11.5, ci: { low: 64.7, high: 100 } })
+
+    const low = computeRunStatistics([run(1), run(1), run(2)], rubric)
+    assert.equal(low.total.ci.low, 0)
+})
+
+test('실행이 하나면 편차·신뢰도·신뢰구간을 비워 둔다', () => {
+    const { criteria, total } = computeRunStatistics([run(4)], rubric)
+    assert.equal(criteria[0].stdDev, null)
+    assert.equal(criteria[0].confidence, null)
+    assert.deepEqual(total, { mean: 80, stdDev: null, ci: null })
+})
+
+test('항목 신뢰도로 실행 결과의 일치 여부를 판단한다', () => {
+    const statistics = (...levels) => ({ criteria: levels.map(confidence => ({ confidence })) })
+    assert.equal(assessAgreement(computeRunStatistics([run(4), run(4)], rubric)), 'agreed')
+    assert.equal(assessAgreement(computeRunStatistics([run(1), run(5)], rubric)), 'disagreed')
+    assert.equal(assessAgreement(statistics('high', 'medium')), 'uncertain')
+    assert.equal(assessAgreement(statistics('high', null)), 'uncertain')
+})
+
+test('K-run 점수 범위는 AI가 보고한 총점이 아니라 실행별 가중 총점으로 구한다', () => {
+    const synthesized = synthesizeKRunResults([
+        run(5, { totalScore: null, qualitativeEvaluation: '가' }),
+        run(3, { totalScore: 10, qualitativeEvaluation: '나' }),
+        run(4, { qualitativeEvaluation: '다' })
+    ], rubric, 'mean')
+    assert.deepEqual(synthesized.evaluationMeta.scoreRange, { min: 60, max: 100 })
+    assert.equal(synthesized.evaluationMeta.variance, 40)
+    assert.equal(synthesized.qualitativeEvaluation, '다')
+    assert.deepEqual(synthesized.criteriaScores[0].runScores, [5, 3, 4])
+})
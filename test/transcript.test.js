@@ -0,0 +1,66 @@
+/**
+ * 채팅 기록 정규화 테스트
+ */
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeTranscript, serializeTranscript } from '../src/services/transcript.js'
+
+const roles = (turns) => turns.map(turn => turn.role)
+
+test('화면 화자 표시로 턴을 나눈다', () => {
+    const turns = normalizeTranscript('나의 말:\n광합성이 뭐야?\n\nChatGPT의 말:\n빛으로 양분을 만드는 과정입니다.')
+    assert.deepEqual(turns, [
+        { role: 'user', content: '광합성이 뭐야?' },
+        { role: 'assistant', content: '빛으로 양분을 만드는 과정입니다.' }
+    ])
+})
+
+test('직렬화한 기록은 코드 블록으로 시작하는 턴도 그대로 다시 읽힌다', () => {
+    const turns = [
+        { role: 'user', content: '출력 예시를 보여줘' },
+        { role: 'assistant', content: '```\nprint(1)\n```' },
+        { role: 'user', content: '고마워' },
+        { role: 'assistant', content: '천만에요' }
+    ]
+    assert.deepEqual(normalizeTranscript(serializeTranscript(turns)), turns)
+})
+
+test('세션 구분선도 직렬화 후 다시 읽힌다', () => {
+    const turns = [
+        { role: 'user', content: '주제를 정하자', session: '세션 1: 주제 정하기' },
+        { role: 'assistant', content: '좋아요', session: '세션 1: 주제 정하기' },
+        { role: 'user', content: '자료를 찾자', session: '세션 2: 자료 조사' }
+    ]
+    assert.deepEqual(normalizeTranscript(serializeTranscript(turns)), turns)
+})
+
+test('화자 표시 뒤에서 시작한 코드 블록 안의 줄은 화자 표시로 보지 않는다', () => {
+    const turns = normalizeTranscript('나의 말: 예시\nChatGPT의 말: ```text\n나의 말: 이건 코드 안\n```\n나의 말: 다음 질문')
+    assert.deepEqual(roles(turns), ['user', 'assistant', 'user'])
+    assert.match(turns[1].content, /이건 코드 안/)
+})
+
+test('본문에 흔한 짧은 이름으로 시작하는 줄은 새 턴으로 나누지 않는다', () => {
+    const lines = ['AI: 인공지능의 약자', 'GPT: 생성형 사전학습 모델', 'Claude: 다른 회사의 모델', '나: 1인칭 대명사', 'Me: 영어 대명사', 'You', 'AI']
+    const turns = normalizeTranscript(['나의 말:', '용어를 정리해 줘', '', 'ChatGPT의 말:', ...lines].join('\n'))
+    assert.deepEqual(roles(turns), ['user', 'assistant'])
+    assert.equal(turns[1].content, lines.join('\n'))
+})
+
+test('한 단어로 된 학생 답은 버튼 이름과 같아도 지우지 않는다', () => {
+    for (const answer of ['more', 'today', 'retry', 'edit', 'sources', '1/2']) {
+        const turns = normalizeTranscript(`ChatGPT의 말:\n더 알려줄까요?\n\n나의 말:\n${answer}`)
+        assert.deepEqual(turns[1], { role: 'user', content: answer }, answer)
+    }
+})
+
+test('답변 앞뒤에 붙은 버튼 줄과 화면 안내 문구는 지운다', () => {
+    const turns = normalizeTranscript([
+        '오늘', '새 채팅', '나의 말:', '요약해 줘', 'ChatGPT의 말:', '요약입니다.', '',
+        '코드 복사', '본문 둘째 줄', '복사', '좋아요', '싫어요', '다시 시도', 'ChatGPT는 실수를 할 수 있습니다.'
+    ].join('\n'))
+    assert.deepEqual(turns, [
+        { role: 'user', content: '요약해 줘' },
+        { role: 'assistant', content: '요약입니다.\n\n본문 둘째 줄' }
+    ])
+})
@@ -14,12 +14,23 @@ export default defineConfig({
           res.setHeader('Content-Type', 'application/json')
           res.end(JSON.stringify({}))
         })
-        server.middlewares.use('/api/parse-chat', (req, res) => {
-          res.setHeader('Content-Type', 'application/json')
-          res.end(JSON.stringify({
-            error: '로컬 개발 환경에서는 링크 파싱이 지원되지 않습니다. Vercel에 배포하면 사용 가능합니다.',
-            hint: '지금은 "직접 붙여넣기" 탭을 이용해주세요.'
-          }))
+        // 공유 링크 파싱은 실제 Edge 함수를 그대로 실행 (Node 요청 ↔ Web Request/Response 변환)
+        server.middlewares.use('/api/parse-chat', async (req, res, next) => {
+          try {
+            const { default: handler } = await server.ssrLoadModule('/api/parse-chat.js')
+            const chunks = []
+            for await (const chunk of req) chunks.push(chunk)
+            const response = await handler(new Request(new URL(req.originalUrl, 'http://localhost'), {
+              method: req.method,
+              headers: req.headers,
+              body: ['GET', 'HEAD'].includes(req.method) ? undefined : new Blob(chunks)
+            }))
+            res.statusCode = response.status
+            response.headers.forEach((value, key) => res.setHeader(key, value))
+            res.end(new Uint8Array(await response.arrayBuffer()))
+          } catch (error) {
+            next(error)
+          }
         })
       }
     }